@@ -0,0 +1,205 @@
+// Admin accounts and their sign-in sessions.
+//
+// Roles:  superadmin - Grassroots staff: everything, including refunds, pricing and accounts
+//         manager    - one store's manager: that store's bookings, availability and feed only
+//
+// Passwords are stored as scrypt hashes. Signing in creates a session whose random token
+// goes to the browser in an HttpOnly cookie; the store keeps only a hash of the token, so
+// a leaked database can't be replayed. Sessions expire after ADMIN_SESSION_HOURS (default
+// 12) and are revoked on sign-out, when the password changes or when the account is disabled.
+
+const crypto = require('crypto');
+const db = require('./db');
+const slots = require('./slots');
+
+const ROLES = ['superadmin', 'manager'];
+const MIN_PASSWORD_LENGTH = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AdminUserError extends Error {}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function sessionHours() {
+  return Number(process.env.ADMIN_SESSION_HOURS) || 12;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const given = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Compared against when the email is unknown, so a miss takes as long as a wrong password
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// An account without its password hash, for the API
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// Check fields for a new account (or a patch, with partial) and return them cleaned up;
+// throws AdminUserError
+function validate(fields, { partial = false } = {}) {
+  const clean = {};
+
+  if (!partial || fields.email !== undefined) {
+    const email = normalizeEmail(fields.email);
+    if (!EMAIL_PATTERN.test(email)) throw new AdminUserError('Enter a valid email address');
+    clean.email = email;
+  }
+  if (!partial || fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) throw new AdminUserError('Enter a name');
+    clean.name = fields.name.trim();
+  }
+  if (!partial || fields.password !== undefined) {
+    if (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_LENGTH) {
+      throw new AdminUserError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    clean.passwordHash = hashPassword(fields.password);
+  }
+  if (!partial || fields.role !== undefined) {
+    if (!ROLES.includes(fields.role)) throw new AdminUserError(`role must be one of: ${ROLES.join(', ')}`);
+    clean.role = fields.role;
+  }
+  if (fields.disabled !== undefined) {
+    if (typeof fields.disabled !== 'boolean') throw new AdminUserError('disabled must be true or false');
+    clean.disabled = fields.disabled;
+  }
+  return clean;
+}
+
+// Managers belong to exactly one store; superadmins to none
+function withLocation(clean, location) {
+  if (clean.role === 'superadmin') return { ...clean, location: null };
+  if (!slots.LOCATIONS.includes(location)) {
+    throw new AdminUserError(`Store managers need a location: ${slots.LOCATIONS.join(', ')}`);
+  }
+  return { ...clean, location };
+}
+
+function listUsers() {
+  return db.all('adminUsers').sort((a, b) => a.email.localeCompare(b.email));
+}
+
+function getUser(id) {
+  return db.get('adminUsers', id);
+}
+
+function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  return db.find('adminUsers', u => u.email === normalized);
+}
+
+function createUser(fields) {
+  const clean = withLocation(validate(fields), fields.location);
+  return db.transaction(() => {
+    if (findUserByEmail(clean.email)) throw new AdminUserError('An account with that email already exists');
+    return db.insert('adminUsers', {
+      ...clean,
+      disabled: false,
+      createdAt: now(),
+      updatedAt: now(),
+      lastLoginAt: null,
+    }, 'adm');
+  });
+}
+
+function revokeUserSessions(userId) {
+  return db.updateWhere('adminSessions', s => s.userId === userId && !s.revokedAt, { revokedAt: now() });
+}
+
+// Change an account; a new password or disabling it signs it out everywhere
+function updateUser(id, patch) {
+  return db.transaction(() => {
+    const user = getUser(id);
+    if (!user) return null;
+    let clean = validate(patch, { partial: true });
+    if (clean.role !== undefined || patch.location !== undefined) {
+      clean = withLocation({ ...clean, role: clean.role || user.role }, patch.location !== undefined ? patch.location : user.location);
+    }
+    if (clean.email && clean.email !== user.email && findUserByEmail(clean.email)) {
+      throw new AdminUserError('An account with that email already exists');
+    }
+    if (clean.passwordHash || clean.disabled) revokeUserSessions(id);
+    return db.update('adminUsers', id, { ...clean, updatedAt: now() });
+  });
+}
+
+// The account for an email and password, or null
+function authenticate(email, password) {
+  const user = findUserByEmail(email);
+  const matches = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+  if (!user || !matches || user.disabled) return null;
+  return user;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Sign a user in: returns { token, expiresAt }. Only the token's hash is stored.
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + sessionHours() * 3600000);
+  db.transaction(() => {
+    db.insert('adminSessions', {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: now(),
+      expiresAt: expiresAt.toISOString(),
+      revokedAt: null,
+    }, 'ses');
+    db.update('adminUsers', user.id, { lastLoginAt: now() });
+  });
+  return { token, expiresAt };
+}
+
+// The signed-in account for a session token, or null if the session is unknown, expired,
+// revoked or its account is disabled
+function sessionUser(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = db.find('adminSessions', s => s.tokenHash === tokenHash);
+  if (!session || session.revokedAt || Date.parse(session.expiresAt) <= Date.now()) return null;
+  const user = getUser(session.userId);
+  if (!user || user.disabled) return null;
+  return user;
+}
+
+function revokeSession(token) {
+  const tokenHash = hashToken(token);
+  return db.updateWhere('adminSessions', s => s.tokenHash === tokenHash && !s.revokedAt, { revokedAt: now() });
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  AdminUserError,
+  sessionHours,
+  publicUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  authenticate,
+  createSession,
+  sessionUser,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,69 @@
+// How booked demos actually went: store staff check vendors in on the day from the run sheet,
+// mark them late or as no-shows, and leave notes. No-shows are also a slot status (the demo
+// still counts as sold - see lib/bookings.js); checked-in and late demos stay booked.
+//
+// Attendance:  null (not recorded yet) -> checked-in / late / no-show
+
+const bookings = require('./bookings');
+const slots = require('./slots');
+
+const STATUSES = ['checked-in', 'late', 'no-show'];
+
+// A demo's attendance, or null if nobody has recorded it. Demos marked as no-shows before
+// check-in existed only have the slot status.
+function attendanceOf(slot) {
+  return slot.status === 'no-show' ? 'no-show' : slot.attendance || null;
+}
+
+// The run sheet for a store: its demos from `from` to `to` (YYYY-MM-DD, inclusive), in order,
+// with what staff need on the day - who is coming, what they demo and how to reach them
+function runSheet(location, from, to) {
+  const demos = [];
+  bookings.listOrders({ statuses: ['paid'] }).forEach(order => {
+    order.slots
+      .filter(s => (s.status === 'booked' || s.status === 'no-show') && s.location === location && s.date >= from && s.date <= to)
+      .forEach(slot => {
+        demos.push({
+          slotId: slot.id,
+          sessionId: order.sessionId,
+          confirmationNumber: order.confirmationNumber,
+          date: slot.date,
+          time: slot.time,
+          displayDate: slot.displayDate,
+          company: order.company,
+          product: order.product,
+          contactName: order.customerName,
+          phone: order.phone || null,
+          email: order.email,
+          attendance: attendanceOf(slot),
+          attendanceAt: slot.attendanceAt || null,
+          attendanceBy: slot.attendanceBy || null,
+          notes: slot.notes || '',
+        });
+      });
+  });
+  return demos.sort((a, b) => slots.slotStartsAt(a) - slots.slotStartsAt(b));
+}
+
+// Tallies for demos whose day has come (up to today): how many were checked in, late, no-shows
+// or never recorded, and the no-show rate in percent (one decimal)
+function stats(demos, today = slots.toDateKey(new Date())) {
+  const due = demos.filter(d => d.date <= today);
+  const count = status => due.filter(d => attendanceOf(d) === status).length;
+  const noShows = count('no-show');
+  return {
+    demos: due.length,
+    checkedIn: count('checked-in'),
+    late: count('late'),
+    noShows,
+    unrecorded: due.filter(d => !attendanceOf(d)).length,
+    noShowRate: due.length > 0 ? Math.round((noShows / due.length) * 1000) / 10 : 0,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  attendanceOf,
+  runSheet,
+  stats,
+};
@@ -0,0 +1,66 @@
+// Append-only audit trail of admin actions and booking lifecycle events: who did what,
+// to which booking, when and why. Entries are only ever added; nothing updates or
+// removes them.
+//
+// Entry:  { at, action, actor: { type, id, name }, orderId, sessionId, confirmationNumber,
+//           summary, details }
+// Actors: admin (an admin account), vendor (through a manage link), stripe (webhooks)
+//         and system (emails, scheduled jobs)
+
+const db = require('./db');
+const slots = require('./slots');
+
+const SYSTEM = { type: 'system', id: null, name: 'System' };
+const STRIPE = { type: 'stripe', id: null, name: 'Stripe' };
+
+function adminActor(admin) {
+  return { type: 'admin', id: admin.id, name: admin.email };
+}
+
+function vendorActor(order) {
+  return { type: 'vendor', id: order.customerId, name: order.email };
+}
+
+// Add an entry. order (optional) ties it to a booking; summary is one human-readable line.
+function record(action, { actor = SYSTEM, order = null, summary, details = {} }) {
+  return db.insert('auditLog', {
+    at: new Date().toISOString(),
+    action,
+    actor,
+    orderId: order ? order.id : null,
+    sessionId: order ? order.sessionId : null,
+    confirmationNumber: order ? order.confirmationNumber || null : null,
+    summary,
+    details,
+  }, 'aud');
+}
+
+// Entries matching every given filter, newest first:
+//   booking - a confirmation number, Checkout Session id or order id
+//   actor   - part of the actor's name (an email), or an actor type
+//   action  - an action, or its prefix ("refund" matches "refund.issued")
+//   from/to - store-local dates, YYYY-MM-DD, inclusive
+function query({ booking, actor, action, from, to } = {}) {
+  const bookingId = booking ? String(booking).trim().toLowerCase() : null;
+  const actorText = actor ? String(actor).trim().toLowerCase() : null;
+
+  return db.filter('auditLog', entry => {
+    if (bookingId && ![entry.confirmationNumber, entry.sessionId, entry.orderId]
+      .some(id => id && id.toLowerCase() === bookingId)) return false;
+    if (actorText && entry.actor.type !== actorText && !String(entry.actor.name || '').toLowerCase().includes(actorText)) return false;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+    const day = slots.toDateKey(new Date(entry.at));
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  }).sort((a, b) => b.at.localeCompare(a.at));
+}
+
+module.exports = {
+  SYSTEM,
+  STRIPE,
+  adminActor,
+  vendorActor,
+  record,
+  query,
+};
@@ -0,0 +1,134 @@
+// Availability rules per store: open weekdays, slot start times, demos per day,
+// booking lead time and one-off blackout dates, plus the store address and arrival
+// instructions sent to vendors. Stored in the booking store; a location without
+// saved rules uses DEFAULT_RULES.
+
+const db = require('./db');
+
+const LOCATIONS = ['Kentfield', 'Tiburon', 'San Francisco'];
+
+const DEFAULT_RULES = {
+  openWeekdays: [1, 2, 3, 4, 5], // 0 = Sunday
+  slotTimes: ['11:00 AM', '3:00 PM'],
+  slotsPerDay: 2,
+  leadDays: 14,
+  blackoutDates: [], // [{ date: 'YYYY-MM-DD', reason }]
+  address: '', // street address for reminder emails and calendar invites
+  arrivalInstructions: 'Please arrive 30 minutes before your slot and check in at the customer service desk. ' +
+    'A table is provided; bring your own samples, serving supplies and signage.',
+};
+
+const TIME_PATTERN = /^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class RulesValidationError extends Error {}
+
+// "3:00 PM" -> minutes after midnight, for sorting slot times
+function minutesOf(time) {
+  const [clock, period] = time.split(' ');
+  let [hours, minutes] = clock.split(':').map(Number);
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  return hours * 60 + minutes;
+}
+
+function getRules(location) {
+  const stored = db.find('availabilityRules', r => r.location === location);
+  return {
+    location,
+    ...DEFAULT_RULES,
+    blackoutDates: [],
+    ...(stored || {}),
+  };
+}
+
+function listRules() {
+  return LOCATIONS.map(getRules);
+}
+
+// Check an admin's patch and return the cleaned-up fields; throws RulesValidationError
+function validatePatch(patch) {
+  const clean = {};
+
+  if (patch.openWeekdays !== undefined) {
+    if (!Array.isArray(patch.openWeekdays) || !patch.openWeekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new RulesValidationError('openWeekdays must be a list of weekday numbers (0 = Sunday ... 6 = Saturday)');
+    }
+    clean.openWeekdays = Array.from(new Set(patch.openWeekdays)).sort();
+  }
+
+  if (patch.slotTimes !== undefined) {
+    if (!Array.isArray(patch.slotTimes) || patch.slotTimes.length === 0) {
+      throw new RulesValidationError('slotTimes must list at least one start time');
+    }
+    const times = patch.slotTimes.map(t => String(t).trim().toUpperCase());
+    const bad = times.find(t => !TIME_PATTERN.test(t));
+    if (bad) throw new RulesValidationError(`Invalid slot time "${bad}" - use a format like "11:00 AM"`);
+    clean.slotTimes = Array.from(new Set(times)).sort((a, b) => minutesOf(a) - minutesOf(b));
+  }
+
+  if (patch.slotsPerDay !== undefined) {
+    if (!Number.isInteger(patch.slotsPerDay) || patch.slotsPerDay < 1) {
+      throw new RulesValidationError('slotsPerDay must be a whole number of at least 1');
+    }
+    clean.slotsPerDay = patch.slotsPerDay;
+  }
+
+  if (patch.leadDays !== undefined) {
+    if (!Number.isInteger(patch.leadDays) || patch.leadDays < 0) {
+      throw new RulesValidationError('leadDays must be a whole number of days');
+    }
+    clean.leadDays = patch.leadDays;
+  }
+
+  ['address', 'arrivalInstructions'].forEach(key => {
+    if (patch[key] === undefined) return;
+    if (typeof patch[key] !== 'string') throw new RulesValidationError(`${key} must be text`);
+    clean[key] = patch[key].trim();
+  });
+
+  return clean;
+}
+
+function saveRules(location, fields) {
+  const existing = db.find('availabilityRules', r => r.location === location);
+  const record = { ...fields, updatedAt: new Date().toISOString() };
+  if (existing) return db.update('availabilityRules', existing.id, record);
+  return db.insert('availabilityRules', { location, ...record }, 'avr');
+}
+
+function updateRules(location, patch) {
+  saveRules(location, validatePatch(patch));
+  return getRules(location);
+}
+
+function addBlackout(location, { date, reason }) {
+  if (!DATE_PATTERN.test(date || '')) {
+    throw new RulesValidationError('date must be in YYYY-MM-DD format');
+  }
+  const rules = getRules(location);
+  const blackoutDates = rules.blackoutDates
+    .filter(b => b.date !== date)
+    .concat({ date, reason: reason ? String(reason).trim() : '' })
+    .sort((a, b) => a.date.localeCompare(b.date));
+  saveRules(location, { blackoutDates });
+  return getRules(location);
+}
+
+function removeBlackout(location, date) {
+  const rules = getRules(location);
+  saveRules(location, { blackoutDates: rules.blackoutDates.filter(b => b.date !== date) });
+  return getRules(location);
+}
+
+module.exports = {
+  LOCATIONS,
+  DEFAULT_RULES,
+  RulesValidationError,
+  minutesOf,
+  getRules,
+  listRules,
+  updateRules,
+  addBlackout,
+  removeBlackout,
+};
@@ -0,0 +1,324 @@
+// Booking repository - customers, orders, demo slots and refunds.
+// Routes go through these functions rather than touching the store directly.
+//
+// Order status:  pending (checkout open, slots held) -> paid -> refunded
+//                pending -> expired / cancelled (checkout lapsed or abandoned, slots released)
+// Slot status:   held -> booked -> refunded
+//                held -> released
+//                booked -> cancelled (taken out without a refund, or for credit) / refunded (for a refund)
+//                booked <-> no-show (the vendor didn't turn up; the demo still counts as sold)
+// Booked and no-show slots also record attendance from the day's run sheet (lib/attendance.js).
+
+const crypto = require('crypto');
+const db = require('./db');
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Confirmation numbers are derived from the Checkout Session so every lookup agrees on them
+function confirmationNumberFor(sessionId) {
+  const hash = crypto.createHash('sha256').update(sessionId).digest();
+  return `WM-${String(hash.readUInt32BE(0) % 100000000).padStart(8, '0')}`;
+}
+
+// Find or create the customer for an email address. Details from a booking only fill in
+// fields the customer doesn't have yet: anyone can book with any email address, so the saved
+// profile is only changed by its owner (lib/vendor-accounts.js).
+function upsertCustomer({ email, name, company, phone }) {
+  const key = String(email || '').trim().toLowerCase();
+  const existing = db.find('customers', c => c.email === key);
+  const details = { name, company, phone };
+  Object.keys(details).forEach(k => details[k] === undefined && delete details[k]);
+
+  if (existing) {
+    Object.keys(details).forEach(k => existing[k] && delete details[k]);
+    if (Object.keys(details).length === 0) return existing;
+    return db.update('customers', existing.id, { ...details, updatedAt: now() });
+  }
+  return db.insert('customers', { email: key, ...details, createdAt: now(), updatedAt: now() }, 'cus');
+}
+
+function getCustomer(id) {
+  return db.get('customers', id);
+}
+
+// Create an order and its demo slots. Pending orders hold their slots, paid ones book them.
+function createOrder({ customer, product, cart, status = 'pending', holdExpiresAt = null, createdAt = now(), ...extra }) {
+  return db.transaction(() => {
+    const record = upsertCustomer(customer);
+    const order = db.insert('orders', {
+      customerId: record.id,
+      email: record.email,
+      customerName: customer.name,
+      company: customer.company,
+      product,
+      phone: customer.phone,
+      status,
+      sessionId: null,
+      paymentIntentId: null,
+      amountTotal: 0,
+      amountRefunded: 0,
+      currency: 'usd',
+      confirmationNumber: null,
+      confirmationEmailSentAt: null,
+      confirmationEmailClaimedAt: null,
+      holdExpiresAt,
+      createdAt,
+      paidAt: null,
+      ...extra,
+    }, 'ord');
+
+    cart.forEach(item => {
+      db.insert('slots', {
+        orderId: order.id,
+        location: item.location,
+        date: item.date,
+        time: item.time,
+        displayDate: item.displayDate,
+        listAmount: item.listAmount ?? null, // price before discounts, in cents
+        amount: item.amount ?? null, // what this demo was charged, in cents
+        status: status === 'pending' ? 'held' : 'booked',
+        createdAt,
+      }, 'slot');
+    });
+
+    return withSlots(order);
+  });
+}
+
+function attachCheckoutSession(orderId, session) {
+  return db.update('orders', orderId, {
+    sessionId: session.id,
+    amountTotal: session.amount_total,
+    holdExpiresAt: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : null,
+  });
+}
+
+function getOrder(id) {
+  return db.get('orders', id);
+}
+
+function findOrderBySession(sessionId) {
+  return db.find('orders', o => o.sessionId === sessionId);
+}
+
+function findOrderByPaymentIntent(paymentIntentId) {
+  return db.find('orders', o => o.paymentIntentId === paymentIntentId);
+}
+
+function orderSlots(orderId) {
+  return db.filter('slots', s => s.orderId === orderId);
+}
+
+function withSlots(order) {
+  return order ? { ...order, slots: orderSlots(order.id) } : null;
+}
+
+// Why markPaid takes a demo out of an order
+const TAKEN_REASON = 'Booked by someone else after the checkout lapsed';
+
+// Payment went through: the held slots become bookings. Slots released by a lapsed hold are
+// booked too if they are still free; ones another checkout, waitlist offer or reschedule has
+// taken since are cancelled instead, and need refunding. Returns { order, taken }.
+function markPaid(orderId, { paymentIntentId, amountTotal, confirmationNumber }) {
+  // Required here: lib/slots.js builds on this module
+  const slots = require('./slots');
+  return db.transaction(() => {
+    const released = orderSlots(orderId).filter(s => s.status === 'released');
+    // Only other bookings count - the store's rules may have changed, but the demo was paid for
+    const conflicts = new Set(slots.findConflicts(released, { orderId })
+      .filter(c => c.status !== 'closed')
+      .map(slots.slotKey));
+    const taken = released.filter(s => conflicts.has(slots.slotKey(s)))
+      .map(s => db.update('slots', s.id, { status: 'cancelled', cancelledAt: now(), cancelledBy: 'system', cancelReason: TAKEN_REASON }));
+    db.updateWhere('slots', s => s.orderId === orderId && (s.status === 'held' || s.status === 'released'), { status: 'booked' });
+    const order = db.update('orders', orderId, {
+      status: 'paid',
+      paymentIntentId,
+      amountTotal,
+      confirmationNumber,
+      holdExpiresAt: null,
+      paidAt: now(),
+    });
+    return { order, taken };
+  });
+}
+
+// Demos markPaid took out that have since been refunded
+function markTakenRefunded(slotIds) {
+  return db.updateWhere('slots', s => slotIds.includes(s.id) && s.status === 'cancelled', { status: 'refunded' });
+}
+
+// How long a claimed confirmation email may go unsent before another delivery can take it over
+// (the process sending it died)
+const CONFIRMATION_CLAIM_MINUTES = 10;
+
+// Claim an order's confirmation email before sending it, so a webhook redelivered while the
+// send is still in flight doesn't send it again. Returns false if it was sent or is being sent.
+function claimConfirmationEmail(orderId) {
+  return db.transaction(() => {
+    const order = db.get('orders', orderId);
+    if (!order || order.confirmationEmailSentAt) return false;
+    const claimedAt = order.confirmationEmailClaimedAt && Date.parse(order.confirmationEmailClaimedAt);
+    if (claimedAt && Date.now() - claimedAt < CONFIRMATION_CLAIM_MINUTES * 60000) return false;
+    db.update('orders', orderId, { confirmationEmailClaimedAt: now() });
+    return true;
+  });
+}
+
+// The send failed; the next webhook delivery can try again
+function releaseConfirmationEmail(orderId) {
+  return db.update('orders', orderId, { confirmationEmailClaimedAt: null });
+}
+
+function markConfirmationSent(orderId) {
+  return db.update('orders', orderId, { confirmationEmailSentAt: now(), confirmationEmailClaimedAt: null });
+}
+
+// Checkout expired or was abandoned: give the held slots back
+function releaseOrder(orderId, status = 'expired') {
+  return db.transaction(() => {
+    const order = db.get('orders', orderId);
+    if (!order || order.status !== 'pending') return order;
+    db.updateWhere('slots', s => s.orderId === orderId && s.status === 'held', { status: 'released' });
+    return db.update('orders', orderId, { status, holdExpiresAt: null });
+  });
+}
+
+// Record a Stripe refund once, keyed by its Stripe id. slotIds names the demos it paid back.
+function recordRefund(orderId, { stripeRefundId, amount, reason = null, slotIds = [] }) {
+  const existing = stripeRefundId && db.find('refunds', r => r.stripeRefundId === stripeRefundId);
+  if (existing) return existing;
+  return db.insert('refunds', { orderId, stripeRefundId, amount, reason, slotIds, createdAt: now() }, 'ref');
+}
+
+function getSlot(id) {
+  return db.get('slots', id);
+}
+
+// Take booked demos out of an order, freeing their slots. Returns null (and changes nothing)
+// unless every one of them is booked, so two requests can't both cancel (and refund) a demo.
+function cancelSlots(slotIds, { status = 'cancelled', cancelledBy = null, reason = null } = {}) {
+  return db.transaction(() => {
+    const found = slotIds.map(id => db.get('slots', id));
+    if (found.some(slot => !slot || slot.status !== 'booked')) return null;
+    return slotIds.map(id => db.update('slots', id, { status, cancelledAt: now(), cancelledBy, cancelReason: reason }));
+  });
+}
+
+// Record a demo's attendance - checked-in, late or no-show - or clear it with null. No-shows
+// also change the slot's status. Returns null if the demo isn't booked or a no-show.
+function setAttendance(slotId, attendance, { by = null } = {}) {
+  return db.transaction(() => {
+    const slot = db.get('slots', slotId);
+    if (!slot || (slot.status !== 'booked' && slot.status !== 'no-show')) return null;
+    return db.update('slots', slotId, {
+      status: attendance === 'no-show' ? 'no-show' : 'booked',
+      attendance,
+      attendanceAt: attendance ? now() : null,
+      attendanceBy: attendance ? by : null,
+    });
+  });
+}
+
+// Staff notes on a demo, from the run sheet
+function setNotes(slotId, notes) {
+  return db.update('slots', slotId, { notes });
+}
+
+// Put a demo at a new date/time/location, keeping where it used to be
+function rescheduleSlot(slotId, { date, time, location, displayDate }) {
+  const slot = db.get('slots', slotId);
+  const previous = { date: slot.date, time: slot.time, location: slot.location, movedAt: now() };
+  return db.update('slots', slotId, {
+    status: 'booked',
+    date,
+    time,
+    location,
+    displayDate,
+    rescheduledFrom: (slot.rescheduledFrom || []).concat(previous),
+  });
+}
+
+// Undo cancelSlots when the refund behind it fails
+function restoreSlots(slotIds) {
+  return db.transaction(() => slotIds.map(id => (
+    db.update('slots', id, { status: 'booked', cancelledAt: null, cancelledBy: null, cancelReason: null })
+  )));
+}
+
+// Fully refunded: the order is cancelled and its slots go back into inventory
+function markRefunded(orderId, amountRefunded) {
+  return db.transaction(() => {
+    db.updateWhere('slots', s => s.orderId === orderId && (s.status === 'booked' || s.status === 'no-show'), { status: 'refunded' });
+    return db.update('orders', orderId, { status: 'refunded', amountRefunded });
+  });
+}
+
+// Partial refunds change the amount but leave the booking in place
+function setAmountRefunded(orderId, amountRefunded) {
+  return db.update('orders', orderId, { amountRefunded });
+}
+
+// What Stripe actually moved for the order's charge (see splitFromCharge in lib/stripe-sync.js)
+function recordSplit(orderId, split) {
+  return db.update('orders', orderId, { ...split, splitSyncedAt: now() });
+}
+
+function refundsFor(orderId) {
+  return db.filter('refunds', r => r.orderId === orderId);
+}
+
+// Orders (newest first) with their slots, optionally limited to some statuses or one customer
+function listOrders({ statuses, customerId } = {}) {
+  return db.filter('orders', o => (!statuses || statuses.includes(o.status)) && (!customerId || o.customerId === customerId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(withSlots);
+}
+
+// Slots currently taking up inventory: bookings (no-shows included) plus holds that haven't lapsed
+function activeSlots(at = Date.now()) {
+  const liveHolds = new Set(
+    db.filter('orders', o => o.status === 'pending' && (!o.holdExpiresAt || Date.parse(o.holdExpiresAt) > at))
+      .map(o => o.id)
+  );
+  return db.filter('slots', s => s.status === 'booked' || s.status === 'no-show' || (s.status === 'held' && liveHolds.has(s.orderId)))
+    .map(s => {
+      if (s.status !== 'held') return s;
+      return { ...s, holdExpiresAt: db.get('orders', s.orderId).holdExpiresAt };
+    });
+}
+
+module.exports = {
+  confirmationNumberFor,
+  upsertCustomer,
+  getCustomer,
+  createOrder,
+  attachCheckoutSession,
+  getOrder,
+  findOrderBySession,
+  findOrderByPaymentIntent,
+  orderSlots,
+  withSlots,
+  TAKEN_REASON,
+  markPaid,
+  markTakenRefunded,
+  claimConfirmationEmail,
+  releaseConfirmationEmail,
+  markConfirmationSent,
+  releaseOrder,
+  recordRefund,
+  getSlot,
+  cancelSlots,
+  setAttendance,
+  setNotes,
+  rescheduleSlot,
+  restoreSlots,
+  markRefunded,
+  setAmountRefunded,
+  recordSplit,
+  refundsFor,
+  listOrders,
+  activeSlots,
+};
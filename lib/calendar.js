@@ -0,0 +1,208 @@
+// Calendar files (RFC 5545) and "add to calendar" links for demo slots. Shared by the
+// server and the browser pages: Node requires it, and /calendar.js serves it to the
+// pages, where it defines window.WoodlandsCalendar.
+//
+// Times are written in America/Los_Angeles with its VTIMEZONE. Each booked slot keeps
+// one UID, so a later METHOD:REQUEST (with a higher SEQUENCE) moves the event in the
+// vendor's calendar and METHOD:CANCEL removes it.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WoodlandsCalendar = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TIMEZONE = 'America/Los_Angeles';
+  const DEMO_HOURS = 3;
+  const ORGANIZER = { name: 'Woodlands Market', email: 'bookings@woodlandsmarket.com' };
+
+  const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0800',
+    'TZOFFSETTO:-0700',
+    'TZNAME:PDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0800',
+    'TZNAME:PST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+  ];
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // TEXT value: backslash, semicolon, comma and newlines escaped
+  function escapeText(value) {
+    return String(value == null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Split a content line into lines of at most 75 octets, continuations starting with a space
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > 75) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  // Store-local wall-clock time of "2026-03-05" + "3:00 PM" (+ hours), as a UTC timestamp
+  function wallClock(date, time, plusHours = 0) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [clock, period] = time.split(' ');
+    let [hours, minutes] = clock.split(':').map(Number);
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+    return Date.UTC(y, m - 1, d, hours + plusHours, minutes);
+  }
+
+  // "2026-03-05" + "3:00 PM" (+ hours) -> store-local "20260305T150000"
+  function localDateTime(date, time, plusHours = 0) {
+    const at = new Date(wallClock(date, time, plusHours));
+    return `${at.getUTCFullYear()}${pad(at.getUTCMonth() + 1)}${pad(at.getUTCDate())}T${pad(at.getUTCHours())}${pad(at.getUTCMinutes())}00`;
+  }
+
+  // The moment a slot starts, as a Date
+  function startsAt({ date, time }) {
+    const asUtc = wallClock(date, time);
+    // Shift by the stores' UTC offset on that day (PST or PDT)
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: TIMEZONE, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(new Date(asUtc));
+    const part = type => Number(parts.find(p => p.type === type).value);
+    const localAsUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+    return new Date(asUtc + (asUtc - localAsUtc));
+  }
+
+  function utcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Stable per booked slot; slots not booked yet (a cart) fall back to where and when they are
+  function uidFor(slot) {
+    const id = slot.id || `demo-${slot.date}-${slot.time}-${slot.location}`.replace(/[^A-Za-z0-9-]/g, '');
+    return `${id}@woodlandsmarket.com`;
+  }
+
+  // What a demo looks like in a calendar: { uid, start, end, summary, location, description, sequence }.
+  // A slot's own company, product and notes (feeds mixing several vendors) win over the defaults.
+  function demoEvent(slot, defaults = {}) {
+    const company = slot.company || defaults.company;
+    const product = slot.product || defaults.product;
+    return {
+      uid: uidFor(slot),
+      start: localDateTime(slot.date, slot.time),
+      end: localDateTime(slot.date, slot.time, DEMO_HOURS),
+      summary: company ? `Product Demo - ${company}` : `Product Demo at Woodlands Market - ${slot.location}`,
+      location: `Woodlands Market, ${slot.address || `${slot.location}, CA`}`,
+      description: `${product ? `Product: ${product}\n` : ''}${DEMO_HOURS}-hour product demonstration slot at Woodlands Market ${slot.location}.` +
+        (slot.notes ? `\n\n${slot.notes}` : ''),
+      // Bumped by each reschedule, so calendars take the newer version
+      sequence: (slot.rescheduledFrom || []).length,
+    };
+  }
+
+  // A VCALENDAR for some demo slots. method is PUBLISH (a plain file), REQUEST (an invite
+  // that later REQUESTs update) or CANCEL (removes the events). attendee is the vendor's email.
+  // name makes it a subscribable feed that calendar apps refresh every hour.
+  function demoCalendar(slots, { company, product, attendee, method = 'PUBLISH', name, now = new Date() } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Woodlands Market//Demo Scheduling//EN',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+    ];
+    if (name) {
+      lines.push(
+        `NAME:${escapeText(name)}`,
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+      );
+    }
+    lines.push(...VTIMEZONE);
+
+    slots.forEach(slot => {
+      const event = demoEvent(slot, { company, product });
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `SEQUENCE:${method === 'CANCEL' ? event.sequence + 1 : event.sequence}`,
+        `DTSTART;TZID=${TIMEZONE}:${event.start}`,
+        `DTEND;TZID=${TIMEZONE}:${event.end}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        `LOCATION:${escapeText(event.location)}`,
+        `DESCRIPTION:${escapeText(event.description)}`,
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+      );
+      if (method !== 'PUBLISH') {
+        lines.push(`ORGANIZER;CN=${ORGANIZER.name}:mailto:${ORGANIZER.email}`);
+        if (attendee) lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${attendee}`);
+      }
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Google Calendar "create event" link for one demo
+  function googleCalendarUrl(slot, details) {
+    const event = demoEvent(slot, details);
+    return 'https://calendar.google.com/calendar/render?action=TEMPLATE' +
+      `&text=${encodeURIComponent(event.summary)}` +
+      `&dates=${event.start}/${event.end}&ctz=${encodeURIComponent(TIMEZONE)}` +
+      `&location=${encodeURIComponent(event.location)}` +
+      `&details=${encodeURIComponent(event.description)}`;
+  }
+
+  // Outlook.com "create event" link for one demo. Outlook reads the times in the viewer's
+  // timezone, so they are given as UTC.
+  function outlookCalendarUrl(slot, details) {
+    const event = demoEvent(slot, details);
+    const start = startsAt(slot);
+    const end = new Date(start.getTime() + DEMO_HOURS * 3600000);
+    return 'https://outlook.live.com/calendar/0/deeplink/compose?path=/calendar/action/compose&rru=addevent' +
+      `&subject=${encodeURIComponent(event.summary)}` +
+      `&startdt=${encodeURIComponent(start.toISOString())}&enddt=${encodeURIComponent(end.toISOString())}` +
+      `&location=${encodeURIComponent(event.location)}` +
+      `&body=${encodeURIComponent(event.description)}`;
+  }
+
+  return {
+    TIMEZONE,
+    DEMO_HOURS,
+    escapeText,
+    foldLine,
+    localDateTime,
+    startsAt,
+    demoEvent,
+    demoCalendar,
+    googleCalendarUrl,
+    outlookCalendarUrl,
+  };
+});
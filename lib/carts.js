@@ -0,0 +1,192 @@
+// Saved carts, for picking up an abandoned checkout. Every Checkout Session saves its cart -
+// the demos and the booking form's fields - under a random token. Stripe's cancel_url carries
+// the token so backing out of Checkout restores the cart, and a vendor whose checkout lapses
+// gets one recovery email with a link that rebuilds it (the demos that are still free).
+// Checking out again from a restored cart reuses it, so a paid cart that was once abandoned
+// counts as recovered. Like admin sessions, only hashes of tokens are stored.
+//
+// Cart status:  open (checkout in progress) -> paid
+//               open -> abandoned (checkout expired or the vendor backed out) -> open (checking out again)
+//               abandoned -> closed (no recovery email: they booked anyway, or the demos are gone)
+//               a paid cart that was abandoned on the way is recovered
+
+const crypto = require('crypto');
+const db = require('./db');
+const bookings = require('./bookings');
+const slots = require('./slots');
+
+// The booking form fields a cart keeps, besides the demos
+const FORM_FIELDS = ['customerName', 'customerEmail', 'company', 'product', 'phone', 'promoCode', 'businessName', 'billingAddress', 'taxId'];
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Minutes after abandonment before the recovery email (CHECKOUT_RECOVERY_DELAY_MINUTES, default 60),
+// so a vendor still rebuilding their cart isn't emailed about it
+function recoveryDelayMinutes() {
+  return Number(process.env.CHECKOUT_RECOVERY_DELAY_MINUTES) || 60;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function findByToken(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  return db.find('carts', c => c.tokenHash === tokenHash || c.recoveryTokenHash === tokenHash);
+}
+
+function findByOrder(orderId) {
+  return db.find('carts', c => c.orderId === orderId);
+}
+
+function isFinished(cart) {
+  return cart.status === 'paid' || cart.status === 'recovered';
+}
+
+// The token to save a new checkout's cart under: the one it was restored from, while that cart
+// is unpaid, or a new one
+function tokenFor(restoredToken) {
+  const cart = findByToken(restoredToken);
+  return cart && !isFinished(cart) ? restoredToken : crypto.randomBytes(24).toString('base64url');
+}
+
+// Save the cart behind a new Checkout Session under a token from tokenFor(). form holds the
+// booking form's fields (FORM_FIELDS).
+function recordCheckout({ token, order, form }) {
+  const details = {
+    orderId: order.id,
+    email: order.email,
+    form: Object.fromEntries(FORM_FIELDS.map(field => [field, form[field] || ''])),
+    items: order.slots.map(s => ({ date: s.date, time: s.time, location: s.location })),
+    status: 'open',
+    updatedAt: now(),
+  };
+  return db.transaction(() => {
+    const existing = findByToken(token);
+    if (existing && !isFinished(existing)) {
+      return db.update('carts', existing.id, { ...details, checkouts: existing.checkouts + 1 });
+    }
+    return db.insert('carts', {
+      tokenHash: hashToken(token),
+      ...details,
+      checkouts: 1,
+      createdAt: now(),
+      abandonedAt: null,
+      recoveryTokenHash: null,
+      recoveryEmailSentAt: null,
+      closedReason: null,
+      paidAt: null,
+    }, 'crt');
+  });
+}
+
+// The order's checkout went through. Returns the cart, or null if it has none (e.g. a session
+// imported from Stripe).
+function markPaid(orderId) {
+  return db.transaction(() => {
+    const cart = findByOrder(orderId);
+    if (!cart || isFinished(cart)) return cart || null;
+    return db.update('carts', cart.id, { status: cart.abandonedAt ? 'recovered' : 'paid', paidAt: now() });
+  });
+}
+
+// The order's checkout expired or the vendor backed out of it
+function markAbandoned(orderId) {
+  return db.transaction(() => {
+    const cart = findByOrder(orderId);
+    if (!cart || cart.status !== 'open') return null;
+    return db.update('carts', cart.id, { status: 'abandoned', abandonedAt: now() });
+  });
+}
+
+// Checkouts whose hold ran out without Stripe telling us count as abandoned too
+function abandonLapsed(at = Date.now()) {
+  return db.filter('carts', c => c.status === 'open').filter(cart => {
+    const order = bookings.getOrder(cart.orderId);
+    return order && order.status === 'pending' && order.holdExpiresAt && Date.parse(order.holdExpiresAt) <= at;
+  }).map(cart => markAbandoned(cart.orderId)).filter(Boolean);
+}
+
+// A cart's demos, each with whether it can still be booked: [{ date, time, location,
+// displayDate, available }]
+function itemsWithAvailability(cart) {
+  const items = cart.items.map(item => ({ ...item, displayDate: slots.displayDateFor(item.date) }));
+  // Its own checkout's hold, if it hasn't been released yet, doesn't count against it
+  const taken = slots.findConflicts(items, { orderId: cart.orderId });
+  return items.map(item => ({
+    ...item,
+    available: !taken.some(c => c.location === item.location && c.date === item.date && c.time === item.time),
+  }));
+}
+
+// Abandoned carts due a recovery email. Carts whose vendor has paid for another booking since,
+// or whose demos have all gone, are closed instead. Returns [{ cart, items }] with the demos
+// that are still free.
+function dueForRecovery(at = Date.now()) {
+  const cutoff = new Date(at - recoveryDelayMinutes() * 60000).toISOString();
+  const due = [];
+  db.filter('carts', c => c.status === 'abandoned' && !c.recoveryEmailSentAt && c.abandonedAt <= cutoff).forEach(cart => {
+    const order = bookings.getOrder(cart.orderId);
+    const bookedSince = order && bookings.listOrders({ statuses: ['paid'], customerId: order.customerId })
+      .some(o => o.paidAt && o.paidAt > cart.abandonedAt);
+    const items = itemsWithAvailability(cart).filter(item => item.available);
+    if (bookedSince || items.length === 0) {
+      db.update('carts', cart.id, { status: 'closed', closedReason: bookedSince ? 'booked' : 'unavailable', updatedAt: now() });
+      return;
+    }
+    due.push({ cart, items });
+  });
+  return due;
+}
+
+// A link token for the recovery email
+function issueRecoveryToken(cartId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  db.update('carts', cartId, { recoveryTokenHash: hashToken(token) });
+  return token;
+}
+
+// Recorded once the email is sent, so a cart only ever gets one
+function markRecoveryEmailSent(cartId) {
+  return db.update('carts', cartId, { recoveryEmailSentAt: now() });
+}
+
+// Checkout funnel for checkouts started between from and to (store-local days, inclusive):
+// sessions created, how many were paid, how many of those were recovered after being
+// abandoned, how many are still abandoned, and recovery emails sent
+function funnel({ from = null, to = null } = {}) {
+  const inRange = iso => {
+    const day = slots.toDateKey(new Date(iso));
+    return (!from || day >= from) && (!to || day <= to);
+  };
+  const orders = db.filter('orders', o => o.sessionId && inRange(o.createdAt));
+  const paid = orders.filter(o => o.status === 'paid' || o.status === 'refunded');
+  const carts = db.filter('carts', c => inRange(c.createdAt));
+  return {
+    sessionsCreated: orders.length,
+    paid: paid.length,
+    recovered: carts.filter(c => c.status === 'recovered').length,
+    abandoned: carts.filter(c => c.status === 'abandoned' || c.status === 'closed').length,
+    recoveryEmailsSent: carts.filter(c => c.recoveryEmailSentAt).length,
+    conversionRate: orders.length > 0 ? Math.round((paid.length / orders.length) * 1000) / 10 : 0,
+  };
+}
+
+module.exports = {
+  FORM_FIELDS,
+  recoveryDelayMinutes,
+  findByToken,
+  tokenFor,
+  recordCheckout,
+  markPaid,
+  markAbandoned,
+  abandonLapsed,
+  itemsWithAvailability,
+  dueForRecovery,
+  issueRecoveryToken,
+  markRecoveryEmailSent,
+  funnel,
+};
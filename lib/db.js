@@ -0,0 +1,194 @@
+// JSON-file storage adapter.
+// The whole document is kept in memory and written through to disk (atomically,
+// via a temp file + rename) after every change. All operations are synchronous,
+// so a transaction can't interleave with another request in the same process.
+//
+// Other processes may share the file - the server and the scripts/ tools, say. Reads pick
+// up the file again once another process has replaced it, and every change takes a lock
+// file (<file>.lock) and re-reads the file before applying itself, so no process writes
+// back a stale copy over someone else's change.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'db.json');
+
+// How long a change waits for another process's lock, and when a lock is treated as left
+// behind by a process that died
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+// Block this process for ms milliseconds (the store is synchronous throughout)
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.data = null;
+    this.version = null;
+    this.depth = 0;
+  }
+
+  // Identifies the file on disk; every save renames a new file into place, so it changes
+  // whenever any process writes
+  fileVersion() {
+    try {
+      const stat = fs.statSync(this.file);
+      return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  load() {
+    // A transaction works on its own copy until it saves
+    if (this.depth > 0) return this.data;
+    const version = this.fileVersion();
+    if (this.data && version === this.version) return this.data;
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = {};
+    }
+    this.version = version;
+    return this.data;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmp, this.file);
+    this.version = this.fileVersion();
+  }
+
+  lock() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockFile, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(this.lockFile).mtimeMs > STALE_LOCK_MS) fs.rmSync(this.lockFile, { force: true });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${this.file}`);
+      sleep(10);
+    }
+  }
+
+  unlock() {
+    fs.rmSync(this.lockFile, { force: true });
+  }
+
+  // Apply a change under the lock to the latest copy of the file and write it out. Any throw
+  // rolls the document back - to the file, which it never reached. Inside a transaction the
+  // change just joins it.
+  write(fn) {
+    if (this.depth > 0) return fn();
+    this.lock();
+    try {
+      this.load();
+      this.depth++;
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        this.data = null;
+        throw error;
+      } finally {
+        this.depth--;
+      }
+      this.save();
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  collection(name) {
+    const data = this.load();
+    if (!data[name]) data[name] = [];
+    return data[name];
+  }
+
+  all(name) {
+    return this.collection(name).map(record => ({ ...record }));
+  }
+
+  get(name, id) {
+    const record = this.collection(name).find(r => r.id === id);
+    return record ? { ...record } : null;
+  }
+
+  find(name, predicate) {
+    const record = this.collection(name).find(predicate);
+    return record ? { ...record } : null;
+  }
+
+  filter(name, predicate) {
+    return this.collection(name).filter(predicate).map(record => ({ ...record }));
+  }
+
+  insert(name, record, prefix = name.slice(0, 3)) {
+    return this.write(() => {
+      const stored = { id: newId(prefix), ...record };
+      this.collection(name).push(stored);
+      return { ...stored };
+    });
+  }
+
+  update(name, id, patch) {
+    return this.write(() => {
+      const record = this.collection(name).find(r => r.id === id);
+      if (!record) return null;
+      Object.assign(record, patch);
+      return { ...record };
+    });
+  }
+
+  // Apply patch to every record matching predicate; returns how many changed
+  updateWhere(name, predicate, patch) {
+    // Nothing to change: skip the lock and the write
+    if (this.depth === 0 && !this.collection(name).some(predicate)) return 0;
+    return this.write(() => {
+      const matches = this.collection(name).filter(predicate);
+      matches.forEach(record => Object.assign(record, patch));
+      return matches.length;
+    });
+  }
+
+  // Run fn with a single write at the end; any throw rolls the document back
+  transaction(fn) {
+    if (this.depth === 0) return this.write(() => fn(this));
+    // Nested: roll back just this part if it throws
+    const snapshot = JSON.stringify(this.data);
+    try {
+      return fn(this);
+    } catch (error) {
+      this.data = JSON.parse(snapshot);
+      throw error;
+    }
+  }
+}
+
+const db = new JsonFileStore(process.env.DATABASE_FILE || DEFAULT_FILE);
+
+module.exports = db;
+module.exports.JsonFileStore = JsonFileStore;
+module.exports.newId = newId;
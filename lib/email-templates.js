@@ -0,0 +1,371 @@
+// The emails the app sends, as named templates that render both an HTML and a plain-text
+// part from plain data. Templates don't look anything up; the server gathers the data.
+//
+// Each template has a version, recorded in the outbox with every email sent from it - bump
+// it whenever a template's wording or layout changes. sample is the data the admin preview
+// renders.
+//
+// Everything interpolated into HTML goes through escapeHtml.
+
+const { escapeHtml } = require('./html');
+
+const SUPPORT_EMAIL = 'demos@woodlandsmarket.com';
+
+function dollars(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// "Nov 20, 2026 • 11:00 AM – Woodlands Market Tiburon"
+function demoLine(demo) {
+  return `${demo.displayDate} • ${demo.time} – Woodlands Market ${demo.location}`;
+}
+
+// Shared HTML shell: header with an optional badge, the body, and the policy footer
+function layout({ badge, heading, subheading, body, policy }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a3a21; }
+        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+        .header { text-align: center; margin-bottom: 32px; }
+        .logo { width: 60px; height: 60px; background: linear-gradient(135deg, #2d6339, #234d2c); border-radius: 12px; margin: 0 auto 16px; display: flex; align-items: center; justify-content: center; color: white; font-size: 24px; font-weight: bold; }
+        .badge { display: inline-block; padding: 8px 16px; border-radius: 20px; font-weight: 600; margin-bottom: 16px; }
+        h1 { color: #1a3a21; margin: 0 0 8px; }
+        .details-box { background: #faf8f5; border-radius: 12px; padding: 24px; margin: 24px 0; }
+        .detail-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e8e0d5; }
+        .detail-row:last-child { border-bottom: none; }
+        .detail-label { color: #7a6352; }
+        .detail-value { font-weight: 600; text-align: right; }
+        table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+        th { text-align: left; padding: 12px; background: #eef7f0; color: #2d6339; font-size: 12px; text-transform: uppercase; }
+        td { padding: 12px; border-bottom: 1px solid #e8e0d5; }
+        .btn { display: inline-block; background: #2d6339; color: white; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: 500; margin: 8px 4px; }
+        .muted { color: #7a6352; }
+        .footer { text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #e8e0d5; color: #7a6352; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">WM</div>
+          ${badge ? `<span class="badge" style="background: ${badge.background}; color: ${badge.color};">${escapeHtml(badge.text)}</span>` : ''}
+          <h1>${escapeHtml(heading)}</h1>
+          ${subheading ? `<p class="muted" style="margin: 0;">${escapeHtml(subheading)}</p>` : ''}
+        </div>
+        ${body}
+        <div class="footer">
+          <p><strong>Woodlands Market</strong></p>
+          <p>Questions? Contact us at ${SUPPORT_EMAIL}</p>
+          ${policy ? `<p style="margin-top: 16px; font-size: 12px;">${escapeHtml(policy)}</p>` : ''}
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function detailsBox(rows) {
+  return `
+        <div class="details-box">
+          ${rows.map(([label, value]) => `
+          <div class="detail-row">
+            <span class="detail-label">${escapeHtml(label)}</span>
+            <span class="detail-value">${escapeHtml(value).replace(/\n/g, '<br>')}</span>
+          </div>`).join('')}
+        </div>`;
+}
+
+function button(prompt, url, label) {
+  if (!url) return '';
+  return `
+        <div style="text-align: center; margin: 32px 0;">
+          <p class="muted" style="margin-bottom: 16px;">${escapeHtml(prompt)}</p>
+          <a href="${escapeHtml(url)}" class="btn" target="_blank">${escapeHtml(label)}</a>
+        </div>`;
+}
+
+function demoList(demos) {
+  return `
+        <div class="details-box">
+          ${demos.map(d => `<p style="margin: 4px 0;"><strong>${escapeHtml(`${d.displayDate} • ${d.time}`)}</strong> – Woodlands Market ${escapeHtml(d.location)}</p>`).join('')}
+        </div>`;
+}
+
+// Plain-text part: paragraphs (strings, or arrays of lines) separated by blank lines
+function textEmail(paragraphs, policy) {
+  return [
+    ...paragraphs.filter(Boolean).map(p => (Array.isArray(p) ? p.filter(Boolean).join('\n') : p)),
+    ['Woodlands Market', `Questions? Contact us at ${SUPPORT_EMAIL}`, policy].filter(Boolean).join('\n'),
+  ].join('\n\n') + '\n';
+}
+
+const SAMPLE_DEMO = { displayDate: 'Nov 20, 2026', time: '11:00 AM', location: 'Tiburon' };
+const SAMPLE_POLICY = 'Demos can be rescheduled up to 3 days ahead. Cancel 14+ days ahead for a 100% refund, ' +
+  'or 3+ days ahead for store credit.';
+const SAMPLE_BOOKING = {
+  confirmationNumber: 'WM-12345678',
+  company: 'Sunny Side Jams',
+  product: 'Strawberry & rhubarb preserves',
+  manageUrl: 'https://example.com/manage?token=sample',
+  policy: SAMPLE_POLICY,
+};
+
+const TEMPLATES = {
+  // Sent once an order is paid, and again from the dashboard's "Resend Confirmation"
+  confirmation: {
+    version: 1,
+    description: 'Booking confirmed: every demo, the total paid and the manage link',
+    sample: {
+      ...SAMPLE_BOOKING,
+      totalPaid: 6000,
+      demos: [SAMPLE_DEMO, { displayDate: 'Nov 24, 2026', time: '3:00 PM', location: 'Kentfield' }],
+    },
+    subject: d => `Demo Confirmed - ${d.confirmationNumber}`,
+    html: d => layout({
+      badge: { text: '✓ Confirmed', background: '#d4edda', color: '#2d6339' },
+      heading: 'Your Demo is Booked!',
+      subheading: 'Thanks for booking with Woodlands Market',
+      policy: d.policy,
+      body: `
+        ${detailsBox([
+          ['Confirmation #', d.confirmationNumber],
+          ['Company', d.company],
+          ['Product', d.product],
+          ['Total Paid', dollars(d.totalPaid)],
+        ])}
+        <h3 style="margin-bottom: 8px;">Your Scheduled Demos</h3>
+        <table>
+          <thead><tr><th>Date</th><th>Time</th><th>Location</th></tr></thead>
+          <tbody>
+            ${d.demos.map(demo => `<tr><td>${escapeHtml(demo.displayDate)}</td><td>${escapeHtml(demo.time)}</td><td>Woodlands Market - ${escapeHtml(demo.location)}</td></tr>`).join('')}
+          </tbody>
+        </table>
+        <p class="muted" style="text-align: center;">Each demo's calendar invite is attached.</p>
+        ${button('Need to move or cancel a demo?', d.manageUrl, 'Manage Your Booking')}`,
+    }),
+    text: d => textEmail([
+      'Your demo is booked! Thanks for booking with Woodlands Market.',
+      [`Confirmation #: ${d.confirmationNumber}`, `Company: ${d.company}`, `Product: ${d.product}`, `Total paid: ${dollars(d.totalPaid)}`],
+      ['Your scheduled demos:', ...d.demos.map(demo => `- ${demoLine(demo)}`)],
+      "Each demo's calendar invite is attached.",
+      d.manageUrl && `Need to move or cancel a demo? Manage your booking: ${d.manageUrl}`,
+    ], d.policy),
+  },
+
+  // Before each demo, at the REMINDER_OFFSETS_HOURS offsets
+  reminder: {
+    version: 1,
+    description: 'Upcoming demo: where and when, arrival instructions and the manage link',
+    sample: {
+      ...SAMPLE_BOOKING,
+      when: 'tomorrow',
+      demo: SAMPLE_DEMO,
+      address: '1 Main St, Tiburon, CA 94920',
+      arrivalInstructions: 'Check in at the customer service desk.\nPark behind the store.',
+    },
+    subject: d => `Reminder: Your Demo ${d.when} at Woodlands Market ${d.demo.location}`,
+    html: d => layout({
+      badge: { text: 'Reminder', background: '#fef3c7', color: '#b45309' },
+      heading: `Your Demo is ${d.when.charAt(0).toUpperCase() + d.when.slice(1)}`,
+      subheading: `${d.demo.displayDate} at ${d.demo.time} – Woodlands Market ${d.demo.location}`,
+      policy: d.policy,
+      body: `
+        ${detailsBox([
+          ['Confirmation #', d.confirmationNumber],
+          ['Company', d.company],
+          ['Product', d.product],
+          ['Store', `Woodlands Market ${d.demo.location}\n${d.address}`],
+        ])}
+        ${d.arrivalInstructions ? `
+        <h3 style="margin-bottom: 8px;">Arrival & Setup</h3>
+        <p class="muted">${escapeHtml(d.arrivalInstructions).replace(/\n/g, '<br>')}</p>` : ''}
+        ${button("Can't make it?", d.manageUrl, 'Manage Your Booking')}`,
+    }),
+    text: d => textEmail([
+      `Reminder: your demo is ${d.when} - ${demoLine(d.demo)}.`,
+      [`Confirmation #: ${d.confirmationNumber}`, `Company: ${d.company}`, `Product: ${d.product}`,
+        `Store: Woodlands Market ${d.demo.location}, ${d.address}`],
+      d.arrivalInstructions && `Arrival & setup:\n${d.arrivalInstructions}`,
+      d.manageUrl && `Can't make it? Manage your booking: ${d.manageUrl}`,
+    ], d.policy),
+  },
+
+  // Some or all demos of a booking cancelled, by an admin or the vendor. reason and outcome
+  // (what was refunded or credited) are plain text and optional.
+  cancellation: {
+    version: 1,
+    description: 'Demos cancelled: which ones, why, and any refund or credit',
+    sample: {
+      ...SAMPLE_BOOKING,
+      demos: [SAMPLE_DEMO],
+      reason: 'The store is closed for inventory that day',
+      outcome: 'A refund of $30.00 has been issued to your card. Refunds typically appear on your statement within 5-10 business days.',
+    },
+    subject: d => `${d.demos.length > 1 ? 'Demos' : 'Demo'} Cancelled - ${d.confirmationNumber}`,
+    html: d => layout({
+      heading: d.demos.length > 1 ? 'Demos Cancelled' : 'Demo Cancelled',
+      policy: d.policy,
+      body: `
+        <p class="muted">${escapeHtml(cancellationIntro(d))}</p>
+        ${d.demos.length > 0 ? demoList(d.demos) : ''}
+        ${button('Your other demos are still booked.', d.manageUrl, 'Manage Your Booking')}`,
+    }),
+    text: d => textEmail([
+      cancellationIntro(d),
+      d.demos.length > 0 && d.demos.map(demo => `- ${demoLine(demo)}`),
+      d.manageUrl && `Your other demos are still booked. Manage your booking: ${d.manageUrl}`,
+    ], d.policy),
+  },
+
+  // A vendor moved one demo from the manage page
+  reschedule: {
+    version: 1,
+    description: 'Demo moved: the old and new slot, with an updated calendar invite',
+    sample: {
+      ...SAMPLE_BOOKING,
+      from: { displayDate: 'Nov 18, 2026', time: '3:00 PM', location: 'Tiburon' },
+      demo: SAMPLE_DEMO,
+    },
+    subject: d => `Demo Rescheduled - ${d.confirmationNumber}`,
+    html: d => layout({
+      heading: 'Demo Rescheduled',
+      policy: d.policy,
+      body: `
+        <p class="muted">${escapeHtml(`Your demo has moved from ${d.from.displayDate} at ${d.from.time} (${d.from.location}) to:`)}</p>
+        ${demoList([d.demo])}
+        <p class="muted" style="text-align: center;">The attached invite updates the event in your calendar.</p>
+        ${button('Need another change?', d.manageUrl, 'Manage Your Booking')}`,
+    }),
+    text: d => textEmail([
+      `Your demo has moved from ${d.from.displayDate} at ${d.from.time} (${d.from.location}) to:\n- ${demoLine(d.demo)}`,
+      'The attached invite updates the event in your calendar.',
+      d.manageUrl && `Need another change? Manage your booking: ${d.manageUrl}`,
+    ], d.policy),
+  },
+
+  // To the next vendor on the waitlist when a slot opens up; the link holds it until expiresAt
+  waitlist: {
+    version: 1,
+    description: 'Waitlist offer: the slot that opened up and a link to book it before the hold lapses',
+    sample: {
+      company: SAMPLE_BOOKING.company,
+      demo: SAMPLE_DEMO,
+      offerUrl: 'https://example.com/?offer=sample',
+      expiresAt: 'Nov 10, 2026, 9:00 AM',
+      policy: SAMPLE_POLICY,
+    },
+    subject: d => `A demo slot opened up at Woodlands Market ${d.demo.location}`,
+    html: d => layout({
+      badge: { text: 'Slot Available', background: '#fff3cd', color: '#856404' },
+      heading: 'A Slot Opened Up!',
+      subheading: `You were on the waitlist for ${d.demo.displayDate}`,
+      policy: d.policy,
+      body: `
+        <p class="muted">${escapeHtml(`We're holding this slot for ${d.company}:`)}</p>
+        ${demoList([d.demo])}
+        <p class="muted" style="text-align: center;">${escapeHtml(`It's yours if you book by ${d.expiresAt}. After that it goes to the next vendor in line.`)}</p>
+        ${button('The link puts the slot in your cart.', d.offerUrl, 'Book This Slot')}`,
+    }),
+    text: d => textEmail([
+      `A slot opened up! You were on the waitlist for ${d.demo.displayDate}, and we're holding this slot for ${d.company}:\n- ${demoLine(d.demo)}`,
+      `It's yours if you book by ${d.expiresAt}. After that it goes to the next vendor in line.`,
+      `Book this slot: ${d.offerUrl}`,
+    ], d.policy),
+  },
+
+  // Once, to a vendor whose checkout lapsed or who backed out of it (lib/carts.js); the link
+  // rebuilds their cart with the demos that are still free
+  recovery: {
+    version: 1,
+    description: 'Unfinished checkout: the demos still free and a link that puts them back in the cart',
+    sample: {
+      company: SAMPLE_BOOKING.company,
+      demos: [SAMPLE_DEMO, { displayDate: 'Nov 24, 2026', time: '3:00 PM', location: 'Kentfield' }],
+      cartUrl: 'https://example.com/?cart=sample',
+      policy: SAMPLE_POLICY,
+    },
+    subject: () => 'Your Woodlands Market demo booking isn\'t finished',
+    html: d => layout({
+      heading: 'Still Want These Demos?',
+      subheading: 'Your checkout didn\'t go through',
+      policy: d.policy,
+      body: `
+        <p class="muted">${escapeHtml(`You started booking ${d.demos.length === 1 ? 'this demo' : 'these demos'} for ${d.company}, and ${d.demos.length === 1 ? 'it is' : 'they are'} still open:`)}</p>
+        ${demoList(d.demos)}
+        <p class="muted" style="text-align: center;">Slots aren't held until you check out, so book soon to keep them.</p>
+        ${button('The link puts them back in your cart, with your details filled in.', d.cartUrl, 'Finish Booking')}`,
+    }),
+    text: d => textEmail([
+      `You started booking ${d.demos.length === 1 ? 'this demo' : 'these demos'} for ${d.company}, and ${d.demos.length === 1 ? 'it is' : 'they are'} still open:\n` +
+        d.demos.map(demo => `- ${demoLine(demo)}`).join('\n'),
+      'Slots aren\'t held until you check out, so book soon to keep them.',
+      `Finish booking: ${d.cartUrl}`,
+    ], d.policy),
+  },
+
+  // A vendor asked to sign in to their account (lib/vendor-accounts.js)
+  login: {
+    version: 1,
+    description: 'Vendor sign-in link for their account and demo history',
+    sample: {
+      loginUrl: 'https://example.com/account?token=sample',
+      expiresMinutes: 15,
+    },
+    subject: () => 'Your Woodlands Market sign-in link',
+    html: d => layout({
+      heading: 'Sign In to Your Account',
+      subheading: 'Your saved details and every demo you have booked',
+      body: `
+        ${button(`This link works once, for the next ${d.expiresMinutes} minutes.`, d.loginUrl, 'Sign In')}
+        <p class="muted" style="text-align: center;">If you didn't ask to sign in, you can ignore this email.</p>`,
+    }),
+    text: d => textEmail([
+      `Sign in to your Woodlands Market account to see your demos and saved details: ${d.loginUrl}`,
+      `This link works once, for the next ${d.expiresMinutes} minutes. If you didn't ask to sign in, you can ignore this email.`,
+    ]),
+  },
+};
+
+function cancellationIntro({ demos, reason, outcome }) {
+  const what = demos.length === 1 ? 'This demo has' : demos.length > 1 ? 'These demos have' : 'Your booking has';
+  return `${what} been cancelled${reason ? `: ${reason}` : ''}.${outcome ? ` ${outcome}` : ''}`;
+}
+
+class EmailTemplateError extends Error {}
+
+function getTemplate(name) {
+  const template = Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? TEMPLATES[name] : null;
+  if (!template) throw new EmailTemplateError(`Unknown email template "${name}"`);
+  return template;
+}
+
+// Templates for the admin list: [{ name, version, description }]
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({ name, version: t.version, description: t.description }));
+}
+
+// Render a template: { template, version, subject, html, text }
+function render(name, data) {
+  const template = getTemplate(name);
+  return {
+    template: name,
+    version: template.version,
+    subject: template.subject(data),
+    html: template.html(data),
+    text: template.text(data),
+  };
+}
+
+// Render a template with its sample data; overrides replace sample fields (e.g. the live policy)
+function preview(name, overrides = {}) {
+  return render(name, { ...getTemplate(name).sample, ...overrides });
+}
+
+module.exports = {
+  EmailTemplateError,
+  listTemplates,
+  render,
+  preview,
+};
@@ -0,0 +1,68 @@
+// Read-only calendar feeds: one per store (every confirmed demo, with the vendor's contact
+// details, for store managers) and one per vendor (their own demos). Feed links are signed
+// with CALENDAR_FEED_SECRET, so they need no storage; changing the secret revokes them all.
+//
+// Feeds are built on request from the booking store, so bookings, reschedules and
+// cancellations show up the next time a calendar app refreshes.
+
+const crypto = require('crypto');
+const bookings = require('./bookings');
+const slots = require('./slots');
+
+// How far back feeds keep past demos
+const HISTORY_DAYS = 60;
+
+function isConfigured() {
+  return !!process.env.CALENDAR_FEED_SECRET;
+}
+
+// kind is 'location' (id = store name) or 'vendor' (id = customer id)
+function tokenFor(kind, id) {
+  return crypto.createHmac('sha256', process.env.CALENDAR_FEED_SECRET).update(`${kind}:${id}`).digest('base64url');
+}
+
+function verifyToken(kind, id, token) {
+  const expected = Buffer.from(tokenFor(kind, id));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function urlFor(kind, id) {
+  return `${process.env.FRONTEND_URL}/api/feeds/${kind}/${encodeURIComponent(id)}.ics?token=${tokenFor(kind, id)}`;
+}
+
+// Demos a feed lists - confirmed and no-show demos of paid orders, from HISTORY_DAYS ago on -
+// each with its order's company and product. Store feeds add the vendor's contact details.
+function feedDemos(kind, id) {
+  const since = slots.addDays(slots.toDateKey(new Date()), -HISTORY_DAYS);
+  const orders = bookings.listOrders({ statuses: ['paid'] })
+    .filter(o => kind !== 'vendor' || o.customerId === id);
+
+  const demos = [];
+  orders.forEach(order => {
+    order.slots
+      .filter(s => (s.status === 'booked' || s.status === 'no-show') && s.date >= since)
+      .filter(s => kind !== 'location' || s.location === id)
+      .forEach(slot => {
+        demos.push({
+          ...slot,
+          company: order.company,
+          product: order.product,
+          notes: kind === 'location'
+            ? [`Contact: ${order.customerName}`, order.phone && `Phone: ${order.phone}`, `Email: ${order.email}`,
+              `Confirmation #: ${order.confirmationNumber}`].filter(Boolean).join('\n')
+            : `Confirmation #: ${order.confirmationNumber}`,
+        });
+      });
+  });
+  return demos.sort((a, b) => slots.slotStartsAt(a) - slots.slotStartsAt(b));
+}
+
+module.exports = {
+  HISTORY_DAYS,
+  isConfigured,
+  tokenFor,
+  verifyToken,
+  urlFor,
+  feedDemos,
+};
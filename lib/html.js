@@ -0,0 +1,17 @@
+// Escaping for values interpolated into HTML - the emails, the fake checkout page and the
+// browser pages. Anything a vendor or admin typed - names, company, product, reasons, store
+// notes - goes through escapeHtml. Node requires it, and /html.js serves it to the pages,
+// where it defines window.WoodlandsHtml.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WoodlandsHtml = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+  }
+
+  return { escapeHtml };
+});
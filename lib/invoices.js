@@ -0,0 +1,321 @@
+// Invoices for paid orders and monthly statements per vendor, for brands' finance teams.
+//
+// Each paid order gets one invoice, numbered in sequence (INV-000001, INV-000002, ...) in the
+// order they are issued. An invoice is a snapshot taken when it is issued - the demos and prices
+// charged, the vendor's billing details from checkout and our business details - so later
+// reschedules or settings changes never alter an invoice already sent to a finance team.
+// Refunds don't change it either; the PDF lists them under the invoice, and statements net them.
+//
+// Our details come from INVOICE_BUSINESS_NAME, INVOICE_BUSINESS_ADDRESS (lines separated by
+// "|") and INVOICE_TAX_ID.
+
+const db = require('./db');
+const bookings = require('./bookings');
+const slots = require('./slots');
+const { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT, wrap } = require('./pdf');
+
+function now() {
+  return new Date().toISOString();
+}
+
+function formatNumber(sequence) {
+  return `INV-${String(sequence).padStart(6, '0')}`;
+}
+
+function seller() {
+  return {
+    name: process.env.INVOICE_BUSINESS_NAME || 'Woodlands Market',
+    address: (process.env.INVOICE_BUSINESS_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+    taxId: process.env.INVOICE_TAX_ID || null,
+  };
+}
+
+function forOrder(orderId) {
+  return db.find('invoices', i => i.orderId === orderId);
+}
+
+function findByNumber(number) {
+  const key = String(number || '').trim().toUpperCase();
+  return db.find('invoices', i => i.number === key);
+}
+
+// The order's invoice, issuing it (with the next number) if it doesn't have one yet. Orders
+// paid before invoicing existed get theirs the first time one is asked for.
+function issue(order) {
+  return db.transaction(() => {
+    const existing = forOrder(order.id);
+    if (existing) return existing;
+
+    const sequence = db.all('invoices').reduce((max, i) => Math.max(max, i.sequence), 0) + 1;
+    const billing = order.billing || {};
+    const lines = bookings.orderSlots(order.id).map(slot => ({
+      slotId: slot.id,
+      description: `Product demo - ${slot.location}`,
+      location: slot.location,
+      date: slot.date,
+      time: slot.time,
+      displayDate: slot.displayDate,
+      listAmount: slot.listAmount ?? slot.amount,
+      amount: slot.amount,
+    }));
+    return db.insert('invoices', {
+      number: formatNumber(sequence),
+      sequence,
+      orderId: order.id,
+      customerId: order.customerId,
+      confirmationNumber: order.confirmationNumber,
+      issuedAt: order.paidAt || now(),
+      seller: seller(),
+      billTo: {
+        name: order.customerName,
+        email: order.email,
+        company: order.company,
+        businessName: billing.businessName || null,
+        address: billing.address || null,
+        taxId: billing.taxId || null,
+      },
+      product: order.product,
+      lines,
+      subtotal: order.subtotal ?? lines.reduce((sum, line) => sum + line.listAmount, 0),
+      bundleDiscount: order.bundleDiscount || 0,
+      promoCode: order.promoCode || null,
+      promoDiscount: order.promoDiscount || 0,
+      total: order.amountTotal,
+      currency: order.currency || 'usd',
+      createdAt: now(),
+    }, 'inv');
+  });
+}
+
+// A vendor's month (YYYY-MM, store-local): the invoices issued and refunds made in it, with
+// totals in cents
+function statement(customerId, month) {
+  const inMonth = at => slots.toDateKey(new Date(at)).slice(0, 7) === month;
+  const invoices = db.filter('invoices', i => i.customerId === customerId && inMonth(i.issuedAt))
+    .sort((a, b) => a.sequence - b.sequence);
+
+  const refunds = [];
+  bookings.listOrders({ statuses: ['paid', 'refunded'], customerId }).forEach(order => {
+    const invoice = forOrder(order.id);
+    bookings.refundsFor(order.id).filter(r => inMonth(r.createdAt)).forEach(refund => {
+      refunds.push({
+        refundedAt: refund.createdAt,
+        amount: refund.amount,
+        reason: refund.reason,
+        confirmationNumber: order.confirmationNumber,
+        invoiceNumber: invoice ? invoice.number : null,
+      });
+    });
+  });
+  refunds.sort((a, b) => a.refundedAt.localeCompare(b.refundedAt));
+
+  const invoiced = invoices.reduce((sum, i) => sum + i.total, 0);
+  const refunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+  return { month, invoices, refunds, totals: { invoiced, refunded, net: invoiced - refunded } };
+}
+
+// ============================================================
+// PDF RENDERING
+// ============================================================
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+function money(cents) {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+function displayDay(iso) {
+  return slots.displayDateFor(slots.toDateKey(new Date(iso)));
+}
+
+// Lays out top to bottom, starting a new page when the next block won't fit
+function layout() {
+  const doc = new PdfDocument();
+  const cursor = {
+    doc,
+    y: MARGIN,
+    need(height) {
+      if (cursor.y + height > PAGE_HEIGHT - MARGIN) {
+        doc.addPage();
+        cursor.y = MARGIN;
+      }
+    },
+  };
+  return cursor;
+}
+
+// Our details on the left, the document's title and number on the right
+function header(cursor, from, title, rows) {
+  const { doc } = cursor;
+  doc.text(from.name, MARGIN, cursor.y + 14, { size: 16, bold: true });
+  doc.text(title, RIGHT, cursor.y + 14, { size: 20, bold: true, align: 'right' });
+  let left = cursor.y + 34;
+  from.address.forEach(line => { doc.text(line, MARGIN, left, { gray: true }); left += 13; });
+  if (from.taxId) { doc.text(`Tax ID: ${from.taxId}`, MARGIN, left, { gray: true }); left += 13; }
+  let right = cursor.y + 34;
+  rows.forEach(([label, value]) => {
+    doc.text(label, RIGHT - 150, right, { gray: true });
+    doc.text(value, RIGHT, right, { bold: true, align: 'right' });
+    right += 14;
+  });
+  cursor.y = Math.max(left, right) + 16;
+}
+
+function renderInvoice(invoice, refunds = []) {
+  const cursor = layout();
+  const { doc } = cursor;
+  header(cursor, invoice.seller, 'INVOICE', [
+    ['Invoice number', invoice.number],
+    ['Date issued', displayDay(invoice.issuedAt)],
+    ['Booking', invoice.confirmationNumber || ''],
+    ['Status', 'Paid'],
+  ]);
+
+  // Bill to
+  const billTo = invoice.billTo;
+  doc.text('BILL TO', MARGIN, cursor.y, { size: 9, bold: true, gray: true });
+  cursor.y += 15;
+  [billTo.businessName || billTo.company, billTo.businessName && billTo.company !== billTo.businessName ? billTo.company : null,
+    ...(billTo.address ? billTo.address.split(/\r?\n/) : []), billTo.name, billTo.email,
+    billTo.taxId ? `Tax ID: ${billTo.taxId}` : null]
+    .filter(Boolean)
+    .forEach((line, index) => {
+      doc.text(line, MARGIN, cursor.y, { bold: index === 0 });
+      cursor.y += 13;
+    });
+  if (invoice.product) {
+    cursor.y += 4;
+    wrap(`Products demonstrated: ${invoice.product}`, RIGHT - MARGIN).forEach(line => {
+      doc.text(line, MARGIN, cursor.y, { gray: true });
+      cursor.y += 13;
+    });
+  }
+  cursor.y += 16;
+
+  // Line items
+  const columns = () => {
+    doc.text('Description', MARGIN, cursor.y, { size: 9, bold: true, gray: true });
+    doc.text('Date', 300, cursor.y, { size: 9, bold: true, gray: true });
+    doc.text('Time', 400, cursor.y, { size: 9, bold: true, gray: true });
+    doc.text('Amount', RIGHT, cursor.y, { size: 9, bold: true, gray: true, align: 'right' });
+    cursor.y += 6;
+    doc.line(MARGIN, cursor.y, RIGHT);
+    cursor.y += 16;
+  };
+  columns();
+  invoice.lines.forEach(line => {
+    cursor.need(18);
+    if (cursor.y === MARGIN) columns();
+    doc.text(line.description, MARGIN, cursor.y);
+    doc.text(line.displayDate, 300, cursor.y);
+    doc.text(line.time, 400, cursor.y);
+    doc.text(money(line.listAmount), RIGHT, cursor.y, { align: 'right' });
+    cursor.y += 18;
+  });
+  doc.line(MARGIN, cursor.y - 8, RIGHT);
+
+  // Totals
+  cursor.need(120);
+  const total = (label, cents, style = {}) => {
+    doc.text(label, RIGHT - 100, cursor.y, { ...style, align: 'right' });
+    doc.text(money(cents), RIGHT, cursor.y, { ...style, align: 'right' });
+    cursor.y += 16;
+  };
+  cursor.y += 8;
+  total('Subtotal', invoice.subtotal);
+  if (invoice.bundleDiscount) total('Bundle discount', -invoice.bundleDiscount);
+  if (invoice.promoDiscount) total(`Promo code ${invoice.promoCode}`, -invoice.promoDiscount);
+  total('Total (USD)', invoice.total, { bold: true, size: 12 });
+  total('Amount paid', invoice.total, { gray: true });
+
+  if (refunds.length > 0) {
+    cursor.y += 10;
+    cursor.need(30 + refunds.length * 16);
+    doc.text('REFUNDS', MARGIN, cursor.y, { size: 9, bold: true, gray: true });
+    cursor.y += 16;
+    refunds.forEach(refund => {
+      doc.text(displayDay(refund.createdAt), MARGIN, cursor.y);
+      doc.text(refund.reason || 'Refund', 150, cursor.y, { gray: true });
+      doc.text(money(-refund.amount), RIGHT, cursor.y, { align: 'right' });
+      cursor.y += 16;
+    });
+    total('Net paid', invoice.total - refunds.reduce((sum, r) => sum + r.amount, 0), { bold: true });
+  }
+
+  cursor.need(30);
+  cursor.y += 20;
+  doc.text('Paid by card through Stripe. Thank you for demoing at Woodlands Market.', MARGIN, cursor.y, { size: 9, gray: true });
+  return doc.toBuffer();
+}
+
+function renderStatement(statementData, customer) {
+  const cursor = layout();
+  const { doc } = cursor;
+  const [year, month] = statementData.month.split('-').map(Number);
+  const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  header(cursor, seller(), 'STATEMENT', [
+    ['Period', monthName],
+    ['Generated', displayDay(now())],
+  ]);
+
+  doc.text('VENDOR', MARGIN, cursor.y, { size: 9, bold: true, gray: true });
+  cursor.y += 15;
+  [customer.company, customer.name, customer.email].filter(Boolean).forEach((line, index) => {
+    doc.text(line, MARGIN, cursor.y, { bold: index === 0 });
+    cursor.y += 13;
+  });
+  cursor.y += 16;
+
+  const section = (title, headings, rows, empty) => {
+    cursor.need(60);
+    doc.text(title, MARGIN, cursor.y, { size: 9, bold: true, gray: true });
+    cursor.y += 16;
+    headings.forEach(([label, x, align]) => doc.text(label, x, cursor.y, { size: 9, bold: true, gray: true, align }));
+    cursor.y += 6;
+    doc.line(MARGIN, cursor.y, RIGHT);
+    cursor.y += 16;
+    if (rows.length === 0) {
+      doc.text(empty, MARGIN, cursor.y, { gray: true });
+      cursor.y += 18;
+    }
+    rows.forEach(cells => {
+      cursor.need(18);
+      cells.forEach(([value, x, align]) => doc.text(value, x, cursor.y, { align }));
+      cursor.y += 18;
+    });
+    cursor.y += 10;
+  };
+
+  section('INVOICES', [['Invoice', MARGIN], ['Date', 160], ['Booking', 270], ['Demos', 380], ['Amount', RIGHT, 'right']],
+    statementData.invoices.map(i => [
+      [i.number, MARGIN], [displayDay(i.issuedAt), 160], [i.confirmationNumber || '', 270],
+      [String(i.lines.length), 380], [money(i.total), RIGHT, 'right'],
+    ]), 'No invoices this month.');
+
+  section('REFUNDS', [['Date', MARGIN], ['Invoice', 160], ['Booking', 270], ['Amount', RIGHT, 'right']],
+    statementData.refunds.map(r => [
+      [displayDay(r.refundedAt), MARGIN], [r.invoiceNumber || '', 160], [r.confirmationNumber || '', 270],
+      [money(-r.amount), RIGHT, 'right'],
+    ]), 'No refunds this month.');
+
+  cursor.need(60);
+  [['Invoiced', statementData.totals.invoiced], ['Refunded', -statementData.totals.refunded]].forEach(([label, cents]) => {
+    doc.text(label, RIGHT - 100, cursor.y, { align: 'right' });
+    doc.text(money(cents), RIGHT, cursor.y, { align: 'right' });
+    cursor.y += 16;
+  });
+  doc.text('Net', RIGHT - 100, cursor.y, { bold: true, size: 12, align: 'right' });
+  doc.text(money(statementData.totals.net), RIGHT, cursor.y, { bold: true, size: 12, align: 'right' });
+  return doc.toBuffer();
+}
+
+module.exports = {
+  forOrder,
+  findByNumber,
+  issue,
+  statement,
+  renderInvoice,
+  renderStatement,
+};
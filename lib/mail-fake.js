@@ -0,0 +1,57 @@
+// The fake mail provider (see lib/mail.js), for offline development and end-to-end tests.
+// Nothing leaves the machine: each message is kept, whole, in an in-memory mailbox that
+// admins can read at /api/admin/mailbox. The mailbox is emptied when the server restarts.
+
+const crypto = require('crypto');
+
+// Oldest messages are dropped past this many
+const MAILBOX_LIMIT = 500;
+
+class FakeMail {
+  constructor() {
+    this.name = 'fake';
+    this.messages = [];
+  }
+
+  async send({ from, to, subject, html, text, attachments = [] }) {
+    const message = {
+      id: `fake_${crypto.randomBytes(12).toString('hex')}`,
+      from,
+      to: [].concat(to),
+      subject,
+      html,
+      text,
+      attachments: attachments.map(({ filename, content }) => ({ filename, content })),
+      createdAt: new Date().toISOString(),
+    };
+    this.messages.unshift(message);
+    this.messages.length = Math.min(this.messages.length, MAILBOX_LIMIT);
+    console.log(`Captured email to ${message.to.join(', ')}: ${subject}`);
+    return { id: message.id };
+  }
+
+  // Captured messages matching every given filter, newest first:
+  //   to      - a recipient's address
+  //   subject - part of the subject
+  list({ to, subject } = {}) {
+    const address = to ? String(to).trim().toLowerCase() : null;
+    const words = subject ? String(subject).trim().toLowerCase() : null;
+    return this.messages.filter(message => {
+      if (address && !message.to.some(recipient => recipient.toLowerCase() === address)) return false;
+      if (words && !message.subject.toLowerCase().includes(words)) return false;
+      return true;
+    });
+  }
+
+  get(id) {
+    return this.messages.find(message => message.id === id) || null;
+  }
+
+  clear() {
+    const count = this.messages.length;
+    this.messages = [];
+    return count;
+  }
+}
+
+module.exports = { FakeMail };
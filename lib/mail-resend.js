@@ -0,0 +1,19 @@
+// The Resend mail provider (see lib/mail.js). Needs RESEND_API_KEY.
+
+const { Resend } = require('resend');
+
+class ResendMail {
+  constructor({ apiKey = process.env.RESEND_API_KEY } = {}) {
+    this.name = 'resend';
+    this.resend = new Resend(apiKey);
+  }
+
+  // Resend reports API failures in the result rather than throwing; this throws them
+  async send(message) {
+    const { data, error } = await this.resend.emails.send(message);
+    if (error) throw new Error(error.message);
+    return { id: data ? data.id : null };
+  }
+}
+
+module.exports = { ResendMail };
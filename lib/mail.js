@@ -0,0 +1,32 @@
+// Mail providers. MAIL_PROVIDER picks one:
+//   resend  sends through Resend (the default) - lib/mail-resend.js
+//   fake    keeps every message in a local mailbox instead, for offline development and
+//           end-to-end tests - lib/mail-fake.js (browse it at /api/admin/mailbox)
+//
+// A provider has:
+//   name                                                  'resend' or 'fake'
+//   send({ from, to, subject, html, text, attachments })  resolves to { id }, the provider's id
+//                                                         for the message; throws if it wasn't sent
+// Attachments are { filename, content } with base64 content.
+
+class MailProviderError extends Error {}
+
+const PROVIDERS = ['resend', 'fake'];
+
+function create(name = process.env.MAIL_PROVIDER || 'resend') {
+  if (name === 'resend') {
+    const { ResendMail } = require('./mail-resend');
+    return new ResendMail();
+  }
+  if (name === 'fake') {
+    const { FakeMail } = require('./mail-fake');
+    return new FakeMail();
+  }
+  throw new MailProviderError(`MAIL_PROVIDER must be one of: ${PROVIDERS.join(', ')}`);
+}
+
+module.exports = {
+  MailProviderError,
+  PROVIDERS,
+  create,
+};
@@ -0,0 +1,55 @@
+// Signed "manage booking" links for vendors. A token names an order and an expiry and
+// is signed with MANAGE_LINK_SECRET, so it needs no storage and can't be forged or
+// pointed at someone else's order.
+
+const crypto = require('crypto');
+
+class ManageLinkError extends Error {}
+
+function isConfigured() {
+  return !!process.env.MANAGE_LINK_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', process.env.MANAGE_LINK_SECRET).update(payload).digest('base64url');
+}
+
+// Token for an order, good until expiresAt (a Date)
+function createToken(orderId, expiresAt) {
+  const payload = Buffer.from(`${orderId}.${Math.floor(expiresAt.getTime() / 1000)}`).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Order id from a token; throws ManageLinkError if it is forged, garbled or expired
+function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) throw new ManageLinkError('Invalid link');
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new ManageLinkError('Invalid link');
+  }
+
+  const [orderId, expires] = Buffer.from(payload, 'base64url').toString().split('.');
+  if (!orderId || !(Number(expires) * 1000 > Date.now())) {
+    throw new ManageLinkError('This link has expired');
+  }
+  return orderId;
+}
+
+// Link to the manage page, good through the day after the order's last demo
+function urlFor(order) {
+  const lastDate = order.slots.map(s => s.date).sort().pop();
+  const expiresAt = new Date(`${lastDate}T00:00:00Z`);
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + 2);
+  return `${process.env.FRONTEND_URL}/manage?token=${createToken(order.id, expiresAt)}`;
+}
+
+module.exports = {
+  ManageLinkError,
+  isConfigured,
+  createToken,
+  verifyToken,
+  urlFor,
+};
@@ -0,0 +1,62 @@
+// A record of every email the app sends, in the 'emails' collection: which template (and
+// version) it came from, who it went to, the booking it is about and whether it got out.
+// Bodies aren't kept - a template re-renders from the booking when an email is resent.
+//
+// Email status:  sending -> sent (providerId is the mail provider's id for it - Resend's email id)
+//                sending -> failed (error says why)
+
+const db = require('./db');
+
+const STATUSES = ['sending', 'sent', 'failed'];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function create({ template, version, to, subject, order = null }) {
+  return db.insert('emails', {
+    template,
+    version,
+    to,
+    subject,
+    orderId: order ? order.id : null,
+    sessionId: order ? order.sessionId : null,
+    confirmationNumber: order ? order.confirmationNumber || null : null,
+    status: 'sending',
+    providerId: null,
+    error: null,
+    createdAt: now(),
+    sentAt: null,
+  }, 'eml');
+}
+
+function markSent(id, providerId) {
+  return db.update('emails', id, { status: 'sent', providerId: providerId || null, error: null, sentAt: now() });
+}
+
+function markFailed(id, error) {
+  return db.update('emails', id, { status: 'failed', error: error.message });
+}
+
+// Emails matching every given filter, newest first:
+//   booking  - a confirmation number, Checkout Session id or order id
+//   status   - sending, sent or failed
+//   template - a template name
+function list({ booking, status, template } = {}) {
+  const bookingId = booking ? String(booking).trim().toLowerCase() : null;
+  return db.filter('emails', email => {
+    if (bookingId && ![email.confirmationNumber, email.sessionId, email.orderId]
+      .some(id => id && id.toLowerCase() === bookingId)) return false;
+    if (status && email.status !== status) return false;
+    if (template && email.template !== template) return false;
+    return true;
+  }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  STATUSES,
+  create,
+  markSent,
+  markFailed,
+  list,
+};
@@ -0,0 +1,305 @@
+// The fake payment provider (see lib/payments.js), for offline development and end-to-end
+// tests. Checkout Sessions, payment intents, charges, Connect transfers, application fees and
+// refunds live in memory, shaped like Stripe's. Nothing is charged: a session's url is a local
+// stand-in for Stripe Checkout (GET /fake-checkout/:sessionId) where the buyer pays, backs out
+// or lets the session lapse.
+//
+// Webhook events are delivered in-process to the onEvent listener, one at a time and each on a
+// later tick than the call that caused it - like Stripe, a refund's charge.refunded arrives
+// after createRefund returns. Paying awaits its checkout.session.completed, so the booking is
+// confirmed before the buyer reaches the success page. idle() waits for the rest.
+//
+// Events: checkout.session.completed, checkout.session.expired, charge.refunded
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./html');
+
+class FakePaymentError extends Error {}
+
+// How old a signed webhook payload may be, like Stripe's default tolerance
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function unixNow() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function dollars(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+class FakePayments {
+  constructor({ webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_fake_local' } = {}) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.sessions = new Map();
+    this.paymentIntents = new Map();
+    this.charges = new Map();
+    this.transfers = new Map();
+    this.applicationFees = new Map();
+    this.refunds = [];
+    this.events = [];
+    this.listener = null;
+    this.delivery = Promise.resolve();
+  }
+
+  onEvent(listener) {
+    this.listener = listener;
+  }
+
+  // Resolves once every event raised so far has been delivered
+  idle() {
+    return this.delivery;
+  }
+
+  emit(type, object) {
+    const event = {
+      id: fakeId('evt'),
+      object: 'event',
+      type,
+      created: unixNow(),
+      livemode: false,
+      data: { object: structuredClone(object) },
+    };
+    this.events.push(event);
+    this.delivery = this.delivery
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => this.listener && this.listener(event))
+      .catch(error => console.error(`Error handling fake ${type} (${event.id}):`, error));
+    return this.delivery;
+  }
+
+  async createCheckoutSession(params) {
+    const lineItems = params.line_items || [];
+    if (lineItems.length === 0) throw new FakePaymentError('line_items must have at least one item');
+    const id = fakeId('cs');
+    const session = {
+      id,
+      object: 'checkout.session',
+      mode: params.mode || 'payment',
+      status: 'open',
+      payment_status: 'unpaid',
+      url: `${process.env.FRONTEND_URL || ''}/fake-checkout/${id}`,
+      success_url: params.success_url,
+      cancel_url: params.cancel_url,
+      amount_total: lineItems.reduce((sum, item) => sum + item.price_data.unit_amount * (item.quantity || 1), 0),
+      currency: 'usd',
+      customer_email: params.customer_email || null,
+      customer_details: null,
+      client_reference_id: params.client_reference_id || null,
+      metadata: { ...params.metadata },
+      payment_intent: null,
+      created: unixNow(),
+      expires_at: params.expires_at || unixNow() + 24 * 60 * 60,
+      livemode: false,
+    };
+    this.sessions.set(id, { session, lineItems, paymentIntentData: params.payment_intent_data || null });
+    return structuredClone(session);
+  }
+
+  // A stored session, expired first if its time ran out while it was open
+  entry(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) throw new FakePaymentError(`No such checkout.session: '${id}'`);
+    if (entry.session.status === 'open' && entry.session.expires_at <= unixNow()) {
+      entry.session.status = 'expired';
+      this.emit('checkout.session.expired', entry.session);
+    }
+    return entry;
+  }
+
+  async retrieveCheckoutSession(id) {
+    return structuredClone(this.entry(id).session);
+  }
+
+  async expireCheckoutSession(id) {
+    const { session } = this.entry(id);
+    if (session.status !== 'open') {
+      throw new FakePaymentError(`Only Checkout Sessions with a status of open can be expired (this one is ${session.status})`);
+    }
+    session.status = 'expired';
+    this.emit('checkout.session.expired', session);
+    return structuredClone(session);
+  }
+
+  // Only this process's sessions: the fake keeps nothing between runs
+  async listCheckoutSessions({ startingAfter = null } = {}) {
+    const sessions = Array.from(this.sessions.values(), entry => entry.session).reverse();
+    const start = startingAfter ? sessions.findIndex(s => s.id === startingAfter) + 1 : 0;
+    return {
+      data: sessions.slice(start).map(session => structuredClone({
+        ...session,
+        payment_intent: session.payment_intent && {
+          ...this.paymentIntents.get(session.payment_intent),
+          latest_charge: this.charges.get(this.paymentIntents.get(session.payment_intent).latest_charge),
+        },
+      })),
+      hasMore: false,
+    };
+  }
+
+  // The buyer pays: charges the session's total (with the Connect transfer and application fee
+  // its payment_intent_data asks for) and delivers checkout.session.completed
+  async completeCheckoutSession(id) {
+    const { session, paymentIntentData } = this.entry(id);
+    if (session.status !== 'open') throw new FakePaymentError(`This checkout is ${session.status}`);
+
+    const paymentIntentId = fakeId('pi');
+    const charge = {
+      id: fakeId('ch'),
+      object: 'charge',
+      amount: session.amount_total,
+      amount_refunded: 0,
+      refunded: false,
+      paid: true,
+      status: 'succeeded',
+      payment_intent: paymentIntentId,
+      transfer: null,
+      transfer_data: null,
+      application_fee: null,
+      application_fee_amount: null,
+      created: unixNow(),
+    };
+    const destination = paymentIntentData && paymentIntentData.transfer_data && paymentIntentData.transfer_data.destination;
+    if (destination) {
+      const feeAmount = paymentIntentData.application_fee_amount || 0;
+      const transfer = { id: fakeId('tr'), object: 'transfer', amount: charge.amount - feeAmount, amount_reversed: 0, destination };
+      const fee = { id: fakeId('fee'), object: 'application_fee', amount: feeAmount, amount_refunded: 0 };
+      this.transfers.set(transfer.id, transfer);
+      this.applicationFees.set(fee.id, fee);
+      Object.assign(charge, { transfer: transfer.id, transfer_data: { destination }, application_fee: fee.id, application_fee_amount: feeAmount });
+    }
+    this.charges.set(charge.id, charge);
+    this.paymentIntents.set(paymentIntentId, {
+      id: paymentIntentId,
+      object: 'payment_intent',
+      amount: charge.amount,
+      status: 'succeeded',
+      latest_charge: charge.id,
+    });
+
+    Object.assign(session, {
+      status: 'complete',
+      payment_status: 'paid',
+      payment_intent: paymentIntentId,
+      customer_details: { email: session.customer_email },
+    });
+    await this.emit('checkout.session.completed', session);
+    return structuredClone(session);
+  }
+
+  chargeFor(paymentIntentId) {
+    const paymentIntent = this.paymentIntents.get(paymentIntentId);
+    if (!paymentIntent) throw new FakePaymentError(`No such payment_intent: '${paymentIntentId}'`);
+    return this.charges.get(paymentIntent.latest_charge);
+  }
+
+  async retrieveCharge(paymentIntentId) {
+    const charge = this.chargeFor(paymentIntentId);
+    return structuredClone({
+      ...charge,
+      transfer: charge.transfer ? this.transfers.get(charge.transfer) : null,
+      application_fee: charge.application_fee ? this.applicationFees.get(charge.application_fee) : null,
+    });
+  }
+
+  async createRefund({ paymentIntentId, amount, reverseTransfer = false }) {
+    const charge = this.chargeFor(paymentIntentId);
+    const refundable = charge.amount - charge.amount_refunded;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+      throw new FakePaymentError('Refund amount must be a positive number of cents');
+    }
+    if (refundAmount > refundable) {
+      throw new FakePaymentError(`Refund amount (${dollars(refundAmount)}) is greater than unrefunded amount on charge (${dollars(refundable)})`);
+    }
+
+    charge.amount_refunded += refundAmount;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    if (reverseTransfer && charge.transfer) {
+      const transfer = this.transfers.get(charge.transfer);
+      const fee = this.applicationFees.get(charge.application_fee);
+      transfer.amount_reversed += Math.round(transfer.amount * refundAmount / charge.amount);
+      fee.amount_refunded += Math.round(fee.amount * refundAmount / charge.amount);
+    }
+    const refund = {
+      id: fakeId('re'),
+      object: 'refund',
+      amount: refundAmount,
+      charge: charge.id,
+      payment_intent: paymentIntentId,
+      status: 'succeeded',
+      created: unixNow(),
+    };
+    this.refunds.push(refund);
+    this.emit('charge.refunded', charge);
+    return structuredClone(refund);
+  }
+
+  // Signatures use Stripe's scheme (t=<timestamp>,v1=<HMAC-SHA256 of "timestamp.payload">), so
+  // scripts/send-test-webhook.js works against either provider
+  signWebhookPayload(payload, timestamp = unixNow()) {
+    const digest = crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${payload}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  constructWebhookEvent(payload, signature) {
+    const parts = Object.fromEntries(String(signature || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    const expected = Buffer.from(this.signWebhookPayload(payload.toString(), timestamp));
+    const actual = Buffer.from(String(signature || ''));
+    if (!timestamp || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new FakePaymentError('No signatures found matching the expected signature for payload');
+    }
+    if (Math.abs(unixNow() - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new FakePaymentError('Timestamp outside the tolerance zone');
+    }
+    return JSON.parse(payload.toString());
+  }
+
+  // The stand-in for Stripe's hosted Checkout page
+  checkoutPage(id) {
+    const { session, lineItems } = this.entry(id);
+    const rows = lineItems.map(item => `
+      <tr><td>${escapeHtml(item.price_data.product_data.name)}<br><small>${escapeHtml(item.price_data.product_data.description || '')}</small></td>
+      <td class="amount">${dollars(item.price_data.unit_amount * (item.quantity || 1))}</td></tr>`).join('');
+    const actions = session.status === 'open'
+      ? `<form method="post" action="/fake-checkout/${encodeURIComponent(id)}/pay"><button type="submit">Pay ${dollars(session.amount_total)}</button></form>
+      <form method="post" action="/fake-checkout/${encodeURIComponent(id)}/expire"><button type="submit" class="secondary">Let it expire</button></form>
+      <p><a href="${escapeHtml(session.cancel_url)}">&larr; Back out of checkout</a></p>`
+      : `<p>This checkout is <strong>${escapeHtml(session.status)}</strong>.</p><p><a href="/">Back to booking</a></p>`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Fake Checkout</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 520px; margin: 40px auto; padding: 0 16px; color: #3d2e1f; }
+  .notice { background: #fef3c7; color: #92400e; padding: 10px 14px; border-radius: 6px; font-size: 0.9rem; }
+  table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+  td { padding: 8px 0; border-bottom: 1px solid #e7e0d6; vertical-align: top; }
+  small { color: #8a7a66; }
+  .amount { text-align: right; white-space: nowrap; }
+  form { display: inline-block; margin: 0 8px 8px 0; }
+  button { background: #2f5d3a; color: #fff; border: 0; border-radius: 6px; padding: 10px 18px; font-size: 1rem; cursor: pointer; }
+  button.secondary { background: #e7e0d6; color: #3d2e1f; }
+</style>
+</head>
+<body>
+<h1>Checkout</h1>
+<p class="notice">Offline mode (PAYMENT_PROVIDER=fake): no card is charged.</p>
+<p>${escapeHtml(session.customer_email || '')}</p>
+<table>${rows}
+  <tr><td><strong>Total</strong></td><td class="amount"><strong>${dollars(session.amount_total)}</strong></td></tr>
+</table>
+${actions}
+</body>
+</html>`;
+  }
+}
+
+module.exports = { FakePayments, FakePaymentError };
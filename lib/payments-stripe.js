@@ -0,0 +1,59 @@
+// The Stripe payment provider (see lib/payments.js): Stripe Checkout with Connect destination
+// charges. Needs STRIPE_SECRET_KEY, and STRIPE_WEBHOOK_SECRET for webhooks.
+
+const Stripe = require('stripe');
+
+class StripePayments {
+  constructor({ secretKey = process.env.STRIPE_SECRET_KEY, webhookSecret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+    this.name = 'stripe';
+    this.stripe = new Stripe(secretKey);
+    this.webhookSecret = webhookSecret;
+  }
+
+  createCheckoutSession(params) {
+    return this.stripe.checkout.sessions.create(params);
+  }
+
+  retrieveCheckoutSession(id) {
+    return this.stripe.checkout.sessions.retrieve(id);
+  }
+
+  expireCheckoutSession(id) {
+    return this.stripe.checkout.sessions.expire(id);
+  }
+
+  async listCheckoutSessions({ startingAfter = null } = {}) {
+    const params = { limit: 100, expand: ['data.payment_intent.latest_charge'] };
+    if (startingAfter) params.starting_after = startingAfter;
+    const page = await this.stripe.checkout.sessions.list(params);
+    return { data: page.data, hasMore: page.has_more };
+  }
+
+  async retrieveCharge(paymentIntentId) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge.transfer', 'latest_charge.application_fee'],
+    });
+    return paymentIntent.latest_charge;
+  }
+
+  createRefund({ paymentIntentId, amount, reverseTransfer = false }) {
+    return this.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount,
+      ...(reverseTransfer ? { reverse_transfer: true, refund_application_fee: true } : {}),
+    });
+  }
+
+  constructWebhookEvent(payload, signature) {
+    return this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+  }
+
+  signWebhookPayload(payload) {
+    return this.stripe.webhooks.generateTestHeaderString({ payload, secret: this.webhookSecret });
+  }
+
+  // Stripe delivers its events to POST /api/webhooks/stripe
+  onEvent() {}
+}
+
+module.exports = { StripePayments };
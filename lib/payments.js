@@ -0,0 +1,50 @@
+// Payment providers. PAYMENT_PROVIDER picks one:
+//   stripe  real payments through Stripe Checkout (the default) - lib/payments-stripe.js
+//   fake    checkouts, payments, refunds and webhooks simulated in-process, for offline
+//           development and end-to-end tests - lib/payments-fake.js
+//
+// Every provider speaks in Stripe's shapes - Checkout Session parameters, sessions, charges,
+// refunds and webhook events - since that is what the booking store records (see
+// lib/stripe-sync.js). A provider has:
+//   name                                        'stripe' or 'fake'
+//   createCheckoutSession(params)               a new Checkout Session
+//   retrieveCheckoutSession(id)
+//   expireCheckoutSession(id)
+//   listCheckoutSessions({ startingAfter })     a page of past sessions, newest first, their payment
+//                                               intent and its charge expanded: { data, hasMore }
+//   retrieveCharge(paymentIntentId)             the payment's charge, its transfer and application
+//                                               fee expanded
+//   createRefund({ paymentIntentId, amount, reverseTransfer })
+//                                               reverseTransfer also reverses the Connect transfer
+//                                               and refunds the application fee, in proportion
+//   constructWebhookEvent(payload, signature)   the event in a webhook request; throws if the
+//                                               signature doesn't match
+//   signWebhookPayload(payload)                 a signature for a locally made event
+//   onEvent(listener)                           delivers events in-process (Stripe POSTs them to
+//                                               the webhook instead)
+
+class PaymentProviderError extends Error {}
+
+const PROVIDERS = ['stripe', 'fake'];
+
+function create(name = process.env.PAYMENT_PROVIDER || 'stripe') {
+  if (name === 'stripe') {
+    const { StripePayments } = require('./payments-stripe');
+    return new StripePayments();
+  }
+  if (name === 'fake') {
+    // Anyone could "pay" on the fake checkout page
+    if (process.env.NODE_ENV === 'production') {
+      throw new PaymentProviderError('PAYMENT_PROVIDER=fake takes no real payments and is not allowed in production');
+    }
+    const { FakePayments } = require('./payments-fake');
+    return new FakePayments();
+  }
+  throw new PaymentProviderError(`PAYMENT_PROVIDER must be one of: ${PROVIDERS.join(', ')}`);
+}
+
+module.exports = {
+  PaymentProviderError,
+  PROVIDERS,
+  create,
+};
@@ -0,0 +1,138 @@
+// Minimal PDF writer for invoices and statements: US Letter pages of text in the standard
+// Helvetica fonts, plus horizontal rules. No images, no embedded fonts - every PDF reader
+// has Helvetica built in, so files stay small and nothing extra needs installing.
+//
+// Coordinates are in points from the page's top-left corner (the PDF default is
+// bottom-left). Text is written in WinAnsiEncoding; characters outside it become "?".
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Glyph widths (per 1000 points of font size) for characters 32-126, from the Adobe AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Characters WinAnsiEncoding places outside Latin-1
+const WIN_ANSI = { '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80 };
+
+function encode(text) {
+  return Array.from(String(text == null ? '' : text), char => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    const code = char.charCodeAt(0);
+    return code >= 32 && code <= 255 && code !== 127 ? char : '?';
+  }).join('');
+}
+
+// Width of a line of text in points
+function widthOf(text, { size = 10, bold = false } = {}) {
+  const widths = WIDTHS[bold ? 'bold' : 'regular'];
+  return Array.from(encode(text)).reduce((sum, char) => sum + (widths[char.charCodeAt(0) - 32] || 556), 0) * size / 1000;
+}
+
+// Break text into lines no wider than maxWidth, at spaces where possible
+function wrap(text, maxWidth, style = {}) {
+  const lines = [];
+  String(text == null ? '' : text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || widthOf(candidate, style) <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// PDF string literal: backslash and parentheses escaped
+function literal(text) {
+  return `(${encode(text).replace(/[\\()]/g, ch => `\\${ch}`)})`;
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+  }
+
+  // align: left (x is the left edge), right (x is the right edge) or center
+  text(text, x, y, { size = 10, bold = false, align = 'left', gray = false } = {}) {
+    const width = widthOf(text, { size, bold });
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.page.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${gray ? '0.4 g' : '0 g'} ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${literal(text)} Tj ET`
+    );
+  }
+
+  line(x1, y, x2, { width = 0.5 } = {}) {
+    this.page.push(`${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y)} m ${num(x2)} ${num(PAGE_HEIGHT - y)} l S`);
+  }
+
+  // The finished file
+  toBuffer() {
+    const objects = [];
+    const add = body => objects.push(body);
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null); // the page tree, once its kids are known
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const kids = this.pages.map(commands => {
+      const stream = commands.join('\n');
+      add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+      return `${objects.length} 0 R`;
+    });
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+  widthOf,
+  wrap,
+};
@@ -0,0 +1,79 @@
+// Cancellation & reschedule policy for the vendor manage page. Stored as the one
+// 'policy' record; missing fields use DEFAULT_POLICY.
+//
+// Days are counted from today (store time) to the demo date:
+//   >= refundWindowDays      cancel for a refund of refundPercent of what the demo cost
+//   >= creditWindowDays      cancel for store credit worth what the demo cost
+//   fewer                    can't cancel
+//   >= rescheduleWindowDays  can move the demo to another open slot
+
+const db = require('./db');
+
+const DEFAULT_POLICY = {
+  refundWindowDays: 14,
+  refundPercent: 100,
+  creditWindowDays: 3,
+  rescheduleWindowDays: 3,
+};
+
+class PolicyError extends Error {}
+
+function getPolicy() {
+  const { id, ...stored } = db.get('policy', 'policy') || {};
+  return { ...DEFAULT_POLICY, ...stored };
+}
+
+function updatePolicy(patch) {
+  const clean = {};
+  ['refundWindowDays', 'creditWindowDays', 'rescheduleWindowDays'].forEach(key => {
+    if (patch[key] === undefined) return;
+    if (!Number.isInteger(patch[key]) || patch[key] < 0) throw new PolicyError(`${key} must be a whole number of days`);
+    clean[key] = patch[key];
+  });
+  if (patch.refundPercent !== undefined) {
+    if (typeof patch.refundPercent !== 'number' || patch.refundPercent < 0 || patch.refundPercent > 100) {
+      throw new PolicyError('refundPercent must be between 0 and 100');
+    }
+    clean.refundPercent = patch.refundPercent;
+  }
+
+  const merged = { ...getPolicy(), ...clean };
+  if (merged.creditWindowDays > merged.refundWindowDays) {
+    throw new PolicyError('The credit window can\'t start before the refund window ends');
+  }
+
+  const record = { ...clean, updatedAt: new Date().toISOString() };
+  if (db.get('policy', 'policy')) db.update('policy', 'policy', record);
+  else db.insert('policy', { id: 'policy', ...record });
+  return getPolicy();
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+}
+
+// What the vendor may do with one booked slot today.
+// Returns { daysAhead, canReschedule, cancel: 'refund' | 'credit' | null, refundAmount, creditAmount }.
+function termsFor(slot, today, policy = getPolicy()) {
+  const daysAhead = daysBetween(today, slot.date);
+  const amount = slot.amount || 0;
+  let cancel = null;
+  if (daysAhead >= policy.refundWindowDays) cancel = 'refund';
+  else if (daysAhead >= policy.creditWindowDays) cancel = 'credit';
+
+  return {
+    daysAhead,
+    canReschedule: daysAhead >= policy.rescheduleWindowDays,
+    cancel,
+    refundAmount: cancel === 'refund' ? Math.round(amount * policy.refundPercent / 100) : 0,
+    creditAmount: cancel === 'credit' ? amount : 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  PolicyError,
+  getPolicy,
+  updatePolicy,
+  termsFor,
+};
@@ -0,0 +1,280 @@
+// Pricing - the single source for what a demo costs and what an order is charged.
+// Checkout, the cart display (via /api/quote) and revenue reporting all use this.
+// All amounts are in cents.
+//
+// Settings (stored as the one 'pricing' record):
+//   basePrice   - price of a demo when no rule matches
+//   priceRules  - [{ location, weekday, amount }]; location/weekday may be null.
+//                 The most specific match wins: location+weekday > location > weekday.
+//   bundles     - [{ minDemos, percentOff }]; the biggest tier the order reaches applies
+//   marketSharePercent - Woodlands Market's share of each order; Grassroots keeps the rest
+//                        as the Stripe Connect application fee
+// Promo codes live in their own collection and apply after the bundle discount.
+
+const crypto = require('crypto');
+const db = require('./db');
+const { LOCATIONS } = require('./availability');
+
+const DEFAULT_SETTINGS = {
+  basePrice: 3000,
+  priceRules: [],
+  bundles: [],
+  marketSharePercent: Number(process.env.MARKET_SHARE_PERCENT || 80),
+};
+
+// Stripe won't charge less than $0.50
+const MIN_CHARGE = 50;
+
+class PricingError extends Error {}
+
+function getSettings() {
+  const { id, ...stored } = db.get('pricing', 'pricing') || {};
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+function dayOfWeek(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// List price of one demo slot
+function priceFor({ location, date }, settings = getSettings()) {
+  const weekday = dayOfWeek(date);
+  const matches = settings.priceRules.filter(rule =>
+    (rule.location == null || rule.location === location) &&
+    (rule.weekday == null || rule.weekday === weekday)
+  );
+  if (matches.length === 0) return settings.basePrice;
+  const specificity = rule => (rule.location != null ? 2 : 0) + (rule.weekday != null ? 1 : 0);
+  matches.sort((a, b) => specificity(b) - specificity(a));
+  return matches[0].amount;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Orders counting against a promo code's usage limit: every order that was paid with it (a
+// refund doesn't give the use back) plus live checkouts
+function promoUses(code) {
+  const now = Date.now();
+  return db.filter('orders', o => o.promoCode === code && (
+    o.status === 'paid' || o.status === 'refunded' ||
+    (o.status === 'pending' && (!o.holdExpiresAt || Date.parse(o.holdExpiresAt) > now))
+  )).length;
+}
+
+// The promo code record if the buyer with this email can use it right now; throws
+// PricingError explaining why not. Store credit only works for the email it was issued to.
+function findUsablePromo(code, { email = null } = {}) {
+  const key = normalizeCode(code);
+  const promo = db.find('promoCodes', p => p.code === key);
+  if (!promo || !promo.active) throw new PricingError(`Promo code ${key} is not valid`);
+  if (promo.kind === 'credit' && normalizeEmail(email) !== normalizeEmail(promo.email)) {
+    throw new PricingError(`Store credit ${key} can only be used with the email address it was issued to`);
+  }
+  if (promo.expiresAt && Date.parse(promo.expiresAt) < Date.now()) {
+    throw new PricingError(`Promo code ${key} has expired`);
+  }
+  if (promo.maxUses != null && promoUses(key) >= promo.maxUses) {
+    throw new PricingError(`Promo code ${key} has been fully redeemed`);
+  }
+  return promo;
+}
+
+// Split total cents in proportion to weights; the last share absorbs rounding
+function allocate(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    const share = index === weights.length - 1
+      ? total - allocated
+      : Math.floor(sum ? weight * total / sum : total / weights.length);
+    allocated += share;
+    return share;
+  });
+}
+
+// Price a cart of normalized items ({ location, date, time, ... }).
+// Returns { items (each with listAmount and charged amount), subtotal, bundleDiscount,
+// promoCode, promoDiscount, total }. email is the buyer's, for store credit. Throws
+// PricingError for an unusable promo code.
+function quote({ cart, promoCode, email = null }) {
+  const settings = getSettings();
+  const priced = cart.map(item => ({ ...item, listAmount: priceFor(item, settings) }));
+  const subtotal = priced.reduce((sum, item) => sum + item.listAmount, 0);
+
+  const tier = settings.bundles
+    .filter(b => cart.length >= b.minDemos)
+    .sort((a, b) => b.percentOff - a.percentOff)[0];
+  const bundleDiscount = tier ? Math.round(subtotal * tier.percentOff / 100) : 0;
+
+  let promo = null;
+  let promoDiscount = 0;
+  if (promoCode) {
+    promo = findUsablePromo(promoCode, { email });
+    const remaining = subtotal - bundleDiscount;
+    promoDiscount = promo.percentOff != null
+      ? Math.round(remaining * promo.percentOff / 100)
+      : Math.min(promo.amountOff, remaining);
+  }
+
+  // Never discount below Stripe's minimum charge; trim the promo first
+  let total = subtotal - bundleDiscount - promoDiscount;
+  if (total < MIN_CHARGE && subtotal >= MIN_CHARGE) {
+    promoDiscount = Math.max(0, promoDiscount - (MIN_CHARGE - total));
+    total = subtotal - bundleDiscount - promoDiscount;
+  }
+
+  // Spread the discounts across the demos so each line carries what was actually charged
+  const amounts = allocate(total, priced.map(item => item.listAmount));
+  const items = priced.map((item, index) => ({ ...item, amount: amounts[index] }));
+
+  return {
+    items,
+    subtotal,
+    bundleDiscount,
+    bundle: tier || null,
+    promoCode: promo ? promo.code : null,
+    promoDiscount,
+    total,
+    currency: 'usd',
+  };
+}
+
+// Planned split of an amount (cents) between Woodlands Market and Grassroots.
+// What actually moved is recorded on the order from Stripe; see lib/stripe-sync.js.
+function splitRevenue(amount, settings = getSettings()) {
+  const market = Math.round(amount * settings.marketSharePercent / 100);
+  return { market, grassroots: amount - market };
+}
+
+function validateSettings(patch) {
+  const clean = {};
+  const isAmount = v => Number.isInteger(v) && v >= MIN_CHARGE;
+
+  if (patch.basePrice !== undefined) {
+    if (!isAmount(patch.basePrice)) throw new PricingError('basePrice must be at least 50 cents');
+    clean.basePrice = patch.basePrice;
+  }
+
+  if (patch.priceRules !== undefined) {
+    if (!Array.isArray(patch.priceRules)) throw new PricingError('priceRules must be a list');
+    clean.priceRules = patch.priceRules.map(rule => {
+      const location = rule.location || null;
+      const weekday = rule.weekday === '' || rule.weekday == null ? null : Number(rule.weekday);
+      if (location !== null && !LOCATIONS.includes(location)) throw new PricingError(`Unknown location "${location}"`);
+      if (weekday !== null && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+        throw new PricingError('weekday must be 0 (Sunday) to 6 (Saturday)');
+      }
+      if (location === null && weekday === null) throw new PricingError('A price rule needs a location, a weekday or both');
+      if (!isAmount(rule.amount)) throw new PricingError('Price rule amounts must be at least 50 cents');
+      return { location, weekday, amount: rule.amount };
+    });
+  }
+
+  if (patch.bundles !== undefined) {
+    if (!Array.isArray(patch.bundles)) throw new PricingError('bundles must be a list');
+    clean.bundles = patch.bundles.map(b => {
+      if (!Number.isInteger(b.minDemos) || b.minDemos < 2) throw new PricingError('Bundle minDemos must be 2 or more');
+      if (typeof b.percentOff !== 'number' || b.percentOff <= 0 || b.percentOff >= 100) {
+        throw new PricingError('Bundle percentOff must be between 0 and 100');
+      }
+      return { minDemos: b.minDemos, percentOff: b.percentOff };
+    }).sort((a, b) => a.minDemos - b.minDemos);
+  }
+
+  if (patch.marketSharePercent !== undefined) {
+    const percent = patch.marketSharePercent;
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      throw new PricingError('marketSharePercent must be between 0 and 100');
+    }
+    clean.marketSharePercent = percent;
+  }
+
+  return clean;
+}
+
+function updateSettings(patch) {
+  const clean = validateSettings(patch);
+  const record = { ...clean, updatedAt: new Date().toISOString() };
+  if (db.get('pricing', 'pricing')) db.update('pricing', 'pricing', record);
+  else db.insert('pricing', { id: 'pricing', ...getSettings(), ...record });
+  return getSettings();
+}
+
+function listPromoCodes() {
+  return db.all('promoCodes')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(p => ({ ...p, uses: promoUses(p.code) }));
+}
+
+function createPromoCode({ code, percentOff, amountOff, maxUses, expiresAt }) {
+  const key = normalizeCode(code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(key)) throw new PricingError('Codes are 3-32 letters, numbers, dashes or underscores');
+  if (db.find('promoCodes', p => p.code === key)) throw new PricingError(`Promo code ${key} already exists`);
+
+  const hasPercent = percentOff != null && percentOff !== '';
+  const hasAmount = amountOff != null && amountOff !== '';
+  if (hasPercent === hasAmount) throw new PricingError('Give either percentOff or amountOff');
+  if (hasPercent && !(percentOff > 0 && percentOff <= 100)) throw new PricingError('percentOff must be between 0 and 100');
+  if (hasAmount && !(Number.isInteger(amountOff) && amountOff > 0)) throw new PricingError('amountOff must be a positive number of cents');
+  if (maxUses != null && maxUses !== '' && !(Number.isInteger(maxUses) && maxUses > 0)) {
+    throw new PricingError('maxUses must be a positive whole number');
+  }
+  if (expiresAt && isNaN(Date.parse(expiresAt))) throw new PricingError('expiresAt must be a date');
+
+  return db.insert('promoCodes', {
+    code: key,
+    percentOff: hasPercent ? percentOff : null,
+    amountOff: hasAmount ? amountOff : null,
+    maxUses: maxUses || null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    active: true,
+    createdAt: new Date().toISOString(),
+  }, 'promo');
+}
+
+// Store credit from a cancelled demo: a single-use code worth the amount, good for a year
+function issueCredit({ amount, email, orderId, slotId }) {
+  const expiresAt = new Date();
+  expiresAt.setFullYear(expiresAt.getFullYear() + 1);
+  return db.insert('promoCodes', {
+    code: `CREDIT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    percentOff: null,
+    amountOff: amount,
+    maxUses: 1,
+    expiresAt: expiresAt.toISOString(),
+    active: true,
+    kind: 'credit',
+    email,
+    orderId,
+    slotId,
+    createdAt: new Date().toISOString(),
+  }, 'promo');
+}
+
+function setPromoActive(code, active) {
+  const promo = db.find('promoCodes', p => p.code === normalizeCode(code));
+  if (!promo) throw new PricingError('Promo code not found');
+  return db.update('promoCodes', promo.id, { active: !!active });
+}
+
+module.exports = {
+  MIN_CHARGE,
+  PricingError,
+  getSettings,
+  priceFor,
+  allocate,
+  quote,
+  splitRevenue,
+  updateSettings,
+  listPromoCodes,
+  createPromoCode,
+  issueCredit,
+  setPromoActive,
+};
@@ -0,0 +1,58 @@
+// Fixed-window failure counters, for slowing down password guessing. Kept in memory: a
+// restart clears them, which is fine for a single server process (see lib/db.js). At most
+// maxKeys are kept, so a flood of one-off keys (an email address per guess) can't grow the
+// map without end: expired windows are swept out first, then the oldest ones.
+
+class RateLimiter {
+  constructor({ limit, windowMinutes, maxKeys = 10000 }) {
+    this.limit = limit;
+    this.windowMs = windowMinutes * 60000;
+    this.maxKeys = maxKeys;
+    this.windows = new Map(); // key -> { count, resetAt }, oldest first
+  }
+
+  current(key) {
+    const entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      this.windows.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Seconds until key may try again, or 0 if it isn't blocked
+  retryAfter(key) {
+    const entry = this.current(key);
+    return entry && entry.count >= this.limit ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+  }
+
+  // Counts a failure; true when it is the one that blocks key, once per window
+  fail(key) {
+    let entry = this.current(key);
+    if (!entry) {
+      if (this.windows.size >= this.maxKeys) this.sweep();
+      entry = { count: 0, resetAt: Date.now() + this.windowMs };
+    }
+    entry.count++;
+    this.windows.set(key, entry);
+    return entry.count === this.limit;
+  }
+
+  // Make room for a new key: drop expired windows, then the oldest until there is space
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+    for (const key of this.windows.keys()) {
+      if (this.windows.size < this.maxKeys) break;
+      this.windows.delete(key);
+    }
+  }
+
+  reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,117 @@
+// Reminder emails before each booked demo, at the offsets in REMINDER_OFFSETS_HOURS
+// (default "168,24": a week and a day ahead).
+//
+// Every reminder is claimed in the 'reminders' collection before it is sent, keyed by
+// the slot, where and when it is, and the offset - so overlapping or repeated cron runs
+// send it once, and a rescheduled demo gets fresh reminders for its new slot.
+//
+// Reminder status:  sending -> sent
+//                   sending -> failed (retried on the next run, up to MAX_ATTEMPTS)
+//                   sending for over CLAIM_TIMEOUT_MINUTES (the run sending it died) counts as
+//                   failed too
+
+const db = require('./db');
+const bookings = require('./bookings');
+const slots = require('./slots');
+
+const MAX_ATTEMPTS = 3;
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Offsets in hours, largest first
+function offsets() {
+  const hours = String(process.env.REMINDER_OFFSETS_HOURS || '168,24')
+    .split(',')
+    .map(h => parseFloat(h))
+    .filter(h => h > 0);
+  return Array.from(new Set(hours)).sort((a, b) => b - a);
+}
+
+function reminderKey(slot, offsetHours) {
+  return `${slot.id}|${slots.slotKey(slot)}|${offsetHours}`;
+}
+
+// Whether a claimed reminder can be taken again: it failed, or the run sending it never finished
+function isRetryable(reminder, at = Date.now()) {
+  if (reminder.attempts >= MAX_ATTEMPTS) return false;
+  if (reminder.status === 'failed') return true;
+  return reminder.status === 'sending' && at - Date.parse(reminder.claimedAt) > CLAIM_TIMEOUT_MINUTES * 60000;
+}
+
+// When the vendor last heard about this slot: payment, or the latest reschedule
+function lastNotifiedAt(order, slot) {
+  const moves = slot.rescheduledFrom || [];
+  return moves.length > 0 ? moves[moves.length - 1].movedAt : order.paidAt;
+}
+
+// Reminders that should go out at `at`: [{ key, offsetHours, order, slot, startsAt }].
+// A demo gets at most one per run - the nearest offset that has passed. Offsets that passed
+// before the vendor booked or moved it are skipped (their confirmation covers it), and so are
+// ones that have run more than halfway to the demo, so a missed run doesn't send a stale one.
+function dueReminders(at = new Date()) {
+  const handled = new Set(db.filter('reminders', r => !isRetryable(r, at.getTime())).map(r => r.key));
+  const due = [];
+
+  bookings.listOrders({ statuses: ['paid'] }).forEach(order => {
+    order.slots.filter(s => s.status === 'booked').forEach(slot => {
+      const startsAt = slots.slotStartsAt(slot);
+      if (startsAt <= at) return;
+
+      const hoursLeft = (startsAt.getTime() - at.getTime()) / 3600000;
+      const passed = offsets().filter(h => h >= hoursLeft && hoursLeft > h / 2);
+      if (passed.length === 0) return;
+      const offsetHours = passed[passed.length - 1];
+      const dueAt = new Date(startsAt.getTime() - offsetHours * 3600000);
+      const notifiedAt = lastNotifiedAt(order, slot);
+      if (notifiedAt && Date.parse(notifiedAt) > dueAt.getTime()) return;
+
+      const key = reminderKey(slot, offsetHours);
+      if (!handled.has(key)) due.push({ key, offsetHours, order, slot, startsAt });
+    });
+  });
+
+  return due;
+}
+
+// Take a reminder for sending. Returns the record, or null if it is already sent or being sent.
+function claim({ key, offsetHours, order, slot }) {
+  return db.transaction(() => {
+    const existing = db.find('reminders', r => r.key === key);
+    if (existing && !isRetryable(existing)) return null;
+    if (existing) {
+      return db.update('reminders', existing.id, { status: 'sending', attempts: existing.attempts + 1, claimedAt: now() });
+    }
+    return db.insert('reminders', {
+      key,
+      orderId: order.id,
+      slotId: slot.id,
+      offsetHours,
+      status: 'sending',
+      attempts: 1,
+      error: null,
+      claimedAt: now(),
+      sentAt: null,
+    }, 'rem');
+  });
+}
+
+function markSent(id) {
+  return db.update('reminders', id, { status: 'sent', error: null, sentAt: now() });
+}
+
+function markFailed(id, error) {
+  return db.update('reminders', id, { status: 'failed', error: error.message });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  CLAIM_TIMEOUT_MINUTES,
+  offsets,
+  dueReminders,
+  claim,
+  markSent,
+  markFailed,
+};
@@ -0,0 +1,245 @@
+// Reporting over paid bookings: the dashboard's stats, charts and bookings table, and the
+// CSV/JSON exports, all answer the same filtered query.
+//
+// Filters (all optional, from the query string):
+//   from, to    store-local days (YYYY-MM-DD), inclusive
+//   dateField   what from/to apply to: booked (when the booking was paid, the default) or
+//               demo (a demo's own date)
+//   location    one store
+//   status      a booking status (confirmed, partially refunded, refunded), a demo status
+//               (cancelled, no-show) or attendance (checked-in, late)
+//   product     part of the product name
+//   vendor      a customer id, an email address, or part of a company name
+//   q           free-text search over confirmation number, company, contact, email, phone and product
+//
+// Location and demo-date filters also narrow which of a booking's demos count.
+
+const bookings = require('./bookings');
+const slots = require('./slots');
+
+class ReportFilterError extends Error {}
+
+const STATUSES = ['confirmed', 'partially refunded', 'refunded', 'cancelled', 'no-show', 'checked-in', 'late'];
+const DATE_FIELDS = ['booked', 'demo'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A booking's status as the dashboard shows it - refunded / partially refunded / confirmed
+function orderStatusOf(order) {
+  return order.status === 'refunded' ? 'refunded' : order.amountRefunded > 0 ? 'partially refunded' : 'confirmed';
+}
+
+// A demo's status as the dashboard shows it - confirmed / cancelled / refunded / no-show
+function demoStatusOf(slot) {
+  return slot.status === 'booked' ? 'confirmed' : slot.status;
+}
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Check query-string filters. Throws ReportFilterError naming the first bad one.
+function parseFilters(query = {}) {
+  const filters = {
+    from: text(query.from) || null,
+    to: text(query.to) || null,
+    dateField: text(query.dateField) || 'booked',
+    location: text(query.location) || null,
+    status: text(query.status) || null,
+    product: text(query.product).toLowerCase() || null,
+    vendor: text(query.vendor).toLowerCase() || null,
+    q: text(query.q).toLowerCase() || null,
+  };
+  if ((filters.from && !DATE_PATTERN.test(filters.from)) || (filters.to && !DATE_PATTERN.test(filters.to))) {
+    throw new ReportFilterError('from and to must be in YYYY-MM-DD format');
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new ReportFilterError('from must be on or before to');
+  }
+  if (!DATE_FIELDS.includes(filters.dateField)) {
+    throw new ReportFilterError(`dateField must be one of: ${DATE_FIELDS.join(', ')}`);
+  }
+  if (filters.location && !slots.LOCATIONS.includes(filters.location)) {
+    throw new ReportFilterError(`location must be one of: ${slots.LOCATIONS.join(', ')}`);
+  }
+  if (filters.status && !STATUSES.includes(filters.status)) {
+    throw new ReportFilterError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+  return filters;
+}
+
+// page (from 1) and pageSize (up to MAX_PAGE_SIZE) from the query string
+function parsePaging(query = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ReportFilterError('page must be a whole number from 1');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new ReportFilterError(`pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize };
+}
+
+function inRange(day, { from, to }) {
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// The day a booking was paid (or, for one that never was, made), in store time
+function bookedOn(order) {
+  return slots.toDateKey(new Date(order.paidAt || order.createdAt));
+}
+
+// The demos of a booking a report covers: those at the location and, when filtering by demo
+// date, in the range
+function scopedDemos(order, filters) {
+  return order.slots.filter(s => (!filters.location || s.location === filters.location) &&
+    (filters.dateField !== 'demo' || inRange(s.date, filters)));
+}
+
+// What a demo was charged, in cents. Bookings from before demos were priced one by one split
+// their total evenly.
+function priceOf(order, slot) {
+  return slot.amount ?? order.amountTotal / order.slots.length;
+}
+
+// What each of a booking's demos earned, in cents, by slot id: its charge less the refunds
+// against it. A refund that names its demos (a cancellation) comes off those, in proportion to
+// their price; the order's other refunds (a full refund, or one made in Stripe) off all of them.
+function demoRevenue(order) {
+  const net = new Map(order.slots.map(s => [s.id, priceOf(order, s)]));
+  const spread = (amount, demos) => {
+    const total = demos.reduce((sum, s) => sum + priceOf(order, s), 0);
+    demos.forEach(s => net.set(s.id, net.get(s.id) - (total > 0 ? amount * priceOf(order, s) / total : amount / demos.length)));
+  };
+  let named = 0;
+  bookings.refundsFor(order.id).forEach(refund => {
+    const demos = order.slots.filter(s => (refund.slotIds || []).includes(s.id));
+    if (demos.length === 0) return;
+    named += refund.amount;
+    spread(refund.amount, demos);
+  });
+  if (order.slots.length > 0) spread(Math.max(0, order.amountRefunded - named), order.slots);
+  return net;
+}
+
+// What a booking's demos in a report earned, in cents - all of the booking's net revenue
+// unless the location or demo-date filters leave some demos out
+function scopedRevenue(order, filters) {
+  const net = demoRevenue(order);
+  return Math.round(scopedDemos(order, filters).reduce((sum, s) => sum + net.get(s.id), 0));
+}
+
+// How a booking's money was actually divided, in cents. Woodlands Market has what was
+// transferred to it (net of reversals); Grassroots keeps everything else.
+function revenueSplit(order) {
+  const market = (order.transferAmount || 0) - (order.transferReversed || 0);
+  return {
+    market,
+    grassroots: order.amountTotal - order.amountRefunded - market,
+    applicationFees: (order.applicationFeeAmount || 0) - (order.applicationFeeRefunded || 0),
+  };
+}
+
+// A booking's revenue split narrowed to the demos in a report: { revenue, market, grassroots,
+// applicationFees }, in cents. The market's share and the fees are scaled by the part of the
+// booking's net revenue those demos earned (by price, if nothing is left), so the shares
+// always add up to the revenue.
+function scopedSplit(order, filters) {
+  const revenue = scopedRevenue(order, filters);
+  const split = revenueSplit(order);
+  const net = order.amountTotal - order.amountRefunded;
+  let share = 1;
+  if (net > 0) {
+    share = revenue / net;
+  } else if (order.slots.length > 0) {
+    const total = order.slots.reduce((sum, s) => sum + priceOf(order, s), 0);
+    share = total > 0 ? scopedDemos(order, filters).reduce((sum, s) => sum + priceOf(order, s), 0) / total : 0;
+  }
+  const market = Math.round(split.market * share);
+  return { revenue, market, grassroots: revenue - market, applicationFees: Math.round(split.applicationFees * share) };
+}
+
+function matches(order, filters) {
+  const demos = scopedDemos(order, filters);
+  if ((filters.location || filters.dateField === 'demo') && demos.length === 0) return false;
+  if (filters.dateField === 'booked' && !inRange(bookedOn(order), filters)) return false;
+  if (filters.status) {
+    const statuses = [orderStatusOf(order)].concat(demos.map(demoStatusOf), demos.map(s => s.attendance).filter(Boolean));
+    if (!statuses.includes(filters.status)) return false;
+  }
+  if (filters.product && !text(order.product).toLowerCase().includes(filters.product)) return false;
+  if (filters.vendor && order.customerId !== filters.vendor && text(order.email).toLowerCase() !== filters.vendor &&
+    !text(order.company).toLowerCase().includes(filters.vendor)) return false;
+  if (filters.q && ![order.confirmationNumber, order.company, order.customerName, order.email, order.phone, order.product]
+    .some(value => text(value).toLowerCase().includes(filters.q))) return false;
+  return true;
+}
+
+// Paid (and refunded) bookings matching the filters, newest first
+function query(filters) {
+  return bookings.listOrders({ statuses: ['paid', 'refunded'] }).filter(order => matches(order, filters));
+}
+
+// One page of a list: { items, total, page, pageSize, pages }
+function paginate(items, { page, pageSize }) {
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    total: items.length,
+    page,
+    pageSize,
+    pages: Math.max(1, Math.ceil(items.length / pageSize)),
+  };
+}
+
+// Month keys (YYYY-MM) from one day's month to another's, inclusive
+function monthsBetween(from, to) {
+  const months = [];
+  let [year, month] = from.slice(0, 7).split('-').map(Number);
+  const last = to.slice(0, 7);
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (key > last) break;
+    months.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+// One CSV line: every field quoted, quotes doubled, so commas, quotes and line breaks survive.
+// Vendors type their own company and product names, so a field a spreadsheet would run as a
+// formula (starting with =, +, -, @, a tab or a carriage return) is prefixed with ' to keep it text.
+function csvRow(values) {
+  return values.map(value => {
+    let field = String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+    return `"${field.replace(/"/g, '""')}"`;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  ReportFilterError,
+  STATUSES,
+  DATE_FIELDS,
+  MAX_PAGE_SIZE,
+  orderStatusOf,
+  demoStatusOf,
+  parseFilters,
+  parsePaging,
+  bookedOn,
+  scopedDemos,
+  demoRevenue,
+  scopedRevenue,
+  revenueSplit,
+  scopedSplit,
+  query,
+  paginate,
+  monthsBetween,
+  csvRow,
+};
@@ -0,0 +1,72 @@
+// Recurring demo series - "every other Thursday at 11:00 AM at Kentfield until January 31".
+// A series expands into one demo per date per store. preview() checks every occurrence against
+// its store's rules, the slot inventory and the one-demo-per-store-per-day limit, so the booking
+// page can add the available ones to the cart; from there they check out like any other cart
+// items, with the same validation, holds and pricing.
+
+const slots = require('./slots');
+const availabilityRules = require('./availability');
+const validation = require('./validation');
+
+const INTERVAL_DAYS = { weekly: 7, biweekly: 14 };
+// A year of weekly demos
+const MAX_DATES = 52;
+
+// The series' dates (YYYY-MM-DD): the first weekday (0 = Sunday) on or after startDate, then
+// every week or two until endDate (inclusive) or count dates, at most MAX_DATES
+function seriesDates({ frequency, weekday, startDate, endDate, count }) {
+  let date = startDate;
+  while (slots.dayOfWeek(date) !== weekday) date = slots.addDays(date, 1);
+  const dates = [];
+  while (dates.length < Math.min(count || MAX_DATES, MAX_DATES) && (!endDate || date <= endDate)) {
+    dates.push(date);
+    date = slots.addDays(date, INTERVAL_DAYS[frequency]);
+  }
+  return dates;
+}
+
+const CONFLICT_MESSAGES = {
+  booked: 'Already booked',
+  held: 'On hold for another vendor',
+  full: 'The store is fully booked that day',
+};
+
+// Every occurrence of a series at each of its locations: { date, time, location, displayDate,
+// available, reason }. reason says why an occurrence can't be booked. cart is what the vendor
+// already has, which takes up its stores' days.
+function preview(series, cart = []) {
+  const today = slots.toDateKey(new Date());
+  const cartDays = new Set(cart.map(item => `${item.location}|${item.date}`));
+
+  const occurrences = [];
+  seriesDates(series).forEach(date => {
+    series.locations.forEach(location => {
+      const item = { date, time: series.time, location, displayDate: slots.displayDateFor(date) };
+      const label = `${item.displayDate} at ${location}`;
+      let reason = null;
+      if (!availabilityRules.getRules(location).slotTimes.includes(series.time)) {
+        reason = `${location} has no ${series.time} slot`;
+      } else {
+        reason = validation.dateProblem(item, label, today) ||
+          (cartDays.has(`${location}|${date}`) ? `Your cart already has a demo at ${location} that day` : null);
+      }
+      occurrences.push({ ...item, available: !reason, reason });
+    });
+  });
+
+  // One inventory check for the rest, like checkout's
+  const conflicts = slots.findConflicts(occurrences.filter(o => o.available));
+  conflicts.forEach(conflict => {
+    const occurrence = occurrences.find(o => slots.slotKey(o) === slots.slotKey(conflict));
+    occurrence.available = false;
+    occurrence.reason = CONFLICT_MESSAGES[conflict.status] || 'Unavailable';
+  });
+  return occurrences;
+}
+
+module.exports = {
+  INTERVAL_DAYS,
+  MAX_DATES,
+  seriesDates,
+  preview,
+};
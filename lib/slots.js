@@ -0,0 +1,282 @@
+// Slot inventory - which demo slots are open, held or booked.
+// Held and booked slots come from the booking store: a pending order holds its
+// slots until its Checkout Session expires, a paid one books them. A live waitlist
+// offer (lib/waitlist.js) also holds its slot, for the vendor it was offered to.
+
+const db = require('./db');
+const bookings = require('./bookings');
+const availabilityRules = require('./availability');
+const pricing = require('./pricing');
+const calendar = require('./calendar');
+
+const { LOCATIONS } = availabilityRules;
+const TIMEZONE = 'America/Los_Angeles';
+
+// How long a Checkout Session holds its slots (Stripe allows 30 minutes to 24 hours)
+const HOLD_MINUTES = Math.min(24 * 60, Math.max(30, parseInt(process.env.CHECKOUT_HOLD_MINUTES || '30')));
+
+// Normalize any date the browser sends ("2026-03-05", ISO timestamp, Date) to YYYY-MM-DD.
+// Days that don't exist ("2026-11-31") are rejected, not rolled over into the next month.
+function normalizeDate(value) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    // Date() itself rolls "2026-11-31T10:00:00Z" over to Dec 1, so check timestamps' days too
+    const day = value.slice(0, 10);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      if (addDays(day, 0) !== day) return null;
+      if (value === day) return value;
+    }
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return toDateKey(date);
+}
+
+// Calendar date of a timestamp in the stores' timezone
+function toDateKey(date) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(date);
+}
+
+function addDays(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// "Nov 20, 2026", the way the booking page labels a date
+function displayDateFor(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function dayOfWeek(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// The moment a slot starts, as a Date (its date and time are store-local)
+function slotStartsAt(slot) {
+  return calendar.startsAt(slot);
+}
+
+function slotKey({ location, date, time }) {
+  return `${location}|${date}|${time}`;
+}
+
+// Why a date can't be booked at a location under its rules, or null if it can.
+// Reasons: 'lead-time', 'closed' (weekday not open) or 'blackout'.
+function closedReason(rules, dateKey, today = toDateKey(new Date())) {
+  if (dateKey < addDays(today, rules.leadDays)) return 'lead-time';
+  if (!rules.openWeekdays.includes(dayOfWeek(dateKey))) return 'closed';
+  if (rules.blackoutDates.some(b => b.date === dateKey)) return 'blackout';
+  return null;
+}
+
+// Turn a raw cart item into { date, time, location, displayDate }, or null if malformed.
+// displayDate is always made here from the date; a label sent by the client is ignored.
+// Times are checked against the location's current slot times unless anyTime is set
+// (past bookings may use times that have since been retired).
+function normalizeCartItem(item, { anyTime = false } = {}) {
+  if (!item || typeof item !== 'object') return null;
+  const date = normalizeDate(item.dateStr || item.date);
+  if (!date || !LOCATIONS.includes(item.location)) return null;
+  const slotTimes = availabilityRules.getRules(item.location).slotTimes;
+  if (anyTime ? !/^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/.test(item.time) : !slotTimes.includes(item.time)) return null;
+  return {
+    date,
+    time: item.time,
+    location: item.location,
+    displayDate: displayDateFor(date),
+  };
+}
+
+// Helper: extract bookings from Stripe session metadata
+function extractBookings(session) {
+  try {
+    let bookingsStr;
+    if (session.metadata.bookings) {
+      bookingsStr = session.metadata.bookings;
+    } else if (session.metadata.bookings_chunks) {
+      const chunks = parseInt(session.metadata.bookings_chunks);
+      bookingsStr = '';
+      for (let i = 0; i < chunks; i++) {
+        bookingsStr += session.metadata[`bookings_${i}`] || '';
+      }
+    }
+    return bookingsStr ? JSON.parse(bookingsStr) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+class SlotConflictError extends Error {
+  constructor(conflicts) {
+    super('Some of the selected slots are no longer available');
+    this.conflicts = conflicts;
+  }
+}
+
+// Unix timestamp at which a new Checkout Session's hold should lapse
+function holdExpiresAt() {
+  return Math.floor(Date.now() / 1000) + HOLD_MINUTES * 60;
+}
+
+// Map of slotKey -> { status, orderId, offerId, expiresAt } for every slot taking up
+// inventory, plus dayCounts: "location|date" -> number of those slots (for the slots-per-day cap)
+function loadSlotStates() {
+  const states = new Map();
+  const dayCounts = new Map();
+  bookings.activeSlots().forEach(slot => {
+    const key = slotKey(slot);
+    // A booking always wins over a hold on the same slot
+    if (states.has(key) && states.get(key).status === 'booked') return;
+    if (!states.has(key)) {
+      const day = `${slot.location}|${slot.date}`;
+      dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+    }
+    states.set(key, {
+      // A no-show still used up its slot
+      status: slot.status === 'held' ? 'held' : 'booked',
+      orderId: slot.orderId,
+      expiresAt: slot.status === 'held' ? slot.holdExpiresAt : null,
+    });
+  });
+  // Read straight from the collection; lib/waitlist.js builds on this module
+  const now = Date.now();
+  db.filter('waitlist', w => w.status === 'offered' && Date.parse(w.offerExpiresAt) > now).forEach(offer => {
+    const key = slotKey({ location: offer.location, date: offer.date, time: offer.offeredTime });
+    if (states.has(key)) return;
+    const day = `${offer.location}|${offer.date}`;
+    dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+    states.set(key, { status: 'held', orderId: null, offerId: offer.id, expiresAt: offer.offerExpiresAt });
+  });
+  states.dayCounts = dayCounts;
+  return states;
+}
+
+// Availability for one location and month ("YYYY-MM"): per-date, per-time status.
+// Slot status is 'open', 'held', 'booked', 'full' (the day hit slotsPerDay) or 'closed'.
+function getAvailability(location, month) {
+  const rules = availabilityRules.getRules(location);
+  const states = loadSlotStates();
+  const [year, mon] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  const today = toDateKey(new Date());
+
+  const days = {};
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${month}-${String(day).padStart(2, '0')}`;
+    const reason = closedReason(rules, date, today);
+    const dayFull = (states.dayCounts.get(`${location}|${date}`) || 0) >= rules.slotsPerDay;
+    const slots = {};
+    const heldUntil = {};
+    rules.slotTimes.forEach(time => {
+      if (reason) {
+        slots[time] = 'closed';
+        return;
+      }
+      const state = states.get(slotKey({ location, date, time }));
+      slots[time] = state ? state.status : (dayFull ? 'full' : 'open');
+      if (state && state.status === 'held') heldUntil[time] = state.expiresAt;
+    });
+    days[date] = { bookable: !reason, slots };
+    if (reason) days[date].reason = reason;
+    if (reason === 'blackout') days[date].note = rules.blackoutDates.find(b => b.date === date).reason;
+    if (Object.keys(heldUntil).length > 0) days[date].heldUntil = heldUntil;
+  }
+
+  return { location, month, timeSlots: rules.slotTimes, leadDays: rules.leadDays, days };
+}
+
+// Cart items whose slot is not available; returns [{ ...item, status }].
+// Pass orderId to ignore that order's own slots, or offerId the slot a waitlist offer holds.
+function findConflicts(cart, { orderId, offerId } = {}) {
+  const states = loadSlotStates();
+  const today = toDateKey(new Date());
+  const conflicts = [];
+  const addedPerDay = new Map();
+  cart.forEach(item => {
+    const rules = availabilityRules.getRules(item.location);
+    if (closedReason(rules, item.date, today)) {
+      conflicts.push({ ...item, status: 'closed' });
+      return;
+    }
+    const state = states.get(slotKey(item));
+    const own = state && (state.offerId ? state.offerId === offerId : state.orderId === orderId);
+    if (state && !own) {
+      conflicts.push({ ...item, status: state.status });
+      return;
+    }
+    // Enforce the store's demos-per-day cap, counting earlier items in this cart
+    const day = `${item.location}|${item.date}`;
+    const taken = (states.dayCounts.get(day) || 0) + (addedPerDay.get(day) || 0);
+    if (!state && taken >= rules.slotsPerDay) {
+      conflicts.push({ ...item, status: 'full' });
+      return;
+    }
+    addedPerDay.set(day, (addedPerDay.get(day) || 0) + 1);
+  });
+  return conflicts;
+}
+
+// Check the cart against inventory, price it and hold its slots under a new pending
+// order, as one step so two checkouts can't both claim the same slot.
+// offerId lets the cart take the slot held by that waitlist offer.
+// Throws SlotConflictError listing the taken slots, or PricingError for a bad promo code.
+function reserve({ cart, customer, product, billing = null, expiresAt, promoCode, offerId }) {
+  return db.transaction(() => {
+    const conflicts = findConflicts(cart, { offerId });
+    if (conflicts.length > 0) throw new SlotConflictError(conflicts);
+    // Priced inside the transaction so a promo code's last use can't be taken twice
+    const quote = pricing.quote({ cart, promoCode, email: customer.email });
+    return bookings.createOrder({
+      customer,
+      product,
+      billing,
+      cart: quote.items,
+      holdExpiresAt: new Date(expiresAt * 1000).toISOString(),
+      amountTotal: quote.total,
+      subtotal: quote.subtotal,
+      bundleDiscount: quote.bundleDiscount,
+      promoCode: quote.promoCode,
+      promoDiscount: quote.promoDiscount,
+    });
+  });
+}
+
+// Move one booked demo to another slot, checked and moved in one step like reserve().
+// Throws SlotConflictError if the new slot isn't available.
+function moveSlot(slotId, target) {
+  return db.transaction(() => {
+    // Out of inventory while we check, so it doesn't count against its own day
+    db.update('slots', slotId, { status: 'moving' });
+    const conflicts = findConflicts([target]);
+    if (conflicts.length > 0) throw new SlotConflictError(conflicts);
+    return bookings.rescheduleSlot(slotId, target);
+  });
+}
+
+module.exports = {
+  LOCATIONS,
+  HOLD_MINUTES,
+  TIMEZONE,
+  normalizeDate,
+  toDateKey,
+  addDays,
+  displayDateFor,
+  dayOfWeek,
+  slotStartsAt,
+  slotKey,
+  closedReason,
+  normalizeCartItem,
+  extractBookings,
+  SlotConflictError,
+  holdExpiresAt,
+  loadSlotStates,
+  getAvailability,
+  findConflicts,
+  reserve,
+  moveSlot,
+};
@@ -0,0 +1,94 @@
+// Mirror paid Stripe Checkout Sessions into the booking store.
+// Used by the one-time backfill (scripts/import-stripe.js) and by the webhook
+// when it sees a session that was created before the store existed.
+
+const bookings = require('./bookings');
+const slots = require('./slots');
+const pricing = require('./pricing');
+
+function toISO(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString();
+}
+
+// The revenue split that actually happened on a destination charge: what was
+// transferred to Woodlands Market and what Grassroots kept as the application fee,
+// net of reversals and fee refunds. Expand charge.transfer and charge.application_fee
+// for exact figures; otherwise reversals are assumed proportional to the refund, which
+// is how Stripe reverses them. Returns null for charges with no transfer.
+function splitFromCharge(charge) {
+  if (!charge || typeof charge !== 'object' || !charge.transfer) return null;
+  const transfer = typeof charge.transfer === 'object' ? charge.transfer : null;
+  const fee = typeof charge.application_fee === 'object' ? charge.application_fee : null;
+  const applicationFeeAmount = charge.application_fee_amount || 0;
+  const transferAmount = transfer ? transfer.amount : charge.amount - applicationFeeAmount;
+  const refundedShare = charge.amount ? charge.amount_refunded / charge.amount : 0;
+
+  return {
+    transferId: transfer ? transfer.id : charge.transfer,
+    transferDestination: transfer ? transfer.destination : charge.transfer_data?.destination || null,
+    transferAmount,
+    transferReversed: transfer ? transfer.amount_reversed : Math.round(transferAmount * refundedShare),
+    applicationFeeId: fee ? fee.id : charge.application_fee || null,
+    applicationFeeAmount,
+    applicationFeeRefunded: fee ? fee.amount_refunded : Math.round(applicationFeeAmount * refundedShare),
+  };
+}
+
+// Create the order for a paid session unless it is already stored.
+// Returns { order, created, skippedItems } - skippedItems are metadata entries
+// that could not be parsed into a demo slot, so the caller can report them.
+function importSession(session, { confirmationEmailSent = false } = {}) {
+  const existing = bookings.findOrderBySession(session.id);
+  if (existing) return { order: bookings.withSlots(existing), created: false, skippedItems: [] };
+  if (session.payment_status !== 'paid') return { order: null, created: false, skippedItems: [] };
+
+  const raw = slots.extractBookings(session);
+  const normalize = item => slots.normalizeCartItem(item, { anyTime: true });
+  const cart = raw.map(normalize).filter(Boolean);
+  const skippedItems = raw.filter(item => !normalize(item));
+
+  // Older sessions don't record per-demo prices; share the total out evenly
+  const amounts = pricing.allocate(session.amount_total || 0, cart.map(() => 1));
+  cart.forEach((item, index) => { item.amount = amounts[index]; });
+
+  const paymentIntent = session.payment_intent;
+  const paymentIntentId = typeof paymentIntent === 'string' ? paymentIntent : paymentIntent?.id || null;
+  const meta = session.metadata || {};
+
+  let order = bookings.createOrder({
+    customer: {
+      email: session.customer_email || session.customer_details?.email,
+      name: meta.customerName,
+      company: meta.company,
+      phone: meta.phone,
+    },
+    product: meta.product,
+    cart,
+    status: 'paid',
+    createdAt: toISO(session.created),
+    paidAt: toISO(session.created),
+    sessionId: session.id,
+    paymentIntentId,
+    amountTotal: session.amount_total,
+    confirmationNumber: bookings.confirmationNumberFor(session.id),
+    confirmationEmailSentAt: confirmationEmailSent ? toISO(session.created) : null,
+    source: 'stripe-import',
+  });
+
+  // Carry over refunds when the latest charge was expanded
+  const charge = paymentIntent && typeof paymentIntent === 'object' ? paymentIntent.latest_charge : null;
+  if (charge && typeof charge === 'object' && charge.amount_refunded > 0) {
+    bookings.recordRefund(order.id, { stripeRefundId: null, amount: charge.amount_refunded, reason: 'Imported from Stripe' });
+    order = charge.refunded
+      ? bookings.markRefunded(order.id, charge.amount_refunded)
+      : bookings.setAmountRefunded(order.id, charge.amount_refunded);
+    order = bookings.withSlots(order);
+  }
+
+  const split = splitFromCharge(charge);
+  if (split) order = bookings.withSlots(bookings.recordSplit(order.id, split));
+
+  return { order, created: true, skippedItems };
+}
+
+module.exports = { importSession, splitFromCharge };
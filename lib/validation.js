@@ -0,0 +1,233 @@
+// Request validation for the public booking API. A schema maps each body field to a rule;
+// validate() runs every rule and either returns the cleaned-up body or throws a
+// ValidationError listing every problem, which routes send back as a 400:
+//
+//   { error: 'Please correct the highlighted fields', errors: [{ field, message }] }
+//
+// so the booking form can show each message next to its field. Cart problems name one
+// item ("cart[2]") or the whole cart ("cart").
+
+const slots = require('./slots');
+const availabilityRules = require('./availability');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[0-9+().\-\s]+$/;
+// Well under Stripe Checkout's 100 line items
+const MAX_CART_ITEMS = 50;
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Please correct the highlighted fields');
+    this.errors = errors;
+  }
+}
+
+// Rules take (value, problem) and return the cleaned value; problem(message, field?)
+// records an error against the rule's field, or against another one (e.g. a cart item).
+
+// Trimmed text up to max characters. required is the message for a missing value,
+// or false if it may be left out.
+function text({ max, required = false }) {
+  return (value, problem) => {
+    if (value !== undefined && value !== null && typeof value !== 'string') return problem('Must be text');
+    const clean = (value || '').trim();
+    if (!clean) return required ? problem(required) : '';
+    if (clean.length > max) return problem(`Must be ${max} characters or fewer`);
+    return clean;
+  };
+}
+
+function email() {
+  const base = text({ max: 254, required: 'Enter your email address' });
+  return (value, problem) => {
+    const clean = base(value, problem);
+    if (clean && !EMAIL_PATTERN.test(clean)) return problem('Enter a valid email address');
+    return clean;
+  };
+}
+
+function phone() {
+  const base = text({ max: 30 });
+  return (value, problem) => {
+    const clean = base(value, problem);
+    if (clean && (!PHONE_PATTERN.test(clean) || clean.replace(/\D/g, '').length < 7)) {
+      return problem('Enter a valid phone number');
+    }
+    return clean;
+  };
+}
+
+// Why a store can't take a demo on item's date (a store-local YYYY-MM-DD), or null if it can.
+// label names the slot in the message, e.g. "Nov 20, 2026 at Kentfield".
+function dateProblem(item, label, today = slots.toDateKey(new Date())) {
+  const rules = availabilityRules.getRules(item.location);
+  const reason = slots.closedReason(rules, item.date, today);
+  if (item.date < today) return `${label} is in the past`;
+  if (reason === 'lead-time') return `${label} is too soon - demos must be booked ${rules.leadDays}+ days ahead`;
+  if (reason === 'closed') return `${item.location} doesn't host demos on that day of the week`;
+  if (reason === 'blackout') return `${label} is unavailable`;
+  return null;
+}
+
+// A list of demo slots, normalized with slots.normalizeCartItem. bookable also checks
+// each date against its store's rules (lead time, open days, blackouts) and the
+// one-demo-per-store-per-day limit; quotes skip that so a stale cart can still be priced.
+function cart({ allowEmpty = false, bookable = false } = {}) {
+  return (value, problem) => {
+    if (!Array.isArray(value)) return problem('Cart must be a list of demos');
+    if (value.length === 0 && !allowEmpty) return problem('Add at least one demo to your cart');
+    if (value.length > MAX_CART_ITEMS) return problem(`A booking can have at most ${MAX_CART_ITEMS} demos`);
+
+    const today = slots.toDateKey(new Date());
+    const days = new Set();
+    return value.map((raw, index) => {
+      const field = `cart[${index}]`;
+      const item = slots.normalizeCartItem(raw);
+      if (!item) return problem('This demo has an invalid date, time or store', field);
+      if (!bookable) return item;
+
+      const label = `${item.displayDate} at ${item.location}`;
+      const unavailable = dateProblem(item, label, today);
+      if (unavailable) return problem(unavailable, field);
+
+      const day = `${item.location}|${item.date}`;
+      if (days.has(day)) return problem(`Only one demo per location per day - ${label} is already in your cart`, field);
+      days.add(day);
+      return item;
+    });
+  };
+}
+
+const checkoutSchema = {
+  cart: cart({ bookable: true }),
+  customerName: text({ max: 100, required: 'Enter your name' }),
+  customerEmail: email(),
+  company: text({ max: 120, required: 'Enter your company or brand name' }),
+  product: text({ max: 200, required: 'Enter the product(s) you will demo' }),
+  phone: phone(),
+  promoCode: text({ max: 40 }),
+  // Invoice details for the vendor's finance team, all optional (lib/invoices.js)
+  businessName: text({ max: 120 }),
+  billingAddress: text({ max: 300 }),
+  taxId: text({ max: 40 }),
+  // The token from a waitlist offer link, letting the cart take the slot it holds
+  offerToken: text({ max: 100 }),
+  // The token of a saved cart this checkout was restored from (lib/carts.js)
+  cartToken: text({ max: 100 }),
+};
+
+const quoteSchema = {
+  cart: cart({ allowEmpty: true }),
+  promoCode: text({ max: 40 }),
+  // Whose store credit the promo code may be, if it is one
+  customerEmail: text({ max: 254 }),
+};
+
+// One of a fixed list of values
+function oneOf(values, message) {
+  return (value, problem) => (values.includes(value) ? value : problem(message));
+}
+
+// A store-local date, YYYY-MM-DD. required is the message for a missing one, or false.
+function dateKey({ required = 'Choose a date' } = {}) {
+  return (value, problem) => {
+    if (!value && !required) return null;
+    const valid = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && slots.addDays(value, 0) === value;
+    return valid ? value : problem(required || 'Choose a valid date');
+  };
+}
+
+// A whole number from min to max. required is the message for a missing one, or false.
+function integer({ min, max, required = false }) {
+  return (value, problem) => {
+    if (value === undefined || value === null || value === '') return required ? problem(required) : null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) return problem(`Must be a whole number from ${min} to ${max}`);
+    return number;
+  };
+}
+
+// A list of up to maxItems short texts, trimmed, with blanks and repeats dropped
+function textList({ max, maxItems }) {
+  return (value, problem) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return problem('Must be a list');
+    const clean = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+    if (clean.length > maxItems) return problem(`At most ${maxItems}`);
+    if (clean.some(item => item.length > max)) return problem(`Each must be ${max} characters or fewer`);
+    return clean;
+  };
+}
+
+// One or more stores, without repeats
+function locationList() {
+  return (value, problem) => {
+    if (!Array.isArray(value) || value.length === 0) return problem('Choose at least one store');
+    if (value.some(location => !slots.LOCATIONS.includes(location))) return problem('Choose from our stores');
+    return [...new Set(value)];
+  };
+}
+
+// The store, date and (optionally) slot time are checked against the store's rules by the
+// route, once it knows which store they're for
+const waitlistSchema = {
+  location: oneOf(slots.LOCATIONS, 'Choose a store'),
+  date: dateKey(),
+  time: text({ max: 20 }),
+  customerEmail: email(),
+  company: text({ max: 120, required: 'Enter your company or brand name' }),
+  product: text({ max: 200, required: 'Enter the product(s) you will demo' }),
+};
+
+// A recurring series (lib/series.js) and the cart it would join. The route checks the end: an
+// endDate on or after startDate, or a count.
+const seriesSchema = {
+  locations: locationList(),
+  frequency: oneOf(['weekly', 'biweekly'], 'Choose weekly or every other week'),
+  weekday: integer({ min: 0, max: 6, required: 'Choose a day of the week' }),
+  time: text({ max: 20, required: 'Choose a time' }),
+  startDate: dateKey({ required: 'Choose a start date' }),
+  endDate: dateKey({ required: false }),
+  count: integer({ min: 1, max: 52 }),
+  cart: cart({ allowEmpty: true }),
+};
+
+// Asking for a vendor account sign-in link
+const loginSchema = {
+  customerEmail: email(),
+};
+
+// A vendor's saved profile (lib/vendor-accounts.js)
+const profileSchema = {
+  customerName: text({ max: 100, required: 'Enter your name' }),
+  phone: phone(),
+  company: text({ max: 120, required: 'Enter your company or brand name' }),
+  products: textList({ max: 200, maxItems: 20 }),
+};
+
+// The body's fields cleaned up per the schema (other fields are dropped); throws ValidationError
+function validate(schema, body) {
+  const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const errors = [];
+  const clean = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    clean[field] = rule(input[field], (message, at = field) => {
+      errors.push({ field: at, message });
+    });
+  });
+  if (errors.length > 0) throw new ValidationError(errors);
+  return clean;
+}
+
+module.exports = {
+  MAX_CART_ITEMS,
+  ValidationError,
+  checkoutSchema,
+  quoteSchema,
+  waitlistSchema,
+  seriesSchema,
+  loginSchema,
+  profileSchema,
+  dateProblem,
+  validate,
+};
@@ -0,0 +1,122 @@
+// Vendor accounts - passwordless sign-in for the brands that book demos. An account is the
+// customer record bookings already keep per email address (lib/bookings.js) plus a saved
+// profile - name, phone, company and the products they demo - which pre-fills the booking form.
+//
+// Signing in: a vendor asks for a link, which is emailed to them and works once, within
+// VENDOR_LINK_MINUTES (default 15). Following it starts a session whose random token goes to the
+// browser in an HttpOnly cookie and lasts VENDOR_SESSION_DAYS (default 30). As with admin
+// sessions, only hashes of link and session tokens are stored.
+
+const crypto = require('crypto');
+const db = require('./db');
+const bookings = require('./bookings');
+
+function now() {
+  return new Date().toISOString();
+}
+
+function linkMinutes() {
+  return Number(process.env.VENDOR_LINK_MINUTES) || 15;
+}
+
+function sessionDays() {
+  return Number(process.env.VENDOR_SESSION_DAYS) || 30;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// A sign-in link for an email address: returns { token, expiresAt }. The account is only
+// created once the link is followed, so asking for one reveals nothing about the address.
+function createLoginLink(email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + linkMinutes() * 60000);
+  db.insert('vendorLoginLinks', {
+    tokenHash: hashToken(token),
+    email: normalizeEmail(email),
+    createdAt: now(),
+    expiresAt: expiresAt.toISOString(),
+    usedAt: null,
+  }, 'vll');
+  return { token, expiresAt };
+}
+
+// Sign a vendor in: returns { token, expiresAt }. Only the token's hash is stored.
+function createSession(customer) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + sessionDays() * 86400000);
+  db.insert('vendorSessions', {
+    tokenHash: hashToken(token),
+    customerId: customer.id,
+    createdAt: now(),
+    expiresAt: expiresAt.toISOString(),
+    revokedAt: null,
+  }, 'vss');
+  return { token, expiresAt };
+}
+
+// Follow a sign-in link: uses it up and signs in its email's account, creating the account on
+// first sign-in. Returns { customer, token, expiresAt }, or null if the link is unknown, used
+// or expired.
+function redeemLoginLink(token) {
+  if (!token) return null;
+  return db.transaction(() => {
+    const tokenHash = hashToken(token);
+    const link = db.find('vendorLoginLinks', l => l.tokenHash === tokenHash);
+    if (!link || link.usedAt || Date.parse(link.expiresAt) <= Date.now()) return null;
+    db.update('vendorLoginLinks', link.id, { usedAt: now() });
+
+    const existing = db.find('customers', c => c.email === link.email) || bookings.upsertCustomer({ email: link.email });
+    const customer = db.update('customers', existing.id, { lastSignInAt: now() });
+    return { customer, ...createSession(customer) };
+  });
+}
+
+// The signed-in vendor's customer record for a session token, or null if the session is
+// unknown, expired or revoked
+function sessionCustomer(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = db.find('vendorSessions', s => s.tokenHash === tokenHash);
+  if (!session || session.revokedAt || Date.parse(session.expiresAt) <= Date.now()) return null;
+  return bookings.getCustomer(session.customerId);
+}
+
+function revokeSession(token) {
+  const tokenHash = hashToken(token);
+  return db.updateWhere('vendorSessions', s => s.tokenHash === tokenHash && !s.revokedAt, { revokedAt: now() });
+}
+
+// The saved profile, for the API and the booking form
+function profileOf(customer) {
+  return {
+    id: customer.id,
+    email: customer.email,
+    name: customer.name || '',
+    phone: customer.phone || '',
+    company: customer.company || '',
+    products: customer.products || [],
+    hasAccount: !!customer.lastSignInAt,
+  };
+}
+
+// Save profile fields, already checked against validation.profileSchema
+function updateProfile(customerId, { name, phone, company, products }) {
+  return db.update('customers', customerId, { name, phone, company, products, updatedAt: now() });
+}
+
+module.exports = {
+  linkMinutes,
+  sessionDays,
+  createLoginLink,
+  redeemLoginLink,
+  sessionCustomer,
+  revokeSession,
+  profileOf,
+  updateProfile,
+};
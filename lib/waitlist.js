@@ -0,0 +1,155 @@
+// Waitlist for fully booked dates. A vendor joins for a store and date, and optionally one
+// slot time. When a matching slot opens up - a refund, cancellation, reschedule or lapsed
+// checkout frees it - the earliest vendor in line is offered it: the slot is held for them
+// (slots.loadSlotStates counts live offers as holds) until the offer expires, and the
+// emailed offer link puts it in their cart. An offer that lapses passes the slot on to the
+// next vendor in line.
+//
+// Offer links carry a random token; only its hash is stored, like admin sessions.
+//
+// Entry status:  waiting -> offered -> claimed (checked out with the offer)
+//                                   -> expired (the offer lapsed)
+//                waiting -> closed (the date can no longer be booked)
+
+const crypto = require('crypto');
+const db = require('./db');
+const slots = require('./slots');
+const availabilityRules = require('./availability');
+
+class WaitlistError extends Error {}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// How long an offer holds its slot (WAITLIST_OFFER_HOURS, default 24)
+function offerHours() {
+  return Number(process.env.WAITLIST_OFFER_HOURS) || 24;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isLive(entry, at = Date.now()) {
+  return entry.status === 'offered' && Date.parse(entry.offerExpiresAt) > at;
+}
+
+// Entries still in line, first come first served
+function waitingEntries() {
+  return db.filter('waitlist', w => w.status === 'waiting').sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Place in line for an entry's store and date (1 = next)
+function positionOf(entry) {
+  return waitingEntries().filter(w => w.location === entry.location && w.date === entry.date && w.createdAt <= entry.createdAt).length;
+}
+
+// Add a vendor to the waitlist; returns { entry, position }. Throws WaitlistError if they
+// are already waiting (or holding an offer) for that store and date.
+function join({ location, date, time = null, email, company, product }) {
+  return db.transaction(() => {
+    const normalizedEmail = email.toLowerCase();
+    const existing = db.find('waitlist', w => w.email === normalizedEmail && w.location === location && w.date === date &&
+      (w.status === 'waiting' || isLive(w)));
+    if (existing) throw new WaitlistError(`You're already on the waitlist for ${location} that day`);
+
+    const entry = db.insert('waitlist', {
+      location,
+      date,
+      time: time || null,
+      email: normalizedEmail,
+      company,
+      product,
+      status: 'waiting',
+      createdAt: now(),
+      offeredTime: null,
+      offeredAt: null,
+      offerExpiresAt: null,
+      tokenHash: null,
+      orderId: null,
+    }, 'wl');
+    return { entry, position: positionOf(entry) };
+  });
+}
+
+// Entries for the admin dashboard, soonest date first. locations limits it to some stores.
+function listEntries({ locations = slots.LOCATIONS, statuses = ['waiting', 'offered'] } = {}) {
+  return db.filter('waitlist', w => locations.includes(w.location) && statuses.includes(w.status))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+}
+
+// The entry an offer token belongs to, whatever its status, or null
+function findByToken(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  return db.find('waitlist', w => w.tokenHash === tokenHash);
+}
+
+// The entry for a token if its offer can still be taken up, or null
+function liveOffer(token) {
+  const entry = findByToken(token);
+  return entry && isLive(entry) ? entry : null;
+}
+
+function makeOffer(entry, time, at) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const offered = db.update('waitlist', entry.id, {
+    status: 'offered',
+    offeredTime: time,
+    offeredAt: at.toISOString(),
+    offerExpiresAt: new Date(at.getTime() + offerHours() * 3600000).toISOString(),
+    tokenHash: hashToken(token),
+  });
+  return { entry: offered, token };
+}
+
+// Put an offer back in line, e.g. when its email couldn't be sent; the slot is freed again
+function withdrawOffer(id) {
+  return db.update('waitlist', id, { status: 'waiting', offeredTime: null, offeredAt: null, offerExpiresAt: null, tokenHash: null });
+}
+
+function markClaimed(id, orderId) {
+  return db.update('waitlist', id, { status: 'claimed', orderId });
+}
+
+// Offer every slot that has opened up to the earliest matching vendor in line. Lapsed offers
+// expire first, so their slots go to the next vendor; entries whose date is past the store's
+// lead time are closed. Returns the new offers, [{ entry, token }], for the caller to email.
+function offerOpenSlots(at = new Date()) {
+  return db.transaction(() => {
+    db.updateWhere('waitlist', w => w.status === 'offered' && !isLive(w, at.getTime()), { status: 'expired' });
+
+    const today = slots.toDateKey(at);
+    const offers = [];
+    waitingEntries().forEach(entry => {
+      const rules = availabilityRules.getRules(entry.location);
+      const reason = slots.closedReason(rules, entry.date, today);
+      if (reason === 'lead-time') {
+        db.update('waitlist', entry.id, { status: 'closed' });
+        return;
+      }
+      // Closed days and blackouts may open up again; keep waiting
+      if (reason) return;
+
+      const times = entry.time ? [entry.time] : rules.slotTimes;
+      const time = times.find(t => rules.slotTimes.includes(t) &&
+        slots.findConflicts([{ location: entry.location, date: entry.date, time: t }]).length === 0);
+      if (time) offers.push(makeOffer(entry, time, at));
+    });
+    return offers;
+  });
+}
+
+module.exports = {
+  WaitlistError,
+  offerHours,
+  join,
+  positionOf,
+  listEntries,
+  liveOffer,
+  findByToken,
+  withdrawOffer,
+  markClaimed,
+  offerOpenSlots,
+};
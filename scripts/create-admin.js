@@ -0,0 +1,39 @@
+// Create an admin account from the command line - the first Grassroots superadmin, or
+// anyone locked out. Everyone else can be added from the admin dashboard.
+//
+//   npm run admin:create -- <email> "<name>" [superadmin|manager] [location]
+//
+// Asks for the password without echoing it. Run it against the same DATABASE_FILE as the
+// server; it is safe to run while the server is up (see lib/db.js).
+require('dotenv').config();
+const readline = require('readline');
+const { Writable } = require('stream');
+const adminUsers = require('../lib/admin-users');
+
+const [email, name, role = 'superadmin', location] = process.argv.slice(2);
+if (!email || !name) {
+  console.error('Usage: npm run admin:create -- <email> "<name>" [superadmin|manager] [location]');
+  process.exit(1);
+}
+
+// Shows the prompt, but not what is typed after it
+const output = new Writable({
+  write(chunk, encoding, callback) {
+    if (!output.muted) process.stdout.write(chunk, encoding);
+    callback();
+  },
+});
+const rl = readline.createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+process.stdout.write(`Password for ${email} (at least ${adminUsers.MIN_PASSWORD_LENGTH} characters): `);
+output.muted = true;
+rl.question('', password => {
+  rl.close();
+  process.stdout.write('\n');
+  try {
+    const user = adminUsers.createUser({ email, name, password, role, location });
+    console.log(`Created ${user.role} ${user.email}${user.location ? ` (${user.location})` : ''}`);
+  } catch (error) {
+    console.error(error instanceof adminUsers.AdminUserError ? error.message : error);
+    process.exit(1);
+  }
+});
@@ -0,0 +1,54 @@
+// One-time backfill of the booking store from existing Stripe Checkout Sessions.
+//
+//   npm run import:stripe
+//
+// Safe to re-run: sessions that are already in the store are skipped.
+// Imported orders are marked as already emailed so nobody gets a second confirmation.
+// Sessions come from the payment provider (PAYMENT_PROVIDER), and orders are written through
+// the store's locked writes, so it can run while the server is up.
+require('dotenv').config();
+const paymentProviders = require('../lib/payments');
+const { importSession } = require('../lib/stripe-sync');
+
+const payments = paymentProviders.create();
+
+async function main() {
+  const counts = { seen: 0, imported: 0, existing: 0, unpaid: 0 };
+  const problems = [];
+
+  let hasMore = true;
+  let startingAfter = null;
+  while (hasMore) {
+    const batch = await payments.listCheckoutSessions({ startingAfter });
+
+    batch.data.forEach(session => {
+      counts.seen++;
+      if (session.payment_status !== 'paid' || !session.metadata?.customerName) {
+        counts.unpaid++;
+        return;
+      }
+      const { order, created, skippedItems } = importSession(session, { confirmationEmailSent: true });
+      if (created) counts.imported++;
+      else counts.existing++;
+      if (created && order.slots.length === 0) {
+        problems.push(`${session.id}: no demo slots could be read from metadata`);
+      }
+      skippedItems.forEach(item => problems.push(`${session.id}: skipped unreadable slot ${JSON.stringify(item)}`));
+    });
+
+    hasMore = batch.hasMore;
+    if (batch.data.length > 0) startingAfter = batch.data[batch.data.length - 1].id;
+    console.log(`...${counts.seen} sessions`);
+  }
+
+  console.log(`Imported ${counts.imported} orders (${counts.existing} already stored, ${counts.unpaid} unpaid sessions skipped)`);
+  if (problems.length > 0) {
+    console.warn(`${problems.length} problem(s) need a look:`);
+    problems.forEach(p => console.warn(`  ${p}`));
+  }
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
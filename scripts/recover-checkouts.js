@@ -0,0 +1,25 @@
+// Trigger the checkout recovery job on the running server - what a Railway cron service (or any
+// other scheduler) runs every hour. The job runs in the server, next to the booking store.
+//
+//   npm run checkouts:recover [url]
+//
+// Defaults to FRONTEND_URL and authenticates with CRON_SECRET as a bearer token.
+require('dotenv').config();
+
+const [url = `${process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`}/api/cron/checkout-recovery`] = process.argv.slice(2);
+if (!process.env.CRON_SECRET) {
+  console.error('CRON_SECRET is not set');
+  process.exit(1);
+}
+
+fetch(url, { headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` } })
+  .then(async response => {
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+    console.log(`Checkout recovery: ${body.sent} sent, ${body.failed} failed`);
+    if (body.failed > 0) process.exit(1);
+  })
+  .catch(error => {
+    console.error('Checkout recovery run failed:', error.message);
+    process.exit(1);
+  });
@@ -2,15 +2,71 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const Stripe = require('stripe');
-const { Resend } = require('resend');
+const slots = require('./lib/slots');
+const bookings = require('./lib/bookings');
+const availabilityRules = require('./lib/availability');
+const pricing = require('./lib/pricing');
+const policyRules = require('./lib/policy');
+const manageLinks = require('./lib/manage-links');
+const reminders = require('./lib/reminders');
+const calendar = require('./lib/calendar');
+const feeds = require('./lib/feeds');
+const adminUsers = require('./lib/admin-users');
+const audit = require('./lib/audit');
+const validation = require('./lib/validation');
+const emailTemplates = require('./lib/email-templates');
+const outbox = require('./lib/outbox');
+const waitlist = require('./lib/waitlist');
+const series = require('./lib/series');
+const vendorAccounts = require('./lib/vendor-accounts');
+const invoices = require('./lib/invoices');
+const attendance = require('./lib/attendance');
+const reports = require('./lib/reports');
+const carts = require('./lib/carts');
+const { RateLimiter } = require('./lib/rate-limit');
+const paymentProviders = require('./lib/payments');
+const mailProviders = require('./lib/mail');
+const { importSession, splitFromCharge } = require('./lib/stripe-sync');
 
 const app = express();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Behind the host's proxy: req.ip is the client's address (for sign-in rate limiting)
+app.set('trust proxy', 1);
+// Stripe and Resend, or their offline fakes (PAYMENT_PROVIDER / MAIL_PROVIDER)
+const payments = paymentProviders.create();
+const mail = mailProviders.create();
+// So end-to-end tests can drive the fakes (see test/lifecycle.test.js)
+app.locals.payments = payments;
+app.locals.mail = mail;
 
 app.use(cors());
+
+// POST /api/webhooks/stripe - Stripe events, the source of truth for confirmations.
+// Registered before express.json() because signature checks need the raw body.
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+  try {
+    event = payments.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: `Webhook Error: ${error.message}` });
+  }
+
+  try {
+    await handleStripeEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the delivery
+    console.error(`Error handling ${event.type} (${event.id}):`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.use(express.json());
+// A body that isn't valid JSON gets the API's usual error shape, not Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed') return next(error);
+  res.status(400).json({ error: 'Request body must be valid JSON' });
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Serve success page
@@ -18,37 +74,194 @@ app.get('/success', (req, res) => {
   res.sendFile('success.html', { root: path.join(__dirname, 'public') });
 });
 
+// Serve the calendar module the pages share with the server
+app.get('/calendar.js', (req, res) => {
+  res.sendFile('calendar.js', { root: path.join(__dirname, 'lib') });
+});
+
+// Serve the HTML escaping the pages share with the server
+app.get('/html.js', (req, res) => {
+  res.sendFile('html.js', { root: path.join(__dirname, 'lib') });
+});
+
+// Serve the vendor manage page (reached from the link in the confirmation email)
+app.get('/manage', (req, res) => {
+  res.sendFile('manage.html', { root: path.join(__dirname, 'public') });
+});
+
+// Serve the vendor account page (My Demos)
+app.get('/account', (req, res) => {
+  res.sendFile('account.html', { root: path.join(__dirname, 'public') });
+});
+
+// Serve the printable day-of run sheet for store staff (signed in to the admin dashboard)
+app.get('/run-sheet', (req, res) => {
+  res.sendFile('run-sheet.html', { root: path.join(__dirname, 'public') });
+});
+
+// GET /api/availability?location=Kentfield&month=2026-03 - Open, held and booked slots
+app.get('/api/availability', async (req, res) => {
+  try {
+    const { location, month } = req.query;
+    if (!slots.LOCATIONS.includes(location)) {
+      return res.status(400).json({ error: 'Unknown location' });
+    }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+
+    const availability = slots.getAvailability(location, month);
+    res.json(availability);
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/pricing - Public price list for the booking page (promo codes stay private)
+app.get('/api/pricing', (req, res) => {
+  const { basePrice, priceRules, bundles } = pricing.getSettings();
+  res.json({ basePrice, priceRules, bundles });
+});
+
+// GET /api/policy - Cancellation & reschedule policy, for the booking page
+app.get('/api/policy', (req, res) => {
+  res.json(policyRules.getPolicy());
+});
+
+// POST /api/quote - Price a cart exactly as checkout will charge it
+app.post('/api/quote', (req, res) => {
+  try {
+    const { cart, promoCode, customerEmail } = validation.validate(validation.quoteSchema, req.body);
+
+    // A bad promo code still gets a quote, just without the discount
+    try {
+      res.json(pricing.quote({ cart, promoCode, email: customerEmail }));
+    } catch (error) {
+      if (!(error instanceof pricing.PricingError)) throw error;
+      res.json({ ...pricing.quote({ cart }), promoError: error.message });
+    }
+  } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    console.error('Error quoting cart:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/series/preview - Expand a recurring series ("every other Thursday at Kentfield until
+// March") into its demos, marking which can be booked, and quote the cart with the available ones
+app.post('/api/series/preview', (req, res) => {
+  try {
+    const request = validation.validate(validation.seriesSchema, req.body);
+    if (!request.endDate && !request.count) {
+      throw new validation.ValidationError([{ field: 'endDate', message: 'Choose an end date or a number of dates' }]);
+    }
+    if (request.endDate && request.endDate < request.startDate) {
+      throw new validation.ValidationError([{ field: 'endDate', message: 'The series must end after it starts' }]);
+    }
+
+    const occurrences = series.preview(request, request.cart);
+    const available = occurrences.filter(o => o.available);
+    if (request.cart.length + available.length > validation.MAX_CART_ITEMS) {
+      throw new validation.ValidationError([{
+        field: 'count',
+        message: `A booking can have at most ${validation.MAX_CART_ITEMS} demos - shorten the series or book it in parts`,
+      }]);
+    }
+    res.json({
+      occurrences,
+      available: available.length,
+      quote: pricing.quote({ cart: [...request.cart, ...available.map(({ date, time, location, displayDate }) => ({ date, time, location, displayDate }))] }),
+    });
+  } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    console.error('Error previewing series:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: a 400 listing the fields a request got wrong, for the booking form to show inline
+function sendValidationError(res, error) {
+  res.status(400).json({ error: error.message, errors: error.errors });
+}
+
 // Create Stripe Checkout Session
 app.post('/api/create-checkout-session', async (req, res) => {
   try {
-    const { cart, customerEmail, customerName, company, product, phone } = req.body;
-    
-    const totalAmount = cart.length * 30 * 100; // $30 per demo in cents
-    
-    // Create line items for Stripe
-    const lineItems = cart.map(item => ({
+    // Checks every field, including that each slot's date can be booked and that the cart
+    // has one demo per location per day
+    const form = validation.validate(validation.checkoutSchema, req.body);
+    const { cart, customerEmail, customerName, company, product, phone, promoCode, offerToken,
+      businessName, billingAddress, taxId } = form;
+
+    // A waitlist offer link lets the cart take the slot the offer holds. The offer is only used
+    // up by a cart that has that slot in it.
+    const liveOffer = offerToken ? waitlist.liveOffer(offerToken) : null;
+    if (offerToken && !liveOffer) {
+      throw new validation.ValidationError([{ field: 'offerToken', message: 'Your waitlist offer has expired or was already used' }]);
+    }
+    const offeredSlot = liveOffer && slots.slotKey({ location: liveOffer.location, date: liveOffer.date, time: liveOffer.offeredTime });
+    const offer = liveOffer && cart.some(item => slots.slotKey(item) === offeredSlot) ? liveOffer : null;
+
+    // Hold the slots before sending the buyer to Stripe; refuses slots someone else holds or booked.
+    // The server prices the order - nothing the browser says about prices is used.
+    const expiresAt = slots.holdExpiresAt();
+    const order = slots.reserve({
+      cart,
+      customer: { email: customerEmail, name: customerName, company, phone },
+      product,
+      billing: businessName || billingAddress || taxId ? { businessName, address: billingAddress, taxId } : null,
+      expiresAt,
+      promoCode,
+      offerId: offer && offer.id,
+    });
+    if (offer) {
+      // Its slot is now held by the order; the order's hold lapsing frees it for the next in line
+      waitlist.markClaimed(offer.id, order.id);
+      audit.record('waitlist.claimed', {
+        actor: audit.vendorActor(order),
+        order,
+        summary: `Checked out with the waitlist offer for ${offer.offeredTime} on ${offer.date} at ${offer.location}`,
+        details: { waitlistId: offer.id },
+      });
+    }
+
+    // One line per demo, at the price after bundle and promo discounts
+    const discounted = order.subtotal !== order.amountTotal;
+    const lineItems = order.slots.map(item => ({
       price_data: {
         currency: 'usd',
         product_data: {
           name: `Demo at Woodlands Market - ${item.location}`,
-          description: `${item.displayDate} • ${item.time}`,
+          description: `${item.displayDate} • ${item.time}` +
+            (discounted ? ` • was $${(item.listAmount / 100).toFixed(2)}` : ''),
         },
-        unit_amount: 3000, // $30 in cents
+        unit_amount: item.amount,
       },
       quantity: 1,
     }));
 
-    const session = await stripe.checkout.sessions.create({
+    // Backing out of Checkout brings the saved cart back (lib/carts.js)
+    const cartToken = carts.tokenFor(form.cartToken);
+    const sessionParams = {
       payment_method_types: ['card'],
       line_items: lineItems,
       mode: 'payment',
       success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL}/`,
+      cancel_url: `${process.env.FRONTEND_URL}/?checkout=cancelled&cart=${encodeURIComponent(cartToken)}`,
       customer_email: customerEmail,
+      client_reference_id: order.id,
+      // The session holds its slots until it is paid or expires
+      expires_at: expiresAt,
       metadata: (() => {
-        const meta = { customerName, company, product, phone };
+        const meta = { orderId: order.id, customerName, company, product, phone };
+        if (order.promoCode) meta.promoCode = order.promoCode;
         const slim = cart.map(b => ({
-          date: b.date || b.dateStr,
+          date: b.date,
           time: b.time,
           location: b.location,
           displayDate: b.displayDate
@@ -66,542 +279,2203 @@ app.post('/api/create-checkout-session', async (req, res) => {
         }
         return meta;
       })(),
-    });
+    };
+
+    // Destination charge: Stripe transfers Woodlands Market's share to its connected
+    // account and Grassroots keeps the rest as the application fee
+    if (process.env.STRIPE_CONNECT_ACCOUNT_ID) {
+      sessionParams.payment_intent_data = {
+        transfer_data: { destination: process.env.STRIPE_CONNECT_ACCOUNT_ID },
+        application_fee_amount: pricing.splitRevenue(order.amountTotal).grassroots,
+      };
+    }
+
+    let session;
+    try {
+      session = await payments.createCheckoutSession(sessionParams);
+    } catch (error) {
+      // Stripe never saw this order, so nothing else would release its hold
+      bookings.releaseOrder(order.id, 'cancelled');
+      throw error;
+    }
+    bookings.attachCheckoutSession(order.id, session);
+    carts.recordCheckout({ token: cartToken, order, form });
 
-    res.json({ sessionId: session.id, url: session.url });
+    res.json({ sessionId: session.id, url: session.url, expiresAt: new Date(session.expires_at * 1000).toISOString() });
   } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error instanceof slots.SlotConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof pricing.PricingError) {
+      return res.status(400).json({ error: error.message, errors: [{ field: 'promoCode', message: error.message }] });
+    }
     console.error('Error creating checkout session:', error.type, error.message);
     res.status(500).json({ error: error.message, type: error.type || 'unknown' });
   }
 });
 
-// Handle successful payment - verify and send email
-app.get('/api/verify-payment/:sessionId', async (req, res) => {
+// POST /api/checkout-sessions/:sessionId/release - Buyer backed out of Stripe Checkout, free the held slots
+app.post('/api/checkout-sessions/:sessionId/release', async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    
-    if (session.payment_status === 'paid') {
-      // Reassemble bookings from metadata (may be chunked)
-      let bookingsStr;
-      if (session.metadata.bookings) {
-        bookingsStr = session.metadata.bookings;
-      } else {
-        const chunks = parseInt(session.metadata.bookings_chunks || '0');
-        bookingsStr = '';
-        for (let i = 0; i < chunks; i++) {
-          bookingsStr += session.metadata[`bookings_${i}`] || '';
-        }
-      }
-      const bookings = JSON.parse(bookingsStr);
-      const confirmationNumber = `WM-${Date.now().toString().slice(-8)}`;
-      
-      // Send confirmation email
-      await sendConfirmationEmail({
-        to: session.customer_email,
-        customerName: session.metadata.customerName,
-        company: session.metadata.company,
-        product: session.metadata.product,
-        bookings,
-        confirmationNumber,
-        totalPaid: (session.amount_total / 100).toFixed(2),
-      });
+    const session = await payments.retrieveCheckoutSession(req.params.sessionId);
+    if (session.status !== 'open') {
+      return res.json({ released: false, status: session.status });
+    }
+    await payments.expireCheckoutSession(session.id);
 
-      res.json({
-        success: true,
-        confirmationNumber,
-        bookings,
-        customerEmail: session.customer_email,
-      });
-    } else {
-      res.status(400).json({ error: 'Payment not completed' });
+    const order = bookings.findOrderBySession(session.id);
+    if (order) {
+      bookings.releaseOrder(order.id, 'cancelled');
+      carts.markAbandoned(order.id);
     }
+    await offerFreedSlots();
+    res.json({ released: true, status: 'cancelled' });
   } catch (error) {
-    console.error('Error verifying payment:', error);
+    console.error('Error releasing checkout session:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Send confirmation email with calendar links
-async function sendConfirmationEmail({ to, customerName, company, product, bookings, confirmationNumber, totalPaid }) {
-  const bookingsList = bookings.map(b => `
-    <tr>
-      <td style="padding: 12px; border-bottom: 1px solid #e8e0d5;">${b.displayDate}</td>
-      <td style="padding: 12px; border-bottom: 1px solid #e8e0d5;">${b.time}</td>
-      <td style="padding: 12px; border-bottom: 1px solid #e8e0d5;">Woodlands Market - ${b.location}</td>
-    </tr>
-  `).join('');
-
-  // Generate ICS content for calendar attachment
-  const icsContent = generateICS(bookings, company, product);
-  const icsBase64 = Buffer.from(icsContent).toString('base64');
-
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a3a21; }
-        .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
-        .header { text-align: center; margin-bottom: 32px; }
-        .logo { width: 60px; height: 60px; background: linear-gradient(135deg, #2d6339, #234d2c); border-radius: 12px; margin: 0 auto 16px; display: flex; align-items: center; justify-content: center; color: white; font-size: 24px; font-weight: bold; }
-        .success-badge { display: inline-block; background: #d4edda; color: #2d6339; padding: 8px 16px; border-radius: 20px; font-weight: 600; margin-bottom: 16px; }
-        h1 { color: #1a3a21; margin: 0 0 8px; }
-        .details-box { background: #faf8f5; border-radius: 12px; padding: 24px; margin: 24px 0; }
-        .detail-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e8e0d5; }
-        .detail-row:last-child { border-bottom: none; }
-        .detail-label { color: #7a6352; }
-        .detail-value { font-weight: 600; }
-        table { width: 100%; border-collapse: collapse; margin: 16px 0; }
-        th { text-align: left; padding: 12px; background: #eef7f0; color: #2d6339; font-size: 12px; text-transform: uppercase; }
-        .calendar-btn { display: inline-block; background: #2d6339; color: white; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: 500; margin: 8px 4px; }
-        .calendar-btn:hover { background: #234d2c; }
-        .footer { text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #e8e0d5; color: #7a6352; font-size: 14px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <div class="logo">WM</div>
-          <span class="success-badge">✓ Confirmed</span>
-          <h1>Your Demo is Booked!</h1>
-          <p style="color: #7a6352; margin: 0;">Thanks for booking with Woodlands Market</p>
-        </div>
-
-        <div class="details-box">
-          <div class="detail-row">
-            <span class="detail-label">Confirmation #</span>
-            <span class="detail-value">${confirmationNumber}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Company</span>
-            <span class="detail-value">${company}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Product</span>
-            <span class="detail-value">${product}</span>
-          </div>
-          <div class="detail-row">
-            <span class="detail-label">Total Paid</span>
-            <span class="detail-value">$${totalPaid}</span>
-          </div>
-        </div>
-
-        <h3 style="margin-bottom: 8px;">Your Scheduled Demos</h3>
-        <table>
-          <thead>
-            <tr>
-              <th>Date</th>
-              <th>Time</th>
-              <th>Location</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${bookingsList}
-          </tbody>
-        </table>
-
-        <div style="text-align: center; margin: 32px 0;">
-          <p style="margin-bottom: 16px; color: #7a6352;">Add to your calendar:</p>
-          <a href="https://calendar.google.com/calendar/render?action=TEMPLATE&text=${encodeURIComponent('Demo at Woodlands Market')}" class="calendar-btn" target="_blank">Google Calendar</a>
-        </div>
-
-        <div class="footer">
-          <p><strong>Woodlands Market</strong></p>
-          <p>Questions? Contact us at demos@woodlandsmarket.com</p>
-          <p style="margin-top: 16px; font-size: 12px;">All bookings are final. No cancellations, edits, or refunds.</p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-
-  try {
-    await resend.emails.send({
-      from: 'Woodlands Market <bookings@woodlandsmarket.com>',
-      to: [to],
-      subject: `Demo Confirmed - ${confirmationNumber}`,
-      html,
-      attachments: [
-        {
-          filename: 'woodlands-demo.ics',
-          content: icsBase64,
-        },
-      ],
-    });
-    console.log('Confirmation email sent to:', to);
-  } catch (error) {
-    console.error('Error sending email:', error);
-  }
-}
-
-// Generate ICS calendar file content
-function generateICS(bookings, company, product) {
-  let ics = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Woodlands Market//Demo Scheduling//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-`;
-
-  bookings.forEach((item, index) => {
-    const date = new Date(item.date);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    let hours = parseInt(item.time.split(':')[0]);
-    const isPM = item.time.includes('PM');
-    if (isPM && hours !== 12) hours += 12;
-    if (!isPM && hours === 12) hours = 0;
-    
-    const startHour = String(hours).padStart(2, '0');
-    const endHour = String(hours + 3).padStart(2, '0');
-    const uid = `wm-demo-${Date.now()}-${index}@woodlandsmarket.com`;
-
-    ics += `BEGIN:VEVENT
-DTSTART:${year}${month}${day}T${startHour}0000
-DTEND:${year}${month}${day}T${endHour}0000
-SUMMARY:Product Demo - ${company}
-LOCATION:Woodlands Market, ${item.location}, CA
-DESCRIPTION:Product: ${product}\\n3-hour product demonstration slot.
-UID:${uid}
-STATUS:CONFIRMED
-END:VEVENT
-`;
-  });
+// POST /api/waitlist - Join the waitlist for a fully booked date (optionally one slot time)
+app.post('/api/waitlist', (req, res) => {
+  try {
+    const { location, date, time, customerEmail, company, product } = validation.validate(validation.waitlistSchema, req.body);
+    const rules = availabilityRules.getRules(location);
+    if (time && !rules.slotTimes.includes(time)) {
+      throw new validation.ValidationError([{ field: 'time', message: `${location} has no ${time} slot` }]);
+    }
+    const unavailable = validation.dateProblem({ location, date }, `${slots.displayDateFor(date)} at ${location}`);
+    if (unavailable) throw new validation.ValidationError([{ field: 'date', message: unavailable }]);
 
-  ics += `END:VCALENDAR`;
-  return ics;
-}
+    const wanted = (time ? [time] : rules.slotTimes).map(t => ({ location, date, time: t }));
+    if (slots.findConflicts(wanted).length < wanted.length) {
+      return res.status(400).json({ error: 'That date still has an open slot - book it now instead' });
+    }
 
-// ============================================================
-// ADMIN API ENDPOINTS
-// ============================================================
+    const { entry, position } = waitlist.join({ location, date, time, email: customerEmail, company, product });
+    audit.record('waitlist.joined', {
+      actor: { type: 'vendor', id: null, name: entry.email },
+      summary: `${company} joined the waitlist for ${time || 'any time'} on ${date} at ${location} (#${position} in line)`,
+      details: { waitlistId: entry.id },
+    });
+    res.json({ success: true, position });
+  } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error instanceof waitlist.WaitlistError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Simple admin auth middleware
-function adminAuth(req, res, next) {
-  const password = req.headers['x-admin-password'] || req.query.admin_password;
-  if (!process.env.ADMIN_PASSWORD) {
-    return res.status(500).json({ error: 'ADMIN_PASSWORD not configured' });
+// GET /api/waitlist/offers/:token - The slot a waitlist offer link holds, to put in the cart
+app.get('/api/waitlist/offers/:token', (req, res) => {
+  const entry = waitlist.findByToken(req.params.token);
+  if (!entry) {
+    return res.status(404).json({ error: 'This waitlist link is not valid' });
   }
-  if (password !== process.env.ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid admin password' });
+  if (entry.status === 'claimed') {
+    return res.status(410).json({ error: 'This waitlist offer was already used' });
   }
-  next();
-}
+  if (!waitlist.liveOffer(req.params.token)) {
+    return res.status(410).json({ error: 'This waitlist offer has expired and the slot went to the next vendor in line' });
+  }
+  res.json({
+    location: entry.location,
+    date: entry.date,
+    time: entry.offeredTime,
+    displayDate: slots.displayDateFor(entry.date),
+    expiresAt: entry.offerExpiresAt,
+    email: entry.email,
+    company: entry.company,
+    product: entry.product,
+  });
+});
 
-// Helper: extract bookings from Stripe session metadata
-function extractBookings(session) {
-  try {
-    let bookingsStr;
-    if (session.metadata.bookings) {
-      bookingsStr = session.metadata.bookings;
-    } else if (session.metadata.bookings_chunks) {
-      const chunks = parseInt(session.metadata.bookings_chunks);
-      bookingsStr = '';
-      for (let i = 0; i < chunks; i++) {
-        bookingsStr += session.metadata[`bookings_${i}`] || '';
-      }
-    }
-    return bookingsStr ? JSON.parse(bookingsStr) : [];
-  } catch (e) {
-    return [];
+// GET /api/carts/:token - A saved cart to put back on the booking form, from Stripe's cancel_url or
+// a recovery email: the form fields, and each demo with whether it can still be booked
+app.get('/api/carts/:token', (req, res) => {
+  const cart = carts.findByToken(req.params.token);
+  if (!cart) {
+    return res.status(404).json({ error: 'This link is not valid' });
   }
-}
+  if (cart.status === 'paid' || cart.status === 'recovered') {
+    return res.status(410).json({ error: 'This booking has already been paid for' });
+  }
+  res.json({ form: cart.form, items: carts.itemsWithAvailability(cart) });
+});
 
-// GET /api/admin/bookings - List all bookings from Stripe
-app.get('/api/admin/bookings', adminAuth, async (req, res) => {
+// GET /api/verify-payment/:sessionId - Read-only booking status for the success page.
+// The confirmation email is sent by the Stripe webhook, not here.
+app.get('/api/verify-payment/:sessionId', async (req, res) => {
   try {
-    const sessions = await stripe.checkout.sessions.list({
-      limit: 100,
-      expand: ['data.payment_intent'],
-    });
-
-    const bookings = sessions.data
-      .filter(s => s.payment_status === 'paid' && s.metadata.customerName)
-      .map(s => {
-        const refund = s.payment_intent?.charges?.data?.[0]?.refunded || false;
-        const refundAmount = s.payment_intent?.charges?.data?.[0]?.amount_refunded || 0;
-        return {
-          id: s.id,
-          paymentIntentId: s.payment_intent?.id || s.payment_intent,
-          customerName: s.metadata.customerName,
-          email: s.customer_email,
-          company: s.metadata.company,
-          product: s.metadata.product,
-          phone: s.metadata.phone,
-          bookings: extractBookings(s),
-          totalAmount: (s.amount_total / 100).toFixed(2),
-          createdAt: new Date(s.created * 1000).toISOString(),
-          status: refund ? 'refunded' : 'confirmed',
-          refundAmount: (refundAmount / 100).toFixed(2),
-        };
-      });
+    const { sessionId } = req.params;
+    let order = bookings.findOrderBySession(sessionId);
+
+    // The buyer can land here before the webhook does; ask Stripe directly
+    if (!order || order.status === 'pending') {
+      const session = await payments.retrieveCheckoutSession(sessionId);
+      if (session.payment_status !== 'paid') {
+        return res.status(400).json({ error: 'Payment not completed', status: session.status });
+      }
+      if (!order) {
+        return res.json({
+          success: true,
+          confirmationNumber: bookings.confirmationNumberFor(session.id),
+          bookings: slots.extractBookings(session),
+          customerEmail: session.customer_email,
+          emailSent: false,
+          status: 'paid',
+        });
+      }
+    }
 
-    res.json({ bookings });
+    order = bookings.withSlots(order);
+    res.json({
+      success: true,
+      confirmationNumber: order.confirmationNumber || bookings.confirmationNumberFor(sessionId),
+      bookings: order.slots.map(({ id, date, time, location, displayDate }) => ({
+        id, date, time, location, displayDate, address: storeAddress(location),
+      })),
+      company: order.company,
+      product: order.product,
+      customerEmail: order.email,
+      emailSent: !!order.confirmationEmailSentAt,
+      status: order.status === 'pending' ? 'paid' : order.status,
+      manageUrl: manageUrlFor(order),
+      invoiceUrl: order.status === 'pending' ? null : `/api/checkout-sessions/${encodeURIComponent(sessionId)}/invoice.pdf`,
+    });
   } catch (error) {
-    console.error('Error fetching bookings:', error);
+    console.error('Error verifying payment:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/admin/stats - Dashboard stats
-app.get('/api/admin/stats', adminAuth, async (req, res) => {
-  try {
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const startTimestamp = Math.floor(startOfMonth.getTime() / 1000);
+// Dispatch a verified Stripe webhook event (the fake payment provider delivers its events here
+// directly)
+payments.onEvent(handleStripeEvent);
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await fulfillCheckoutSession(event.data.object);
+      break;
+    case 'checkout.session.expired':
+      releaseExpiredSession(event.data.object);
+      await offerFreedSlots();
+      break;
+    case 'charge.refunded':
+      await markChargeRefunded(event.data.object);
+      break;
+    default:
+      console.log('Ignoring Stripe event:', event.type);
+  }
+}
 
-    const sessions = await stripe.checkout.sessions.list({
-      limit: 100,
-      created: { gte: startTimestamp },
-    });
+// Confirm a paid Checkout Session and send its confirmation email exactly once.
+// The order records when the email was claimed and when it went out, so retried or
+// duplicate webhook deliveries - even ones arriving while it is being sent - are no-ops.
+async function fulfillCheckoutSession(session) {
+  if (session.payment_status !== 'paid') return;
 
-    const paidSessions = sessions.data.filter(s => s.payment_status === 'paid' && s.metadata.customerName);
-    let totalDemos = 0;
-    let totalRevenue = 0;
+  const paymentIntentId = typeof session.payment_intent === 'string'
+    ? session.payment_intent
+    : session.payment_intent?.id || null;
 
-    paidSessions.forEach(s => {
-      const bookings = extractBookings(s);
-      totalDemos += bookings.length;
-      totalRevenue += s.amount_total / 100;
+  let order = bookings.findOrderBySession(session.id);
+  let paidNow = false;
+  let taken = [];
+  if (!order) {
+    // Session from before the booking store existed
+    order = importSession(session).order;
+    paidNow = true;
+  } else if (order.status === 'pending' || order.status === 'expired' || order.status === 'cancelled') {
+    ({ order, taken } = bookings.markPaid(order.id, {
+      paymentIntentId,
+      amountTotal: session.amount_total,
+      confirmationNumber: bookings.confirmationNumberFor(session.id),
+    }));
+    paidNow = true;
+  }
+  if (!order) return;
+  if (paidNow) {
+    audit.record('order.paid', {
+      actor: audit.STRIPE,
+      order,
+      summary: `Payment of $${(order.amountTotal / 100).toFixed(2)} received`,
+      details: { paymentIntentId: order.paymentIntentId, amountTotal: order.amountTotal },
     });
+    const cart = carts.markPaid(order.id);
+    if (cart && cart.status === 'recovered') {
+      audit.record('cart.recovered', { actor: audit.STRIPE, order, summary: 'Paid for a cart that had been abandoned at checkout', details: { cartId: cart.id } });
+    }
+    issueInvoice(order);
+    if (taken.length > 0) {
+      await refundTakenDemos(order, taken);
+      order = bookings.getOrder(order.id);
+    }
+  }
 
-    // Revenue split: $20/demo to Woodlands Market, $10/demo to Grassroots
-    const marketShare = totalDemos * 20;
-    const grassrootsShare = totalDemos * 10;
+  // Claimed before the send, so a redelivery that arrives mid-send skips it
+  if (keptDemos(bookings.withSlots(order)).length > 0 && bookings.claimConfirmationEmail(order.id)) {
+    try {
+      await sendConfirmationEmail(bookings.withSlots(order));
+    } catch (error) {
+      bookings.releaseConfirmationEmail(order.id);
+      throw error;
+    }
+    bookings.markConfirmationSent(order.id);
+  }
 
-    res.json({
-      thisMonthDemos: totalDemos,
-      totalRevenue: totalRevenue.toFixed(2),
-      marketShare: marketShare.toFixed(2),
-      grassrootsShare: grassrootsShare.toFixed(2),
-      demoFee: '30.00',
-      marketPerDemo: '20.00',
-      grassrootsPerDemo: '10.00',
-    });
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ error: error.message });
+  // Last, so a Stripe hiccup here retries the webhook without re-sending the email
+  if (process.env.STRIPE_CONNECT_ACCOUNT_ID && !order.transferId) {
+    await syncRevenueSplit(order);
   }
-});
+}
 
-// GET /api/admin/analytics - Full analytics data
-app.get('/api/admin/analytics', adminAuth, async (req, res) => {
-  try {
-    // Fetch all sessions (paginate up to 300)
-    let allSessions = [];
-    let hasMore = true;
-    let startingAfter = null;
-    while (hasMore && allSessions.length < 300) {
-      const params = { limit: 100, expand: ['data.payment_intent'] };
-      if (startingAfter) params.starting_after = startingAfter;
-      const batch = await stripe.checkout.sessions.list(params);
-      allSessions = allSessions.concat(batch.data);
-      hasMore = batch.has_more;
-      if (batch.data.length > 0) startingAfter = batch.data[batch.data.length - 1].id;
-    }
+// Helper: a lapsed checkout was paid after some of its slots had been booked by someone else.
+// Those demos are refunded and the vendor told; if the refund fails they stay cancelled, unpaid
+// back, for an admin to sort out from the audit trail.
+async function refundTakenDemos(order, taken) {
+  const what = `${taken.length} ${taken.length === 1 ? 'demo' : 'demos'} (${taken.map(s => `${s.displayDate} ${s.time}, ${s.location}`).join('; ')})`;
+  const slotIds = taken.map(s => s.id);
+  const amount = Math.min(taken.reduce((sum, s) => sum + (s.amount || 0), 0), netRevenue(order));
+  const details = { slotIds, refundAmount: amount };
+  if (amount <= 0) {
+    audit.record('demos.cancelled', { actor: audit.STRIPE, order, summary: `Cancelled ${what}: ${bookings.TAKEN_REASON}`, details });
+    return;
+  }
 
-    const paid = allSessions.filter(s => s.payment_status === 'paid' && s.metadata.customerName);
-    const notRefunded = paid.filter(s => {
-      const refunded = s.payment_intent?.charges?.data?.[0]?.refunded || false;
-      return !refunded;
+  let refund;
+  try {
+    // The split is synced first so the refund knows whether there is a transfer to reverse
+    if (process.env.STRIPE_CONNECT_ACCOUNT_ID) await syncRevenueSplit(order);
+    order = bookings.getOrder(order.id);
+    refund = await payments.createRefund({ paymentIntentId: order.paymentIntentId, amount, reverseTransfer: !!order.transferId });
+  } catch (error) {
+    console.error('Error refunding demos taken after a lapsed checkout:', error);
+    audit.record('refund.failed', {
+      actor: audit.STRIPE,
+      order,
+      summary: `Couldn't refund $${(amount / 100).toFixed(2)} for ${what}, booked by someone else after the checkout lapsed - refund it by hand: ${error.message}`,
+      details: { ...details, error: error.message },
     });
+    return;
+  }
+  bookings.recordRefund(order.id, { stripeRefundId: refund.id, amount: refund.amount, reason: bookings.TAKEN_REASON, slotIds });
+  bookings.markTakenRefunded(slotIds);
+  audit.record('refund.issued', {
+    actor: audit.STRIPE,
+    order,
+    summary: `Refunded $${(refund.amount / 100).toFixed(2)} for ${what}: ${bookings.TAKEN_REASON}`,
+    details: { ...details, refundAmount: refund.amount, stripeRefundId: refund.id },
+  });
+  const amountRefunded = order.amountRefunded + refund.amount;
+  if (amountRefunded >= order.amountTotal) bookings.markRefunded(order.id, amountRefunded);
+  else bookings.setAmountRefunded(order.id, amountRefunded);
 
-    // Monthly revenue (last 6 months)
-    const monthlyData = {};
-    const now = new Date();
-    for (let i = 5; i >= 0; i--) {
-      const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const key = d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0');
-      monthlyData[key] = { revenue: 0, demos: 0, market: 0, grassroots: 0 };
-    }
-    notRefunded.forEach(s => {
-      const created = new Date(s.created * 1000);
-      const key = created.getFullYear() + '-' + String(created.getMonth() + 1).padStart(2, '0');
-      if (monthlyData[key]) {
-        const bookings = extractBookings(s);
-        const numDemos = bookings.length;
-        monthlyData[key].revenue += s.amount_total / 100;
-        monthlyData[key].demos += numDemos;
-        monthlyData[key].market += numDemos * 20;
-        monthlyData[key].grassroots += numDemos * 10;
-      }
-    });
+  try {
+    await sendCancellationEmail(order, { cancelled: taken, refund, reason: 'These slots were booked by someone else after your checkout timed out, before your payment came through.' });
+  } catch (emailError) {
+    console.error('Error sending cancellation email:', emailError);
+  }
+}
 
-    // Location breakdown
-    const locationData = {};
-    notRefunded.forEach(s => {
-      const bookings = extractBookings(s);
-      bookings.forEach(b => {
-        const loc = b.location || 'Unknown';
-        if (!locationData[loc]) locationData[loc] = { demos: 0, revenue: 0 };
-        locationData[loc].demos++;
-        locationData[loc].revenue += 30;
-      });
-    });
+// Record what Stripe actually transferred to Woodlands Market for an order's charge,
+// and how much of it and of the application fee has been reversed by refunds
+async function syncRevenueSplit(order) {
+  if (!order.paymentIntentId) return;
+  const split = splitFromCharge(await payments.retrieveCharge(order.paymentIntentId));
+  if (split) bookings.recordSplit(order.id, split);
+}
 
-    // Popular time slots
-    const timeData = { '11:00 AM': 0, '3:00 PM': 0 };
-    notRefunded.forEach(s => {
-      const bookings = extractBookings(s);
-      bookings.forEach(b => {
-        if (timeData[b.time] !== undefined) timeData[b.time]++;
-        else timeData[b.time] = 1;
-      });
-    });
+// Checkout lapsed without payment: give the held slots back
+function releaseExpiredSession(session) {
+  const order = bookings.findOrderBySession(session.id);
+  if (order && order.status === 'pending') {
+    bookings.releaseOrder(order.id, 'expired');
+    carts.markAbandoned(order.id);
+    audit.record('order.expired', { actor: audit.STRIPE, order, summary: 'Checkout expired unpaid; held slots released' });
+  }
+  console.log('Checkout session expired, slots released:', session.id);
+}
 
-    // Popular days of week
-    const dayData = { Mon: 0, Tue: 0, Wed: 0, Thu: 0, Fri: 0, Sat: 0, Sun: 0 };
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    notRefunded.forEach(s => {
-      const bookings = extractBookings(s);
-      bookings.forEach(b => {
-        if (b.date) {
-          const d = new Date(b.date);
-          const dayName = dayNames[d.getDay()];
-          if (dayData[dayName] !== undefined) dayData[dayName]++;
-        }
-      });
+// A fully refunded charge cancels the booking and frees its slots
+async function markChargeRefunded(charge) {
+  const order = charge.payment_intent && bookings.findOrderByPaymentIntent(charge.payment_intent);
+  if (!order) {
+    console.log('Refunded charge has no matching order:', charge.id);
+    return;
+  }
+  if (charge.refunded) {
+    bookings.markRefunded(order.id, charge.amount_refunded);
+    await offerFreedSlots();
+  } else {
+    bookings.setAmountRefunded(order.id, charge.amount_refunded);
+  }
+  // Our own refunds are already recorded; this catches ones made in the Stripe Dashboard
+  if (charge.amount_refunded !== order.amountRefunded) {
+    audit.record('order.refund_synced', {
+      actor: audit.STRIPE,
+      order,
+      summary: `Stripe reports $${(charge.amount_refunded / 100).toFixed(2)} refunded in total${charge.refunded ? ' (fully refunded)' : ''}`,
+      details: { chargeId: charge.id, amountRefunded: charge.amount_refunded, previouslyRefunded: order.amountRefunded },
     });
+  }
+  if (charge.transfer) await syncRevenueSplit(order);
+}
 
-    // Customer insights
-    const customers = {};
-    paid.forEach(s => {
-      const email = s.customer_email;
-      const refunded = s.payment_intent?.charges?.data?.[0]?.refunded || false;
-      if (!customers[email]) {
-        customers[email] = {
-          name: s.metadata.customerName,
-          email: email,
-          company: s.metadata.company,
-          bookings: 0,
-          totalSpent: 0,
-          firstBooking: s.created,
-          lastBooking: s.created,
-          products: new Set(),
-        };
-      }
-      const bookings = extractBookings(s);
-      customers[email].bookings += bookings.length;
-      if (!refunded) customers[email].totalSpent += s.amount_total / 100;
-      if (s.created < customers[email].firstBooking) customers[email].firstBooking = s.created;
-      if (s.created > customers[email].lastBooking) customers[email].lastBooking = s.created;
-      if (s.metadata.product) customers[email].products.add(s.metadata.product);
-      // Update name/company to latest
-      customers[email].name = s.metadata.customerName;
-      customers[email].company = s.metadata.company;
-    });
-
-    const customerList = Object.values(customers).map(c => ({
-      ...c,
-      products: Array.from(c.products),
-      firstBooking: new Date(c.firstBooking * 1000).toISOString(),
-      lastBooking: new Date(c.lastBooking * 1000).toISOString(),
-      isRepeat: c.bookings > 1,
-    })).sort((a, b) => b.bookings - a.bookings);
+// Helper: take some of an order's booked demos out and refund refundAmount (cents) of its
+// charge, reversing Woodlands Market's transfer and our application fee in proportion.
+// Returns { cancelled, refund } (refund is null if nothing was refunded), or null if one
+// of the demos was no longer booked. actor is who asked, for the audit trail.
+async function cancelDemos(order, slotIds, { refundAmount = 0, reason = null, cancelledBy, actor }) {
+  // Claim the demos first so a double click can't refund them twice
+  const cancelled = bookings.cancelSlots(slotIds, { status: refundAmount > 0 ? 'refunded' : 'cancelled', cancelledBy, reason });
+  if (!cancelled) return null;
+  const what = `${cancelled.length} ${cancelled.length === 1 ? 'demo' : 'demos'} (${cancelled.map(s => `${s.displayDate} ${s.time}, ${s.location}`).join('; ')})`;
+  const details = { slotIds, reason, refundAmount };
+  if (refundAmount <= 0) {
+    audit.record('demos.cancelled', { actor, order, summary: `Cancelled ${what} without a refund: ${reason}`, details });
+    await offerFreedSlots();
+    return { cancelled, refund: null };
+  }
 
-    res.json({
-      monthly: monthlyData,
-      locations: locationData,
-      timeSlots: timeData,
-      popularDays: dayData,
-      customers: customerList,
-      totalCustomers: customerList.length,
-      repeatCustomers: customerList.filter(c => c.isRepeat).length,
+  let refund;
+  try {
+    refund = await payments.createRefund({
+      paymentIntentId: order.paymentIntentId,
+      amount: refundAmount,
+      reverseTransfer: !!order.transferId,
     });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({ error: error.message });
+    bookings.restoreSlots(slotIds);
+    audit.record('refund.failed', {
+      actor,
+      order,
+      summary: `Refund of $${(refundAmount / 100).toFixed(2)} for ${what} failed: ${error.message}`,
+      details: { ...details, error: error.message },
+    });
+    throw error;
   }
-});
+  bookings.recordRefund(order.id, { stripeRefundId: refund.id, amount: refund.amount, reason, slotIds });
+  audit.record('refund.issued', {
+    actor,
+    order,
+    summary: `Refunded $${(refund.amount / 100).toFixed(2)} and cancelled ${what}: ${reason}`,
+    details: { ...details, refundAmount: refund.amount, stripeRefundId: refund.id },
+  });
+  const amountRefunded = bookings.getOrder(order.id).amountRefunded + refund.amount;
+  if (amountRefunded >= order.amountTotal) bookings.markRefunded(order.id, amountRefunded);
+  else bookings.setAmountRefunded(order.id, amountRefunded);
+  if (order.transferId) {
+    // The charge.refunded webhook syncs it again if this fails
+    await syncRevenueSplit(order).catch(error => console.error('Error syncing revenue split:', error));
+  }
+  await offerFreedSlots();
+  return { cancelled, refund };
+}
 
-// POST /api/admin/bookings/:sessionId/refund - Cancel & refund a booking
-app.post('/api/admin/bookings/:sessionId/refund', adminAuth, async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const session = await stripe.checkout.sessions.retrieve(sessionId, {
-      expand: ['payment_intent'],
-    });
+// Helper: signed manage-page link for an order with its slots, or null when links aren't configured
+function manageUrlFor(order) {
+  if (!manageLinks.isConfigured() || order.slots.length === 0) return null;
+  return manageLinks.urlFor(order);
+}
 
-    if (!session.payment_intent) {
-      return res.status(400).json({ error: 'No payment intent found for this session' });
-    }
+// Helper: the cancellation policy in a sentence, for emails
+function policySummary() {
+  const policy = policyRules.getPolicy();
+  return `Demos can be rescheduled up to ${policy.rescheduleWindowDays} days ahead. ` +
+    `Cancel ${policy.refundWindowDays}+ days ahead for a ${policy.refundPercent}% refund, ` +
+    `or ${policy.creditWindowDays}+ days ahead for store credit.`;
+}
+
+// Send an order's confirmation: its demos, what was paid and the manage link, with a calendar
+// invite per demo. order needs its slots. actor is who asked, when resent from the dashboard.
+async function sendConfirmationEmail(order, { actor } = {}) {
+  const demos = keptDemos(order);
+  await sendEmail('confirmation', {
+    ...bookingEmailData(order),
+    totalPaid: order.amountTotal,
+    demos,
+  }, { order, attachments: calendarAttachments(demos, order, 'REQUEST'), actor });
+  console.log('Confirmation email sent to:', order.email);
+}
 
-    const paymentIntentId = typeof session.payment_intent === 'string'
-      ? session.payment_intent
-      : session.payment_intent.id;
+// Helper: a store's street address, or its town when none is set
+function storeAddress(location) {
+  return availabilityRules.getRules(location).address || `${location}, CA`;
+}
 
-    // Check if already refunded
-    const charges = session.payment_intent?.charges?.data;
-    if (charges && charges[0]?.refunded) {
-      return res.status(400).json({ error: 'This booking has already been refunded' });
+// Send every reminder that is due and hasn't gone out yet; returns { sent, failed }
+async function sendDueReminders(at = new Date()) {
+  const result = { sent: 0, failed: 0 };
+  for (const reminder of reminders.dueReminders(at)) {
+    const record = reminders.claim(reminder);
+    if (!record) continue;
+    try {
+      await sendReminderEmail(reminder);
+      reminders.markSent(record.id);
+      result.sent++;
+    } catch (error) {
+      console.error(`Error sending reminder ${reminder.key}:`, error);
+      reminders.markFailed(record.id, error);
+      result.failed++;
     }
+  }
+  return result;
+}
 
-    // Create full refund
-    const refund = await stripe.refunds.create({
-      payment_intent: paymentIntentId,
-    });
+// Reminder for one upcoming demo, with the slot's calendar file
+async function sendReminderEmail({ order, slot }) {
+  const rules = availabilityRules.getRules(slot.location);
+  const daysAhead = Math.round((Date.parse(slot.date) - Date.parse(slots.toDateKey(new Date()))) / 86400000);
+  const when = daysAhead === 0 ? 'today' : daysAhead === 1 ? 'tomorrow' : `in ${daysAhead} days`;
 
-    // Send cancellation email
+  await sendEmail('reminder', {
+    ...bookingEmailData(bookings.withSlots(order)),
+    when,
+    demo: slot,
+    address: storeAddress(slot.location),
+    arrivalInstructions: rules.arrivalInstructions || null,
+  }, { order, attachments: calendarAttachments([slot], order, 'REQUEST') });
+}
+
+// Helper: what every booking email shows - confirmation number, company, product, the
+// manage link (while the order has demos left) and the cancellation policy
+function bookingEmailData(order) {
+  return {
+    confirmationNumber: order.confirmationNumber,
+    company: order.company,
+    product: order.product,
+    manageUrl: keptDemos(order).length > 0 ? manageUrlFor(order) : null,
+    policy: policySummary(),
+  };
+}
+
+// Helper: offer slots that have opened up to the waitlist (lib/waitlist.js) and email each
+// offer. An offer whose email can't be sent goes back in line, freeing its slot, so the next
+// run retries it. Never throws - freeing the slot is what mattered to the caller.
+// Returns { offered, failed }.
+async function offerFreedSlots() {
+  const result = { offered: 0, failed: 0 };
+  let offers;
+  try {
+    offers = waitlist.offerOpenSlots();
+  } catch (error) {
+    console.error('Error offering waitlist slots:', error);
+    return result;
+  }
+  for (const { entry, token } of offers) {
+    const demo = { displayDate: slots.displayDateFor(entry.date), time: entry.offeredTime, location: entry.location };
     try {
-      const bookings = extractBookings(session);
-      await resend.emails.send({
-        from: 'Woodlands Market <bookings@woodlandsmarket.com>',
-        to: [session.customer_email],
-        subject: 'Demo Booking Cancelled - Refund Issued',
-        html: `
-          <div style="font-family: -apple-system, sans-serif; max-width: 600px; margin: 0 auto; padding: 40px 20px;">
-            <div style="text-align: center; margin-bottom: 32px;">
-              <div style="width: 60px; height: 60px; background: #fee2e2; border-radius: 50%; margin: 0 auto 16px; display: flex; align-items: center; justify-content: center; font-size: 28px;">✕</div>
-              <h1 style="color: #1a3a21; margin: 0 0 8px;">Booking Cancelled</h1>
-              <p style="color: #7a6352;">Your demo booking has been cancelled and a full refund has been issued.</p>
-            </div>
-            <div style="background: #faf8f5; border-radius: 12px; padding: 24px; margin-bottom: 24px;">
-              <p style="margin: 0;"><strong>Company:</strong> ${session.metadata.company}</p>
-              <p style="margin: 8px 0 0;"><strong>Refund Amount:</strong> $${(session.amount_total / 100).toFixed(2)}</p>
-              <p style="margin: 8px 0 0;"><strong>Refund ID:</strong> ${refund.id}</p>
-            </div>
-            <p style="color: #7a6352; font-size: 14px;">Refunds typically appear on your statement within 5-10 business days.</p>
-            <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #e8e0d5; color: #7a6352; font-size: 14px;">
-              <p><strong>Woodlands Market</strong></p>
-            </div>
-          </div>
-        `,
+      await sendEmail('waitlist', {
+        company: entry.company,
+        demo,
+        offerUrl: `${process.env.FRONTEND_URL}/?offer=${encodeURIComponent(token)}`,
+        expiresAt: new Date(entry.offerExpiresAt).toLocaleString('en-US', {
+          timeZone: slots.TIMEZONE, month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+        }),
+        policy: policySummary(),
+      }, { recipient: entry.email });
+      audit.record('waitlist.offered', {
+        summary: `Offered ${demo.displayDate} ${demo.time} at ${demo.location} to ${entry.company} (${entry.email}) from the waitlist`,
+        details: { waitlistId: entry.id, offerExpiresAt: entry.offerExpiresAt },
       });
-    } catch (emailError) {
-      console.error('Error sending cancellation email:', emailError);
+      result.offered++;
+    } catch (error) {
+      console.error(`Error sending waitlist offer ${entry.id}:`, error);
+      waitlist.withdrawOffer(entry.id);
+      result.failed++;
     }
+  }
+  return result;
+}
 
-    res.json({
-      success: true,
-      refundId: refund.id,
-      amount: (refund.amount / 100).toFixed(2),
+const EMAIL_FROM = 'Woodlands Market <bookings@woodlandsmarket.com>';
+
+// Helper: render an email template (lib/email-templates.js) and send it to the order's customer
+// (or recipient, for emails that aren't about a booking) through the mail provider, tracking it
+// in the outbox and the audit trail. Throws if it couldn't be sent. actor is who caused the email.
+async function sendEmail(templateName, data, { order = null, recipient = order.email, attachments = [], actor = audit.SYSTEM }) {
+  const email = emailTemplates.render(templateName, data);
+  const to = [recipient];
+  const record = outbox.create({ template: email.template, version: email.version, to, subject: email.subject, order });
+  const details = { type: templateName, version: email.version, to, subject: email.subject, emailId: record.id };
+  try {
+    const sent = await mail.send({
+      from: EMAIL_FROM,
+      to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments,
     });
+    outbox.markSent(record.id, sent.id);
   } catch (error) {
-    console.error('Error refunding booking:', error);
-    res.status(500).json({ error: error.message });
+    outbox.markFailed(record.id, error);
+    audit.record('email.failed', { actor, order, summary: `Couldn't send ${templateName} email to ${recipient}: ${error.message}`, details: { ...details, error: error.message } });
+    throw error;
   }
-});
+  audit.record('email.sent', { actor, order, summary: `Sent ${templateName} email to ${recipient}`, details });
+}
 
-// POST /api/admin/auth - Verify admin password
-app.post('/api/admin/auth', (req, res) => {
-  const { password } = req.body;
-  if (password === process.env.ADMIN_PASSWORD) {
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ error: 'Invalid password' });
-  }
-});
+// Helper: calendar invites for some demos, as email attachments - one per demo, since an
+// iTIP message carries a single event. REQUEST adds the event to the vendor's calendar (or
+// moves it, after a reschedule); CANCEL removes it. The second argument needs the vendor's
+// company, product and email - an order will do.
+function calendarAttachments(demos, { company, product, email }, method) {
+  return demos.map((demo, index) => {
+    const ics = calendar.demoCalendar([{ ...demo, address: storeAddress(demo.location) }], {
+      company, product, attendee: email, method,
+    });
+    const name = method === 'CANCEL' ? 'cancelled-demo' : 'woodlands-demo';
+    return {
+      filename: demos.length > 1 ? `${name}-${index + 1}.ics` : `${name}.ics`,
+      content: Buffer.from(ics).toString('base64'),
+    };
+  });
+}
+
+// ============================================================
+// CALENDAR FEEDS
+// ============================================================
+
+// GET /api/feeds/:kind/:id.ics?token=... - Subscribable calendar of a store's demos
+// (kind "location", id = store) or a vendor's (kind "vendor", id = customer id)
+app.get('/api/feeds/:kind/:id.ics', (req, res) => {
+  try {
+    if (!feeds.isConfigured()) {
+      return res.status(500).json({ error: 'CALENDAR_FEED_SECRET not configured' });
+    }
+    const { kind, id } = req.params;
+    if (!feeds.verifyToken(kind, id, req.query.token)) {
+      return res.status(401).json({ error: 'Invalid calendar link' });
+    }
+    let name;
+    if (kind === 'location' && slots.LOCATIONS.includes(id)) {
+      name = `Woodlands Market ${id} - Demos`;
+    } else if (kind === 'vendor' && bookings.getCustomer(id)) {
+      name = 'Woodlands Market Demos';
+    } else {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const demos = feeds.feedDemos(kind, id).map(d => ({ ...d, address: storeAddress(d.location) }));
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar.demoCalendar(demos, { name }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// SCHEDULED JOBS
+// ============================================================
+
+// Cron auth: CRON_SECRET as a bearer token, which the scripts/ cron runners send (see README)
+function cronAuth(req, res, next) {
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured' });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  next();
+}
+
+// GET /api/cron/reminders - Send due demo reminders (run every hour)
+app.get('/api/cron/reminders', cronAuth, async (req, res) => {
+  try {
+    const result = await sendDueReminders();
+    console.log(`Reminders: ${result.sent} sent, ${result.failed} failed`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/cron/waitlist - Expire lapsed waitlist offers and offer open slots to the next in
+// line (run every hour; cancellations and refunds also trigger it straight away)
+app.get('/api/cron/waitlist', cronAuth, async (req, res) => {
+  const result = await offerFreedSlots();
+  console.log(`Waitlist: ${result.offered} offered, ${result.failed} failed`);
+  res.json(result);
+});
+
+// Helper: send the recovery email (once) for every abandoned checkout that is due one
+// (lib/carts.js). Returns { sent, failed }; failed ones are retried on the next run.
+async function sendRecoveryEmails() {
+  const result = { sent: 0, failed: 0 };
+  carts.abandonLapsed();
+  for (const { cart, items } of carts.dueForRecovery()) {
+    try {
+      await sendEmail('recovery', {
+        company: cart.form.company,
+        demos: items,
+        cartUrl: `${process.env.FRONTEND_URL}/?cart=${encodeURIComponent(carts.issueRecoveryToken(cart.id))}`,
+        policy: policySummary(),
+      }, { order: bookings.getOrder(cart.orderId), recipient: cart.email });
+      carts.markRecoveryEmailSent(cart.id);
+      result.sent++;
+    } catch (error) {
+      console.error(`Error sending recovery email for cart ${cart.id}:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+// GET /api/cron/checkout-recovery - Email vendors whose checkout lapsed or who backed out of it
+// a link back to their cart (run every hour)
+app.get('/api/cron/checkout-recovery', cronAuth, async (req, res) => {
+  try {
+    const result = await sendRecoveryEmails();
+    console.log(`Checkout recovery: ${result.sent} sent, ${result.failed} failed`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending recovery emails:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// ADMIN API ENDPOINTS
+// ============================================================
+
+const ADMIN_COOKIE = 'wm_admin_session';
+
+// Failed sign-ins allowed per email and per IP address, every 15 minutes
+const loginFailures = new RateLimiter({ limit: 5, windowMinutes: 15 });
+
+// Helper: a cookie from the request, by name
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(p => p.trim()).find(p => p.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// Helper: Set-Cookie value for the admin session (an empty value with maxAge 0 clears it).
+// name and path set another session cookie, scoped to its own API.
+function sessionCookie(value, maxAgeSeconds, { name = ADMIN_COOKIE, path: cookiePath = '/api/admin' } = {}) {
+  return [
+    `${name}=${value}`,
+    `Path=${cookiePath}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    process.env.NODE_ENV === 'production' ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+}
+
+// Admin auth middleware: loads the signed-in account into req.admin
+function adminAuth(req, res, next) {
+  const user = adminUsers.sessionUser(readCookie(req, ADMIN_COOKIE));
+  if (!user) {
+    return res.status(401).json({ error: 'Please sign in' });
+  }
+  req.admin = user;
+  next();
+}
+
+// Grassroots only: refunds, revenue, pricing, policy and admin accounts
+function superadminOnly(req, res, next) {
+  if (req.admin.role !== 'superadmin') {
+    return res.status(403).json({ error: 'Only Grassroots admins can do that' });
+  }
+  next();
+}
+
+// Helper: whether an admin may see a store - managers only see their own
+function canSeeLocation(admin, location) {
+  return admin.role === 'superadmin' || admin.location === location;
+}
+
+// Helper: money an order actually kept, in cents
+function netRevenue(order) {
+  return order.amountTotal - order.amountRefunded;
+}
+
+// Helper: the demos an order still has - booked ones and no-shows, not cancelled or refunded ones
+function keptDemos(order) {
+  return order.slots.filter(s => s.status === 'booked' || s.status === 'no-show');
+}
+
+// Helper: one demo of a booking, the way the admin dashboard expects
+function toAdminDemo(slot) {
+  return {
+    id: slot.id,
+    date: slot.date,
+    time: slot.time,
+    location: slot.location,
+    displayDate: slot.displayDate,
+    amount: slot.amount,
+    status: reports.demoStatusOf(slot),
+    cancelReason: slot.cancelReason || null,
+    attendance: attendance.attendanceOf(slot),
+    notes: slot.notes || '',
+  };
+}
+
+// Helper: shape a stored order the way the admin dashboard expects. Store managers get
+// their own store's demos only, and no payment or revenue split details.
+function toAdminBooking(order, admin) {
+  if (admin && admin.role === 'manager') {
+    const demos = order.slots.filter(s => s.location === admin.location);
+    return {
+      id: order.sessionId,
+      orderId: order.id,
+      customerName: order.customerName,
+      email: order.email,
+      company: order.company,
+      product: order.product,
+      phone: order.phone,
+      bookings: demos.map(toAdminDemo),
+      totalAmount: (keptDemos({ slots: demos }).reduce((sum, s) => sum + (s.amount || 0), 0) / 100).toFixed(2),
+      createdAt: order.createdAt,
+      confirmationNumber: order.confirmationNumber,
+      status: reports.orderStatusOf(order),
+    };
+  }
+
+  const split = reports.revenueSplit(order);
+  return {
+    id: order.sessionId,
+    orderId: order.id,
+    paymentIntentId: order.paymentIntentId,
+    customerName: order.customerName,
+    email: order.email,
+    company: order.company,
+    product: order.product,
+    phone: order.phone,
+    bookings: order.slots.map(toAdminDemo),
+    totalAmount: (order.amountTotal / 100).toFixed(2),
+    promoCode: order.promoCode || null,
+    discount: (((order.bundleDiscount || 0) + (order.promoDiscount || 0)) / 100).toFixed(2),
+    marketShare: (split.market / 100).toFixed(2),
+    grassrootsShare: (split.grassroots / 100).toFixed(2),
+    applicationFee: (split.applicationFees / 100).toFixed(2),
+    transferId: order.transferId || null,
+    createdAt: order.createdAt,
+    confirmationNumber: order.confirmationNumber,
+    status: reports.orderStatusOf(order),
+    refundAmount: (order.amountRefunded / 100).toFixed(2),
+    refundable: (netRevenue(order) / 100).toFixed(2),
+    invoiceNumber: (invoices.forOrder(order.id) || {}).number || null,
+  };
+}
+
+// Helper: report filters from the query string (see lib/reports.js), or a 4xx response. Store
+// managers are kept to their own store.
+function reportFilters(req, res) {
+  let filters;
+  try {
+    filters = reports.parseFilters(req.query);
+  } catch (error) {
+    if (!(error instanceof reports.ReportFilterError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+  if (req.admin.role === 'manager') {
+    if (filters.location && filters.location !== req.admin.location) {
+      res.status(403).json({ error: 'You can only see your own store' });
+      return null;
+    }
+    filters.location = req.admin.location;
+  }
+  return filters;
+}
+
+// Helper: the demos of an order a report counts - kept ones, narrowed by the filters
+function reportDemos(order, filters) {
+  return keptDemos({ slots: reports.scopedDemos(order, filters) });
+}
+
+// GET /api/admin/bookings - Paid bookings matching the report filters, newest first, a page at a
+// time (?page=1&pageSize=25). A store manager only sees their own store's.
+app.get('/api/admin/bookings', adminAuth, async (req, res) => {
+  try {
+    const filters = reportFilters(req, res);
+    if (!filters) return;
+    let paging;
+    try {
+      paging = reports.parsePaging(req.query);
+    } catch (error) {
+      if (!(error instanceof reports.ReportFilterError)) throw error;
+      return res.status(400).json({ error: error.message });
+    }
+    const { items, ...page } = reports.paginate(reports.query(filters), paging);
+    res.json({ bookings: items.map(o => toAdminBooking(o, req.admin)), ...page });
+  } catch (error) {
+    console.error('Error fetching bookings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/bookings/export.csv, /export.json - Every booking matching the report filters,
+// streamed as a download. The CSV has a row per demo; the JSON has bookings as the table shows them.
+app.get('/api/admin/bookings/export.:format', adminAuth, (req, res) => {
+  const { format } = req.params;
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(404).json({ error: 'Exports are csv or json' });
+  }
+  const filters = reportFilters(req, res);
+  if (!filters) return;
+  const orders = reports.query(filters);
+  res.attachment(`woodlands-bookings-${slots.toDateKey(new Date())}.${format}`);
+
+  if (format === 'json') {
+    res.type('application/json');
+    res.write('{"bookings":[');
+    orders.forEach((order, i) => res.write((i > 0 ? ',\n' : '\n') + JSON.stringify(toAdminBooking(order, req.admin))));
+    return res.end('\n]}\n');
+  }
+
+  // Store managers' bookings carry no revenue split
+  const withSplit = req.admin.role === 'superadmin';
+  res.type('text/csv');
+  res.write(reports.csvRow(['Booked Date', 'Confirmation #', 'Company', 'Contact Name', 'Email', 'Phone', 'Product',
+    'Demo Date', 'Time', 'Location', 'Total Amount']
+    .concat(withSplit ? ['Transferred to Market', 'Grassroots Share', 'Application Fee'] : [], ['Booking Status', 'Demo Status', 'Attendance', 'Notes'])));
+  orders.forEach(order => {
+    const booking = toAdminBooking(order, req.admin);
+    const scoped = new Set(reports.scopedDemos(order, filters).map(s => s.id));
+    const money = withSplit ? [booking.totalAmount, booking.marketShare, booking.grassrootsShare, booking.applicationFee] : [booking.totalAmount];
+    const contact = [reports.bookedOn(order), booking.confirmationNumber, booking.company, booking.customerName, booking.email, booking.phone, booking.product];
+    const demos = booking.bookings.filter(d => scoped.has(d.id));
+    if (demos.length === 0) {
+      res.write(reports.csvRow(contact.concat(['', '', ''], money, [booking.status, '', '', ''])));
+    }
+    demos.forEach((demo, i) => {
+      res.write(reports.csvRow(contact.concat(
+        [demo.date, demo.time, demo.location],
+        i === 0 ? money : money.map(() => ''),
+        [booking.status, demo.status, demo.attendance, demo.notes]
+      )));
+    });
+  });
+  res.end();
+});
+
+// GET /api/admin/stats - Dashboard stats for the report filters. Without from or to, this month;
+// send them empty for all time.
+app.get('/api/admin/stats', adminAuth, superadminOnly, async (req, res) => {
+  try {
+    const filters = reportFilters(req, res);
+    if (!filters) return;
+    if (req.query.from === undefined && req.query.to === undefined) {
+      filters.from = `${slots.toDateKey(new Date()).slice(0, 7)}-01`;
+    }
+
+    const paidOrders = reports.query(filters);
+    let totalDemos = 0;
+    let totalRevenue = 0;
+    let marketShare = 0;
+    let grassrootsShare = 0;
+    let applicationFees = 0;
+    let untransferred = 0;
+
+    paidOrders.forEach(o => {
+      const split = reports.scopedSplit(o, filters);
+      totalDemos += reportDemos(o, filters).length;
+      totalRevenue += split.revenue;
+      marketShare += split.market;
+      grassrootsShare += split.grassroots;
+      applicationFees += split.applicationFees;
+      if (!o.transferId) untransferred += split.revenue;
+    });
+
+    const settings = pricing.getSettings();
+    const perDemo = pricing.splitRevenue(settings.basePrice, settings);
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      bookings: paidOrders.length,
+      demos: totalDemos,
+      totalRevenue: (totalRevenue / 100).toFixed(2),
+      // Actual Stripe transfers and application fees, not estimates - the scoped demos' part of them
+      marketShare: (marketShare / 100).toFixed(2),
+      grassrootsShare: (grassrootsShare / 100).toFixed(2),
+      applicationFees: (applicationFees / 100).toFixed(2),
+      untransferredRevenue: (untransferred / 100).toFixed(2),
+      marketSharePercent: settings.marketSharePercent,
+      demoFee: (settings.basePrice / 100).toFixed(2),
+      marketPerDemo: (perDemo.market / 100).toFixed(2),
+      grassrootsPerDemo: (perDemo.grassroots / 100).toFixed(2),
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/analytics - Chart and customer data for the report filters. Without from or to,
+// the last 6 months; send them empty for all time. Revenue is bucketed by the month of payment.
+app.get('/api/admin/analytics', adminAuth, superadminOnly, async (req, res) => {
+  try {
+    const filters = reportFilters(req, res);
+    if (!filters) return;
+    const today = slots.toDateKey(new Date());
+    if (req.query.from === undefined && req.query.to === undefined) {
+      const [year, month] = today.split('-').map(Number);
+      const start = new Date(Date.UTC(year, month - 6, 1));
+      filters.from = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}-01`;
+    }
+
+    const paid = reports.query(filters);
+    const notRefunded = paid.filter(o => o.status !== 'refunded');
+
+    // Monthly revenue, across the range
+    const bookedDays = notRefunded.map(reports.bookedOn);
+    const byBookingDate = filters.dateField === 'booked';
+    const firstDay = byBookingDate && filters.from ? filters.from : bookedDays.reduce((a, b) => (a < b ? a : b), today);
+    const lastDay = byBookingDate && filters.to ? filters.to : today;
+    const monthlyData = {};
+    reports.monthsBetween(firstDay, lastDay).forEach(key => {
+      monthlyData[key] = { revenue: 0, demos: 0, market: 0, grassroots: 0, applicationFees: 0 };
+    });
+    notRefunded.forEach((o, i) => {
+      const key = bookedDays[i].slice(0, 7);
+      if (monthlyData[key]) {
+        const split = reports.scopedSplit(o, filters);
+        monthlyData[key].revenue += split.revenue / 100;
+        monthlyData[key].demos += reportDemos(o, filters).length;
+        monthlyData[key].market += split.market / 100;
+        monthlyData[key].grassroots += split.grassroots / 100;
+        monthlyData[key].applicationFees += split.applicationFees / 100;
+      }
+    });
+
+    // Location breakdown: demos still on, and what all of the location's demos earned net of refunds
+    const locationData = {};
+    notRefunded.forEach(o => {
+      const kept = new Set(reportDemos(o, filters).map(b => b.id));
+      const net = reports.demoRevenue(o);
+      reports.scopedDemos(o, filters).forEach(b => {
+        const loc = b.location || 'Unknown';
+        if (!locationData[loc]) locationData[loc] = { demos: 0, revenue: 0 };
+        if (kept.has(b.id)) locationData[loc].demos++;
+        locationData[loc].revenue += net.get(b.id) / 100;
+      });
+    });
+
+    // Popular time slots
+    const timeData = { '11:00 AM': 0, '3:00 PM': 0 };
+    notRefunded.forEach(o => {
+      reportDemos(o, filters).forEach(b => {
+        if (timeData[b.time] !== undefined) timeData[b.time]++;
+        else timeData[b.time] = 1;
+      });
+    });
+
+    // Popular days of week
+    const dayData = { Mon: 0, Tue: 0, Wed: 0, Thu: 0, Fri: 0, Sat: 0, Sun: 0 };
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    notRefunded.forEach(o => {
+      reportDemos(o, filters).forEach(b => {
+        if (b.date) {
+          const dayName = dayNames[slots.dayOfWeek(b.date)];
+          if (dayData[dayName] !== undefined) dayData[dayName]++;
+        }
+      });
+    });
+
+    // Customer insights
+    const customers = {};
+    paid.forEach(o => {
+      const email = o.email;
+      const refunded = o.status === 'refunded';
+      const demos = reportDemos(o, filters);
+      if (!customers[email]) {
+        customers[email] = {
+          customerId: o.customerId,
+          name: o.customerName,
+          email: email,
+          company: o.company,
+          bookings: 0,
+          totalSpent: 0,
+          firstBooking: o.createdAt,
+          lastBooking: o.createdAt,
+          products: new Set(),
+          demos: [],
+        };
+      }
+      customers[email].bookings += demos.length;
+      customers[email].demos.push(...demos);
+      if (!refunded) customers[email].totalSpent += reports.scopedRevenue(o, filters) / 100;
+      if (o.createdAt < customers[email].firstBooking) customers[email].firstBooking = o.createdAt;
+      if (o.createdAt > customers[email].lastBooking) {
+        customers[email].lastBooking = o.createdAt;
+        // Name/company from the latest order
+        customers[email].name = o.customerName;
+        customers[email].company = o.company;
+      }
+      if (o.product) customers[email].products.add(o.product);
+    });
+
+    const customerList = Object.values(customers).map(({ demos, ...c }) => ({
+      ...c,
+      attendance: attendance.stats(demos),
+      // Whether they've signed in to a vendor account (lib/vendor-accounts.js)
+      hasAccount: !!(bookings.getCustomer(c.customerId) || {}).lastSignInAt,
+      products: Array.from(c.products),
+      isRepeat: c.bookings > 1,
+    })).sort((a, b) => b.bookings - a.bookings);
+
+    // Attendance recorded on the run sheets, for demos whose day has come
+    const allDemos = paid.flatMap(o => reportDemos(o, filters));
+    const attendanceData = { overall: attendance.stats(allDemos), locations: {} };
+    (filters.location ? [filters.location] : slots.LOCATIONS).forEach(location => {
+      attendanceData.locations[location] = attendance.stats(allDemos.filter(d => d.location === location));
+    });
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      monthly: monthlyData,
+      locations: locationData,
+      attendance: attendanceData,
+      // Checkouts started in the range, whatever the other filters
+      checkoutFunnel: carts.funnel({ from: filters.from, to: filters.to }),
+      timeSlots: timeData,
+      popularDays: dayData,
+      customers: customerList,
+      totalCustomers: customerList.length,
+      repeatCustomers: customerList.filter(c => c.isRepeat).length,
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: a paid order by its Checkout Session id, or a 4xx response
+function findAdminOrder(req, res) {
+  const order = bookings.findOrderBySession(req.params.sessionId);
+  if (!order) {
+    res.status(404).json({ error: 'Booking not found' });
+    return null;
+  }
+  if (order.status === 'refunded') {
+    res.status(400).json({ error: 'This booking has already been refunded' });
+    return null;
+  }
+  if (order.status !== 'paid' || !order.paymentIntentId) {
+    res.status(400).json({ error: 'No payment intent found for this session' });
+    return null;
+  }
+  return bookings.withSlots(order);
+}
+
+// Helper: tell the customer which of their demos were cancelled and what was refunded.
+// outcome (plain text) defaults to describing the refund, if there was one.
+async function sendCancellationEmail(order, { cancelled, refund, reason = null, outcome }) {
+  const updated = bookings.withSlots(bookings.getOrder(order.id));
+  await sendEmail('cancellation', {
+    ...bookingEmailData(updated),
+    demos: cancelled,
+    reason,
+    outcome: outcome !== undefined ? outcome : refund
+      ? `A refund of $${(refund.amount / 100).toFixed(2)} has been issued to your card. Refunds typically appear on your statement within 5-10 business days.`
+      : '',
+  }, { order, attachments: calendarAttachments(cancelled, order, 'CANCEL') });
+}
+
+// Helper: the reason an admin gave for a cancellation or refund (required, for the audit trail), or a 400
+function requireReason(req, res) {
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400).json({ error: 'Enter a reason for the cancellation' });
+    return null;
+  }
+  return reason;
+}
+
+// POST /api/admin/bookings/:sessionId/refund - Cancel & refund a whole booking. Body: { reason }
+app.post('/api/admin/bookings/:sessionId/refund', adminAuth, superadminOnly, async (req, res) => {
+  try {
+    const order = findAdminOrder(req, res);
+    if (!order) return;
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    // Refund whatever hasn't been refunded yet and cancel every demo still booked
+    const result = await cancelDemos(order, order.slots.filter(s => s.status === 'booked').map(s => s.id), {
+      refundAmount: netRevenue(order),
+      reason,
+      cancelledBy: 'admin',
+      actor: audit.adminActor(req.admin),
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'This booking changed while refunding. Refresh and try again.' });
+    }
+
+    try {
+      await sendCancellationEmail(order, { ...result, reason });
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError);
+    }
+
+    // Nothing left to refund (a free or already refunded booking): the demos are still cancelled
+    res.json({
+      success: true,
+      refundId: result.refund ? result.refund.id : null,
+      amount: ((result.refund ? result.refund.amount : 0) / 100).toFixed(2),
+    });
+  } catch (error) {
+    console.error('Error refunding booking:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/bookings/:sessionId/cancel - Cancel some demos of a booking with an optional partial refund
+// Body: { slotIds, refundAmount (cents, defaults to what the demos cost; 0 cancels without a refund), reason (required) }
+app.post('/api/admin/bookings/:sessionId/cancel', adminAuth, superadminOnly, async (req, res) => {
+  try {
+    const order = findAdminOrder(req, res);
+    if (!order) return;
+
+    const { slotIds } = req.body;
+    if (!Array.isArray(slotIds) || slotIds.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one demo to cancel' });
+    }
+    const demos = [...new Set(slotIds)].map(id => order.slots.find(s => s.id === id));
+    if (demos.some(s => !s)) {
+      return res.status(400).json({ error: 'Those demos are not part of this booking' });
+    }
+    if (demos.some(s => s.status !== 'booked')) {
+      return res.status(400).json({ error: 'Only confirmed demos can be cancelled' });
+    }
+
+    const refundable = netRevenue(order);
+    const refundAmount = req.body.refundAmount === undefined || req.body.refundAmount === null
+      ? Math.min(demos.reduce((sum, s) => sum + (s.amount || 0), 0), refundable)
+      : req.body.refundAmount;
+    if (!Number.isInteger(refundAmount) || refundAmount < 0) {
+      return res.status(400).json({ error: 'refundAmount must be a whole number of cents' });
+    }
+    if (refundAmount > refundable) {
+      return res.status(400).json({ error: `At most $${(refundable / 100).toFixed(2)} of this booking can still be refunded` });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const result = await cancelDemos(order, demos.map(s => s.id), {
+      refundAmount,
+      reason,
+      cancelledBy: 'admin',
+      actor: audit.adminActor(req.admin),
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'One of those demos has already been cancelled' });
+    }
+
+    try {
+      await sendCancellationEmail(order, { ...result, reason });
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      booking: toAdminBooking(bookings.withSlots(bookings.getOrder(order.id))),
+      refundId: result.refund ? result.refund.id : null,
+      amount: ((result.refund ? result.refund.amount : 0) / 100).toFixed(2),
+    });
+  } catch (error) {
+    console.error('Error cancelling demos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/admin/bookings/:sessionId/demos/:slotId - Record a demo's attendance on the day:
+// { status: checked-in | late | no-show, or confirmed to clear it } and/or { notes }
+app.patch('/api/admin/bookings/:sessionId/demos/:slotId', adminAuth, (req, res) => {
+  const order = bookings.findOrderBySession(req.params.sessionId);
+  const slot = order && bookings.orderSlots(order.id).find(s => s.id === req.params.slotId);
+  if (!slot || !canSeeLocation(req.admin, slot.location)) {
+    return res.status(404).json({ error: 'Demo not found' });
+  }
+  const { status, notes } = req.body;
+  if (status === undefined && notes === undefined) {
+    return res.status(400).json({ error: 'Send a status or notes' });
+  }
+  if (status !== undefined && status !== 'confirmed' && !attendance.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be ${attendance.STATUSES.join(', ')} or confirmed` });
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 1000)) {
+    return res.status(400).json({ error: 'notes must be text of 1000 characters or fewer' });
+  }
+  if (status && status !== 'confirmed' && slot.date > slots.toDateKey(new Date())) {
+    return res.status(400).json({ error: 'Attendance can\'t be recorded before the demo\'s day' });
+  }
+  if (slot.status !== 'booked' && slot.status !== 'no-show') {
+    return res.status(400).json({ error: 'Only confirmed demos can be checked in or marked as no-shows' });
+  }
+
+  const actor = audit.adminActor(req.admin);
+  const label = `the ${slot.displayDate} ${slot.time} demo at ${slot.location}`;
+  if (status !== undefined) {
+    const marked = status === 'confirmed' ? null : status;
+    bookings.setAttendance(slot.id, marked, { by: req.admin.email });
+    const outcome = { 'checked-in': 'checked in', late: 'late', 'no-show': 'a no-show' }[marked];
+    audit.record('demo.attendance', {
+      actor,
+      order,
+      summary: marked ? `Marked ${label} as ${outcome}` : `Cleared the attendance on ${label}`,
+      details: { slotId: slot.id, status },
+    });
+  }
+  if (notes !== undefined && notes.trim() !== (slot.notes || '')) {
+    bookings.setNotes(slot.id, notes.trim());
+    audit.record('demo.notes', {
+      actor,
+      order,
+      summary: `Updated the notes on ${label}`,
+      details: { slotId: slot.id, notes: notes.trim() },
+    });
+  }
+  res.json({
+    success: true,
+    booking: toAdminBooking(bookings.withSlots(order), req.admin),
+    demo: toAdminDemo(bookings.getSlot(slot.id)),
+  });
+});
+
+// GET /api/admin/run-sheet/:location?range=today|week - A store's demos today or over the next
+// 7 days, with each vendor's contact details and attendance, for staff on the floor
+app.get('/api/admin/run-sheet/:location', adminAuth, (req, res) => {
+  const { location } = req.params;
+  if (!slots.LOCATIONS.includes(location)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  if (!canSeeLocation(req.admin, location)) {
+    return res.status(403).json({ error: 'You can only see your own store' });
+  }
+  const range = req.query.range === 'week' ? 'week' : 'today';
+  const today = slots.toDateKey(new Date());
+  const to = range === 'week' ? slots.addDays(today, 6) : today;
+  res.json({
+    location,
+    address: storeAddress(location),
+    range,
+    today,
+    from: today,
+    to,
+    demos: attendance.runSheet(location, today, to),
+  });
+});
+
+// POST /api/admin/bookings/:sessionId/resend-confirmation - Send the confirmation email again,
+// listing the demos the booking still has
+app.post('/api/admin/bookings/:sessionId/resend-confirmation', adminAuth, async (req, res) => {
+  try {
+    const order = findAdminOrder(req, res);
+    if (!order) return;
+    if (!order.slots.some(s => canSeeLocation(req.admin, s.location))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (keptDemos(order).length === 0) {
+      return res.status(400).json({ error: 'This booking has no demos left to confirm' });
+    }
+
+    try {
+      await sendConfirmationEmail(order, { actor: audit.adminActor(req.admin) });
+    } catch (emailError) {
+      console.error('Error resending confirmation email:', emailError);
+      return res.status(500).json({ error: `Couldn't send the email: ${emailError.message}` });
+    }
+    res.json({ success: true, to: order.email });
+  } catch (error) {
+    console.error('Error resending confirmation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/availability - Availability rules for every location the admin may see
+app.get('/api/admin/availability', adminAuth, (req, res) => {
+  res.json({ locations: availabilityRules.listRules().filter(r => canSeeLocation(req.admin, r.location)) });
+});
+
+// Helper: 404 for locations we don't have, 403 for other managers' stores
+function requireLocation(req, res, next) {
+  if (!availabilityRules.LOCATIONS.includes(req.params.location)) {
+    return res.status(404).json({ error: 'Unknown location' });
+  }
+  if (!canSeeLocation(req.admin, req.params.location)) {
+    return res.status(403).json({ error: 'You can only change your own store' });
+  }
+  next();
+}
+
+// Helper: run a rules change, record it in the audit trail and answer with the updated rules or a 400
+function sendRulesChange(req, res, action, summary, change) {
+  try {
+    const rules = change();
+    audit.record(action, { actor: audit.adminActor(req.admin), summary, details: { location: req.params.location, change: req.body } });
+    res.json({ rules });
+  } catch (error) {
+    if (error instanceof availabilityRules.RulesValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating availability:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// PUT /api/admin/availability/:location - Update open weekdays, slot times, slots per day, lead time,
+// address and arrival instructions
+app.put('/api/admin/availability/:location', adminAuth, requireLocation, (req, res) => {
+  const { openWeekdays, slotTimes, slotsPerDay, leadDays, address, arrivalInstructions } = req.body;
+  sendRulesChange(req, res, 'availability.updated', `Updated ${req.params.location} availability`, () => availabilityRules.updateRules(req.params.location, {
+    openWeekdays, slotTimes, slotsPerDay, leadDays, address, arrivalInstructions,
+  }));
+});
+
+// POST /api/admin/availability/:location/blackouts - Block out a date (holiday, store event)
+app.post('/api/admin/availability/:location/blackouts', adminAuth, requireLocation, (req, res) => {
+  sendRulesChange(req, res, 'availability.blackout_added', `Blacked out ${req.body.date} at ${req.params.location}`,
+    () => availabilityRules.addBlackout(req.params.location, req.body));
+});
+
+// DELETE /api/admin/availability/:location/blackouts/:date - Reopen a blacked-out date
+app.delete('/api/admin/availability/:location/blackouts/:date', adminAuth, requireLocation, (req, res) => {
+  sendRulesChange(req, res, 'availability.blackout_removed', `Reopened ${req.params.date} at ${req.params.location}`,
+    () => availabilityRules.removeBlackout(req.params.location, req.params.date));
+});
+
+// GET /api/admin/pricing - Price settings and promo codes with their usage
+app.get('/api/admin/pricing', adminAuth, superadminOnly, (req, res) => {
+  res.json({ settings: pricing.getSettings(), promoCodes: pricing.listPromoCodes() });
+});
+
+// Helper: run a pricing change, record it in the audit trail and answer with its result or a 400
+function sendPricingChange(req, res, key, action, summary, change) {
+  try {
+    const result = change();
+    audit.record(action, { actor: audit.adminActor(req.admin), summary, details: { change: req.body } });
+    res.json({ [key]: result });
+  } catch (error) {
+    if (error instanceof pricing.PricingError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating pricing:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// PUT /api/admin/pricing - Update the base price, location/weekday prices, bundle discounts and revenue split
+app.put('/api/admin/pricing', adminAuth, superadminOnly, (req, res) => {
+  const { basePrice, priceRules, bundles, marketSharePercent } = req.body;
+  sendPricingChange(req, res, 'settings', 'pricing.updated', 'Updated pricing',
+    () => pricing.updateSettings({ basePrice, priceRules, bundles, marketSharePercent }));
+});
+
+// POST /api/admin/promo-codes - Create a promo code
+app.post('/api/admin/promo-codes', adminAuth, superadminOnly, (req, res) => {
+  sendPricingChange(req, res, 'promoCode', 'promo.created', `Created promo code ${String(req.body.code || '').toUpperCase()}`,
+    () => pricing.createPromoCode(req.body));
+});
+
+// PATCH /api/admin/promo-codes/:code - Turn a promo code on or off
+app.patch('/api/admin/promo-codes/:code', adminAuth, superadminOnly, (req, res) => {
+  sendPricingChange(req, res, 'promoCode', 'promo.updated', `Turned promo code ${req.params.code} ${req.body.active ? 'on' : 'off'}`,
+    () => pricing.setPromoActive(req.params.code, req.body.active));
+});
+
+// GET /api/admin/policy - Cancellation & reschedule policy
+app.get('/api/admin/policy', adminAuth, superadminOnly, (req, res) => {
+  res.json({ policy: policyRules.getPolicy() });
+});
+
+// PUT /api/admin/policy - Update the refund, credit and reschedule windows
+app.put('/api/admin/policy', adminAuth, superadminOnly, (req, res) => {
+  try {
+    const { refundWindowDays, refundPercent, creditWindowDays, rescheduleWindowDays } = req.body;
+    const policy = policyRules.updatePolicy({ refundWindowDays, refundPercent, creditWindowDays, rescheduleWindowDays });
+    audit.record('policy.updated', { actor: audit.adminActor(req.admin), summary: 'Updated the cancellation policy', details: { change: req.body } });
+    res.json({ policy });
+  } catch (error) {
+    if (error instanceof policyRules.PolicyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/feeds - Calendar feed links for each store the admin may see
+app.get('/api/admin/feeds', adminAuth, (req, res) => {
+  if (!feeds.isConfigured()) {
+    return res.json({ configured: false, locations: [] });
+  }
+  res.json({
+    configured: true,
+    locations: slots.LOCATIONS
+      .filter(location => canSeeLocation(req.admin, location))
+      .map(location => ({ location, url: feeds.urlFor('location', location) })),
+  });
+});
+
+// GET /api/admin/waitlist - Vendors waiting for (or holding an offer on) a fully booked date
+// at the stores the admin may see, soonest date first
+app.get('/api/admin/waitlist', adminAuth, (req, res) => {
+  const locations = slots.LOCATIONS.filter(location => canSeeLocation(req.admin, location));
+  res.json({
+    entries: waitlist.listEntries({ locations }).map(entry => ({
+      id: entry.id,
+      location: entry.location,
+      date: entry.date,
+      displayDate: slots.displayDateFor(entry.date),
+      time: entry.time,
+      email: entry.email,
+      company: entry.company,
+      product: entry.product,
+      status: entry.status,
+      createdAt: entry.createdAt,
+      offeredTime: entry.offeredTime,
+      offerExpiresAt: entry.offerExpiresAt,
+    })),
+  });
+});
+
+// GET /api/admin/customers/:id - A vendor's profile and bookings, from customer insights
+app.get('/api/admin/customers/:id', adminAuth, superadminOnly, (req, res) => {
+  const customer = bookings.getCustomer(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  res.json({
+    profile: { ...vendorAccounts.profileOf(customer), lastSignInAt: customer.lastSignInAt || null },
+    bookings: bookings.listOrders({ statuses: ['paid', 'refunded'], customerId: customer.id }).map(o => toAdminBooking(o, req.admin)),
+  });
+});
+
+// POST /api/admin/login - Sign in with email and password; sets the session cookie
+app.post('/api/admin/login', (req, res) => {
+  const { email, password } = req.body;
+  const emailKey = `email:${String(email || '').trim().toLowerCase()}`;
+  const keys = [`ip:${req.ip}`, emailKey];
+  const attempted = { type: 'admin', id: null, name: String(email || '').trim().toLowerCase() };
+  const wait = Math.max(...keys.map(key => loginFailures.retryAfter(key)));
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+    return res.status(429).json({ error: `Too many sign-in attempts. Try again in ${Math.ceil(wait / 60)} minutes.` });
+  }
+
+  const user = adminUsers.authenticate(email, password);
+  if (!user) {
+    // Failures are only counted in memory; the audit log gets one entry when they add up to a
+    // block, so guessing can't flood it
+    const blocked = keys.filter(key => loginFailures.fail(key));
+    if (blocked.length) {
+      audit.record('admin.login_blocked', {
+        actor: attempted,
+        summary: `Sign-in blocked for ${loginFailures.windowMs / 60000} minutes after ${loginFailures.limit} failed attempts (IP ${req.ip})`,
+        details: { ip: req.ip, blocked: blocked.map(key => key.slice(0, key.indexOf(':'))) },
+      });
+    }
+    return res.status(401).json({ error: 'Incorrect email or password' });
+  }
+  loginFailures.reset(emailKey);
+  audit.record('admin.login', { actor: audit.adminActor(user), summary: `Signed in (IP ${req.ip})`, details: { ip: req.ip } });
+
+  const { token } = adminUsers.createSession(user);
+  res.set('Set-Cookie', sessionCookie(token, adminUsers.sessionHours() * 3600));
+  res.json({ user: adminUsers.publicUser(user) });
+});
+
+// POST /api/admin/logout - Sign out: revokes the session and clears the cookie
+app.post('/api/admin/logout', (req, res) => {
+  const token = readCookie(req, ADMIN_COOKIE);
+  const user = token && adminUsers.sessionUser(token);
+  if (user) audit.record('admin.logout', { actor: audit.adminActor(user), summary: 'Signed out' });
+  if (token) adminUsers.revokeSession(token);
+  res.set('Set-Cookie', sessionCookie('', 0));
+  res.json({ success: true });
+});
+
+// GET /api/admin/session - The signed-in account
+app.get('/api/admin/session', adminAuth, (req, res) => {
+  res.json({ user: adminUsers.publicUser(req.admin) });
+});
+
+// Helper: run an account change, record it in the audit trail and answer with the account or a 400.
+// summary describes the change given the changed account.
+function sendUserChange(req, res, action, summary, change) {
+  try {
+    const user = change();
+    if (!user) return res.status(404).json({ error: 'Account not found' });
+    audit.record(action, { actor: audit.adminActor(req.admin), summary: summary(user), details: { userId: user.id } });
+    res.json({ user: adminUsers.publicUser(user) });
+  } catch (error) {
+    if (error instanceof adminUsers.AdminUserError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating admin account:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// PUT /api/admin/session/password - Change your own password: { currentPassword, newPassword }.
+// Signs out your other sessions.
+app.put('/api/admin/session/password', adminAuth, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!adminUsers.authenticate(req.admin.email, currentPassword)) {
+    return res.status(400).json({ error: 'Your current password is incorrect' });
+  }
+  sendUserChange(req, res, 'admin.password_changed', () => 'Changed their password', () => {
+    const user = adminUsers.updateUser(req.admin.id, { password: newPassword });
+    const { token } = adminUsers.createSession(user);
+    res.set('Set-Cookie', sessionCookie(token, adminUsers.sessionHours() * 3600));
+    return user;
+  });
+});
+
+// GET /api/admin/users - Admin accounts
+app.get('/api/admin/users', adminAuth, superadminOnly, (req, res) => {
+  res.json({ users: adminUsers.listUsers().map(adminUsers.publicUser) });
+});
+
+// POST /api/admin/users - Create an account: { email, name, password, role, location (managers) }
+app.post('/api/admin/users', adminAuth, superadminOnly, (req, res) => {
+  const { email, name, password, role, location } = req.body;
+  sendUserChange(req, res, 'admin.user_created', user => `Created ${user.role} account ${user.email}${user.location ? ` (${user.location})` : ''}`,
+    () => adminUsers.createUser({ email, name, password, role, location }));
+});
+
+// PATCH /api/admin/users/:id - Change an account's name, email, password, role, location or disabled.
+// A new password or disabling the account signs it out everywhere.
+app.patch('/api/admin/users/:id', adminAuth, superadminOnly, (req, res) => {
+  const { email, name, password, role, location, disabled } = req.body;
+  if (req.params.id === req.admin.id && (disabled === true || (role !== undefined && role !== 'superadmin'))) {
+    return res.status(400).json({ error: 'You can\'t disable or demote your own account' });
+  }
+  const changed = Object.keys(req.body).filter(key => ['email', 'name', 'password', 'role', 'location', 'disabled'].includes(key));
+  sendUserChange(req, res, 'admin.user_updated', user => `Updated account ${user.email}: ${changed.join(', ')}${disabled !== undefined ? ` (${disabled ? 'disabled' : 'enabled'})` : ''}`,
+    () => adminUsers.updateUser(req.params.id, { email, name, password, role, location, disabled }));
+});
+
+// POST /api/admin/users/:id/sign-out - End all of an account's sessions
+app.post('/api/admin/users/:id/sign-out', adminAuth, superadminOnly, (req, res) => {
+  const user = adminUsers.getUser(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+  const revoked = adminUsers.revokeUserSessions(user.id);
+  audit.record('admin.signed_out', { actor: audit.adminActor(req.admin), summary: `Signed ${user.email} out of ${revoked} sessions`, details: { userId: user.id } });
+  res.json({ success: true, revoked });
+});
+
+// Helper: the audit entries matching the activity filters in the query string, or a 400
+function activityEntries(req, res) {
+  const { booking, actor, action, from, to } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+    return null;
+  }
+  return audit.query({ booking, actor, action, from, to });
+}
+
+// GET /api/admin/activity - The audit trail, newest first. Filters: booking (confirmation number
+// or session id), actor (email or type), action (or its prefix), from and to (YYYY-MM-DD)
+app.get('/api/admin/activity', adminAuth, superadminOnly, (req, res) => {
+  const entries = activityEntries(req, res);
+  if (!entries) return;
+  res.json({ entries });
+});
+
+// GET /api/admin/activity/export.csv - The audit entries matching the same filters, as a download
+app.get('/api/admin/activity/export.csv', adminAuth, superadminOnly, (req, res) => {
+  const entries = activityEntries(req, res);
+  if (!entries) return;
+  res.attachment(`woodlands-activity-${slots.toDateKey(new Date())}.csv`);
+  res.type('text/csv');
+  res.write(reports.csvRow(['Time', 'Actor Type', 'Actor', 'Action', 'Confirmation #', 'Session', 'Summary', 'Details']));
+  entries.forEach(entry => {
+    res.write(reports.csvRow([entry.at, entry.actor.type, entry.actor.name, entry.action, entry.confirmationNumber,
+      entry.sessionId, entry.summary, JSON.stringify(entry.details)]));
+  });
+  res.end();
+});
+
+// GET /api/admin/email-templates - The email templates, with their current versions
+app.get('/api/admin/email-templates', adminAuth, superadminOnly, (req, res) => {
+  res.json({ templates: emailTemplates.listTemplates() });
+});
+
+// GET /api/admin/email-templates/:name/preview - A template rendered with sample data (and the
+// live cancellation policy): { template, version, subject, html, text }
+app.get('/api/admin/email-templates/:name/preview', adminAuth, superadminOnly, (req, res) => {
+  try {
+    res.json(emailTemplates.preview(req.params.name, { policy: policySummary() }));
+  } catch (error) {
+    if (error instanceof emailTemplates.EmailTemplateError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/emails - The outbox: every email sent, newest first, with its delivery status.
+// Filters: booking (confirmation number or session id), status (sending, sent, failed), template
+app.get('/api/admin/emails', adminAuth, superadminOnly, (req, res) => {
+  const { booking, status, template } = req.query;
+  if (status && !outbox.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${outbox.STATUSES.join(', ')}` });
+  }
+  // With the fake mail provider, each email's providerId opens it in the local mailbox
+  res.json({ emails: outbox.list({ booking, status, template }), mailProvider: mail.name });
+});
+
+// Helper: the local mailbox only exists with the fake mail provider
+function fakeMailOnly(req, res, next) {
+  if (mail.name !== 'fake') {
+    return res.status(404).json({ error: 'The local mailbox is only kept with MAIL_PROVIDER=fake' });
+  }
+  next();
+}
+
+// GET /api/admin/mailbox - Emails the fake mail provider captured, newest first, without their
+// bodies. Filters: to (an address), subject (part of it)
+app.get('/api/admin/mailbox', adminAuth, superadminOnly, fakeMailOnly, (req, res) => {
+  const messages = mail.list({ to: req.query.to, subject: req.query.subject });
+  res.json({
+    messages: messages.map(({ id, from, to, subject, attachments, createdAt }) => ({
+      id, from, to, subject, createdAt, attachments: attachments.map(a => a.filename),
+    })),
+  });
+});
+
+// DELETE /api/admin/mailbox - Empty the local mailbox
+app.delete('/api/admin/mailbox', adminAuth, superadminOnly, fakeMailOnly, (req, res) => {
+  res.json({ deleted: mail.clear() });
+});
+
+// GET /api/admin/mailbox/:id - A captured email as the vendor would see it (its HTML part);
+// ?format=json gives the whole message, ?format=text its plain-text part
+app.get('/api/admin/mailbox/:id', adminAuth, superadminOnly, fakeMailOnly, (req, res) => {
+  const message = mail.get(req.params.id);
+  if (!message) return res.status(404).json({ error: 'Email not found' });
+  if (req.query.format === 'json') return res.json({ message });
+  if (req.query.format === 'text') return res.type('text/plain').send(message.text);
+  // Emails are rendered from vendor input; never let one run script on the dashboard's origin
+  res.set('Content-Security-Policy', 'sandbox');
+  res.type('html').send(message.html);
+});
+
+// GET /api/admin/mailbox/:id/attachments/:index - Download one of a captured email's
+// attachments (e.g. its calendar invites)
+app.get('/api/admin/mailbox/:id/attachments/:index', adminAuth, superadminOnly, fakeMailOnly, (req, res) => {
+  const message = mail.get(req.params.id);
+  const attachment = message && message.attachments[Number(req.params.index)];
+  if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+  res.set('Content-Disposition', `attachment; filename="${attachment.filename}"`);
+  res.type(path.extname(attachment.filename) || 'application/octet-stream').send(Buffer.from(attachment.content, 'base64'));
+});
+
+// ============================================================
+// VENDOR MANAGE API
+// ============================================================
+
+// Signed-link auth: loads the order the token names into req.order
+function manageAuth(req, res, next) {
+  if (!manageLinks.isConfigured()) {
+    return res.status(500).json({ error: 'MANAGE_LINK_SECRET not configured' });
+  }
+  let orderId;
+  try {
+    orderId = manageLinks.verifyToken(req.params.token);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+  const order = bookings.getOrder(orderId);
+  if (!order || (order.status !== 'paid' && order.status !== 'refunded')) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  req.order = bookings.withSlots(order);
+  next();
+}
+
+// Helper: the order as the manage page sees it - each demo with what the vendor may do to it today
+function toManageView(order) {
+  const policy = policyRules.getPolicy();
+  const today = slots.toDateKey(new Date());
+  return {
+    confirmationNumber: order.confirmationNumber,
+    customerName: order.customerName,
+    company: order.company,
+    product: order.product,
+    email: order.email,
+    status: order.status,
+    calendarFeedUrl: feeds.isConfigured() ? feeds.urlFor('vendor', order.customerId) : null,
+    policy,
+    demos: order.slots.map(s => ({
+      id: s.id,
+      date: s.date,
+      time: s.time,
+      location: s.location,
+      displayDate: s.displayDate,
+      status: s.status,
+      amount: s.amount,
+      ...(s.status === 'booked' && order.status === 'paid' ? cancelTermsFor(order, s, today, policy) : {}),
+    })),
+  };
+}
+
+// Helper: the policy's terms for one of an order's demos, with the refund capped at what is left
+// of the charge (after, say, an admin's partial refund) and the shortfall as store credit
+function cancelTermsFor(order, slot, today, policy) {
+  const terms = policyRules.termsFor(slot, today, policy);
+  if (terms.cancel !== 'refund') return terms;
+  const refundAmount = Math.min(terms.refundAmount, Math.max(0, netRevenue(order)));
+  return { ...terms, refundAmount, creditAmount: terms.refundAmount - refundAmount };
+}
+
+// Helper: one of the order's booked demos, or a 4xx response
+function findManagedDemo(req, res) {
+  const slot = req.order.slots.find(s => s.id === req.params.slotId);
+  if (!slot) {
+    res.status(404).json({ error: 'Demo not found' });
+    return null;
+  }
+  if (slot.status !== 'booked' || req.order.status !== 'paid') {
+    res.status(400).json({ error: 'This demo is no longer booked' });
+    return null;
+  }
+  return slot;
+}
+
+// GET /api/manage/:token - Booking details and what can be changed
+app.get('/api/manage/:token', manageAuth, (req, res) => {
+  res.json(toManageView(req.order));
+});
+
+// POST /api/manage/:token/demos/:slotId/reschedule - Move one demo to another open slot
+app.post('/api/manage/:token/demos/:slotId/reschedule', manageAuth, async (req, res) => {
+  try {
+    const order = req.order;
+    const slot = findManagedDemo(req, res);
+    if (!slot) return;
+
+    const policy = policyRules.getPolicy();
+    if (!policyRules.termsFor(slot, slots.toDateKey(new Date()), policy).canReschedule) {
+      return res.status(400).json({ error: `Demos can only be rescheduled up to ${policy.rescheduleWindowDays} days ahead` });
+    }
+
+    const target = slots.normalizeCartItem({
+      dateStr: req.body.date,
+      time: req.body.time,
+      location: req.body.location || slot.location,
+    });
+    if (!target) {
+      return res.status(400).json({ error: 'Choose a valid date and time' });
+    }
+    if (target.location === slot.location && target.date === slot.date && target.time === slot.time) {
+      return res.status(400).json({ error: 'That is the demo\'s current slot' });
+    }
+    if (order.slots.some(s => s.id !== slot.id && s.status === 'booked' && s.location === target.location && s.date === target.date)) {
+      return res.status(400).json({ error: 'Only one demo per location per day is allowed' });
+    }
+    // Moves keep the price paid, so they can't be used to reach a pricier slot
+    if (pricing.priceFor(target) > (slot.listAmount ?? slot.amount)) {
+      return res.status(400).json({ error: 'That slot costs more than this demo. Cancel it and book the new slot instead.' });
+    }
+
+    const moved = slots.moveSlot(slot.id, target);
+    const updated = bookings.withSlots(bookings.getOrder(order.id));
+    audit.record('demo.rescheduled', {
+      actor: audit.vendorActor(order),
+      order,
+      summary: `Moved a demo from ${slot.displayDate} ${slot.time}, ${slot.location} to ${moved.displayDate} ${moved.time}, ${moved.location}`,
+      details: { slotId: slot.id, from: slots.slotKey(slot), to: slots.slotKey(moved) },
+    });
+
+    try {
+      await sendEmail('reschedule', { ...bookingEmailData(updated), from: slot, demo: moved }, {
+        order,
+        attachments: calendarAttachments([moved], order, 'REQUEST'),
+      });
+    } catch (emailError) {
+      console.error('Error sending reschedule email:', emailError);
+    }
+    // The demo's old slot is free now
+    await offerFreedSlots();
+
+    res.json(toManageView(updated));
+  } catch (error) {
+    if (error instanceof slots.SlotConflictError) {
+      return res.status(409).json({ error: 'That slot is no longer available', conflicts: error.conflicts });
+    }
+    console.error('Error rescheduling demo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/manage/:token/demos/:slotId/cancel - Cancel one demo for a refund or store credit, per the policy
+app.post('/api/manage/:token/demos/:slotId/cancel', manageAuth, async (req, res) => {
+  try {
+    const order = req.order;
+    const slot = findManagedDemo(req, res);
+    if (!slot) return;
+
+    const policy = policyRules.getPolicy();
+    const terms = cancelTermsFor(order, slot, slots.toDateKey(new Date()), policy);
+    if (!terms.cancel) {
+      return res.status(400).json({ error: `Demos can only be cancelled up to ${policy.creditWindowDays} days ahead` });
+    }
+
+    const result = await cancelDemos(order, [slot.id], {
+      refundAmount: terms.refundAmount,
+      reason: 'Cancelled by vendor',
+      cancelledBy: 'vendor',
+      actor: audit.vendorActor(order),
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'This demo has already been cancelled' });
+    }
+
+    const { refund } = result;
+    let credit = null;
+    if (terms.creditAmount > 0) {
+      credit = pricing.issueCredit({ amount: terms.creditAmount, email: order.email, orderId: order.id, slotId: slot.id });
+      audit.record('credit.issued', {
+        actor: audit.vendorActor(order),
+        order,
+        summary: `Issued $${(credit.amountOff / 100).toFixed(2)} store credit (code ${credit.code})`,
+        details: { code: credit.code, amount: credit.amountOff, slotId: slot.id },
+      });
+    }
+
+    const outcome = [
+      refund && `A refund of $${(refund.amount / 100).toFixed(2)} has been issued to your card.`,
+      credit && `You have $${(credit.amountOff / 100).toFixed(2)} of credit: enter code ${credit.code} at checkout (valid until ${credit.expiresAt.slice(0, 10)}).`,
+    ].filter(Boolean).join(' ') || 'No refund is due under the cancellation policy.';
+
+    try {
+      await sendCancellationEmail(order, { cancelled: result.cancelled, outcome });
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError);
+    }
+
+    res.json({
+      ...toManageView(bookings.withSlots(bookings.getOrder(order.id))),
+      refundAmount: refund ? (refund.amount / 100).toFixed(2) : null,
+      creditCode: credit ? credit.code : null,
+      creditAmount: credit ? (credit.amountOff / 100).toFixed(2) : null,
+    });
+  } catch (error) {
+    console.error('Error cancelling demo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// VENDOR ACCOUNTS
+// ============================================================
+
+const VENDOR_COOKIE = { name: 'wm_vendor_session', path: '/api/vendor' };
+
+// Sign-in links emailed per address and per IP address, every 15 minutes
+const loginLinkRequests = new RateLimiter({ limit: 5, windowMinutes: 15 });
+
+// Vendor auth middleware: loads the signed-in vendor's customer record into req.vendor
+function vendorAuth(req, res, next) {
+  const customer = vendorAccounts.sessionCustomer(readCookie(req, VENDOR_COOKIE.name));
+  if (!customer) {
+    return res.status(401).json({ error: 'Please sign in' });
+  }
+  req.vendor = customer;
+  next();
+}
+
+// POST /api/vendor/login - Email a sign-in link. Answers the same whether or not the address
+// has booked before, so it can't be used to find out who our vendors are.
+app.post('/api/vendor/login', async (req, res) => {
+  try {
+    const { customerEmail } = validation.validate(validation.loginSchema, req.body);
+    const keys = [`ip:${req.ip}`, `email:${customerEmail.toLowerCase()}`];
+    const wait = Math.max(...keys.map(key => loginLinkRequests.retryAfter(key)));
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Too many sign-in emails. Try again in ${Math.ceil(wait / 60)} minutes.` });
+    }
+    keys.forEach(key => loginLinkRequests.fail(key));
+
+    const { token } = vendorAccounts.createLoginLink(customerEmail);
+    await sendEmail('login', {
+      loginUrl: `${process.env.FRONTEND_URL}/account?token=${encodeURIComponent(token)}`,
+      expiresMinutes: vendorAccounts.linkMinutes(),
+    }, { recipient: customerEmail.toLowerCase() });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    console.error('Error sending sign-in link:', error);
+    res.status(500).json({ error: 'Couldn\'t send the sign-in email. Please try again.' });
+  }
+});
+
+// POST /api/vendor/session - Follow a sign-in link: { token }; sets the session cookie
+app.post('/api/vendor/session', (req, res) => {
+  const signedIn = vendorAccounts.redeemLoginLink(req.body.token);
+  if (!signedIn) {
+    return res.status(401).json({ error: 'This sign-in link has expired or was already used. Ask for a new one.' });
+  }
+  const { customer, token } = signedIn;
+  audit.record('vendor.login', {
+    actor: { type: 'vendor', id: customer.id, name: customer.email },
+    summary: `Signed in to their account (IP ${req.ip})`,
+    details: { ip: req.ip },
+  });
+  res.set('Set-Cookie', sessionCookie(token, vendorAccounts.sessionDays() * 86400, VENDOR_COOKIE));
+  res.json({ profile: vendorAccounts.profileOf(customer) });
+});
+
+// POST /api/vendor/logout - Sign out: revokes the session and clears the cookie
+app.post('/api/vendor/logout', (req, res) => {
+  const token = readCookie(req, VENDOR_COOKIE.name);
+  if (token) vendorAccounts.revokeSession(token);
+  res.set('Set-Cookie', sessionCookie('', 0, VENDOR_COOKIE));
+  res.json({ success: true });
+});
+
+// GET /api/vendor/profile - The signed-in vendor's saved details, to pre-fill the booking form
+app.get('/api/vendor/profile', vendorAuth, (req, res) => {
+  res.json({ profile: vendorAccounts.profileOf(req.vendor) });
+});
+
+// PUT /api/vendor/profile - Save name, phone, company and products
+app.put('/api/vendor/profile', vendorAuth, (req, res) => {
+  try {
+    const { customerName, phone, company, products } = validation.validate(validation.profileSchema, req.body);
+    const customer = vendorAccounts.updateProfile(req.vendor.id, { name: customerName, phone, company, products });
+    res.json({ profile: vendorAccounts.profileOf(customer) });
+  } catch (error) {
+    if (error instanceof validation.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    console.error('Error saving vendor profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: one of a vendor's orders for their account page - its demos (with calendar file
+// links), the receipt and the manage link
+function toVendorOrder(order) {
+  return {
+    confirmationNumber: order.confirmationNumber,
+    createdAt: order.createdAt,
+    status: order.status,
+    company: order.company,
+    product: order.product,
+    manageUrl: keptDemos(order).length > 0 ? manageUrlFor(order) : null,
+    invoiceUrl: `/api/vendor/orders/${order.confirmationNumber}/invoice.pdf`,
+    receipt: {
+      subtotal: order.subtotal ?? order.amountTotal,
+      bundleDiscount: order.bundleDiscount || 0,
+      promoCode: order.promoCode || null,
+      promoDiscount: order.promoDiscount || 0,
+      total: order.amountTotal,
+      refunded: order.amountRefunded,
+    },
+    demos: order.slots.map(s => ({
+      id: s.id,
+      date: s.date,
+      time: s.time,
+      location: s.location,
+      displayDate: s.displayDate,
+      address: storeAddress(s.location),
+      status: s.status,
+      amount: s.amount,
+      calendarUrl: s.status === 'booked' ? `/api/vendor/demos/${s.id}.ics` : null,
+    })),
+  };
+}
+
+// GET /api/vendor/bookings - The signed-in vendor's paid bookings, newest first
+app.get('/api/vendor/bookings', vendorAuth, (req, res) => {
+  res.json({
+    today: slots.toDateKey(new Date()),
+    calendarFeedUrl: feeds.isConfigured() ? feeds.urlFor('vendor', req.vendor.id) : null,
+    orders: bookings.listOrders({ statuses: ['paid', 'refunded'], customerId: req.vendor.id }).map(toVendorOrder),
+  });
+});
+
+// GET /api/vendor/demos/:slotId.ics - Calendar file for one of the signed-in vendor's demos
+app.get('/api/vendor/demos/:slotId.ics', vendorAuth, (req, res) => {
+  const slot = bookings.getSlot(req.params.slotId);
+  const order = slot && bookings.getOrder(slot.orderId);
+  if (!order || order.customerId !== req.vendor.id || slot.status !== 'booked') {
+    return res.status(404).json({ error: 'Demo not found' });
+  }
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="woodlands-demo.ics"');
+  res.send(calendar.demoCalendar([{ ...slot, address: storeAddress(slot.location) }], {
+    company: order.company, product: order.product, attendee: order.email,
+  }));
+});
+
+// ============================================================
+// INVOICES
+// ============================================================
+
+// Helper: an order's invoice, issuing it on first use (see lib/invoices.js)
+function issueInvoice(order) {
+  const existing = invoices.forOrder(order.id);
+  if (existing) return existing;
+  const invoice = invoices.issue(order);
+  audit.record('invoice.issued', {
+    order,
+    summary: `Invoice ${invoice.number} issued for $${(invoice.total / 100).toFixed(2)}`,
+    details: { invoiceNumber: invoice.number, total: invoice.total },
+  });
+  return invoice;
+}
+
+// Helper: send a paid order's invoice as a PDF download
+function sendInvoice(res, order) {
+  const invoice = issueInvoice(order);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+  res.send(invoices.renderInvoice(invoice, bookings.refundsFor(order.id)));
+}
+
+// Helper: invoices are only for orders that were paid
+function isInvoiced(order) {
+  return !!order && (order.status === 'paid' || order.status === 'refunded');
+}
+
+// GET /api/checkout-sessions/:sessionId/invoice.pdf - Invoice download from the success page
+app.get('/api/checkout-sessions/:sessionId/invoice.pdf', (req, res) => {
+  try {
+    const order = bookings.findOrderBySession(req.params.sessionId);
+    if (!isInvoiced(order)) {
+      return res.status(404).json({ error: 'Invoice not found. If you just paid, try again in a minute.' });
+    }
+    sendInvoice(res, order);
+  } catch (error) {
+    console.error('Error building invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/vendor/orders/:confirmationNumber/invoice.pdf - Invoice for one of the signed-in vendor's bookings
+app.get('/api/vendor/orders/:confirmationNumber/invoice.pdf', vendorAuth, (req, res) => {
+  try {
+    const order = bookings.listOrders({ statuses: ['paid', 'refunded'], customerId: req.vendor.id })
+      .find(o => o.confirmationNumber === req.params.confirmationNumber);
+    if (!order) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    sendInvoice(res, order);
+  } catch (error) {
+    console.error('Error building invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/bookings/:sessionId/invoice.pdf - A booking's invoice
+app.get('/api/admin/bookings/:sessionId/invoice.pdf', adminAuth, superadminOnly, (req, res) => {
+  try {
+    const order = bookings.findOrderBySession(req.params.sessionId);
+    if (!isInvoiced(order)) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    sendInvoice(res, order);
+  } catch (error) {
+    console.error('Error building invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/customers/:id/statements/:month(.pdf) - A vendor's monthly statement (YYYY-MM):
+// invoices issued and refunds made that month. JSON for the dashboard's CSV export, or a PDF.
+app.get(['/api/admin/customers/:id/statements/:month.pdf', '/api/admin/customers/:id/statements/:month'],
+  adminAuth, superadminOnly, (req, res) => {
+    try {
+      const customer = bookings.getCustomer(req.params.id);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      const { month } = req.params;
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ error: 'Month must be YYYY-MM' });
+      }
+      // Orders paid before invoicing existed get their invoices now, so the month is complete
+      bookings.listOrders({ statuses: ['paid', 'refunded'], customerId: customer.id })
+        .filter(o => slots.toDateKey(new Date(o.paidAt || o.createdAt)).startsWith(month))
+        .sort((a, b) => (a.paidAt || a.createdAt).localeCompare(b.paidAt || b.createdAt))
+        .forEach(issueInvoice);
+
+      const statement = invoices.statement(customer.id, month);
+      if (!req.path.endsWith('.pdf')) {
+        return res.json({ customer: vendorAccounts.profileOf(customer), ...statement });
+      }
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="statement-${month}-${customer.id}.pdf"`);
+      res.send(invoices.renderStatement(statement, customer));
+    } catch (error) {
+      console.error('Error building statement:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+// ============================================================
+// FAKE CHECKOUT (PAYMENT_PROVIDER=fake)
+// ============================================================
+
+if (payments.name === 'fake') {
+  // GET /fake-checkout/:sessionId - Stand-in for Stripe Checkout, where a fake session's url points
+  app.get('/fake-checkout/:sessionId', (req, res) => {
+    try {
+      res.type('html').send(payments.checkoutPage(req.params.sessionId));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // POST /fake-checkout/:sessionId/pay - Pay for the session and go on to its success page, once
+  // the checkout.session.completed event has confirmed the booking
+  app.post('/fake-checkout/:sessionId/pay', async (req, res) => {
+    try {
+      const session = await payments.completeCheckoutSession(req.params.sessionId);
+      res.redirect(303, session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // POST /fake-checkout/:sessionId/expire - Let the session lapse, as if the buyer walked away
+  app.post('/fake-checkout/:sessionId/expire', async (req, res) => {
+    try {
+      await payments.expireCheckoutSession(req.params.sessionId);
+      await payments.idle();
+      res.redirect(303, `/fake-checkout/${encodeURIComponent(req.params.sessionId)}`);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
 
-// For local development
-if (process.env.NODE_ENV !== 'production') {
+// Run directly (npm start, locally or on Railway), not when required by the tests
+if (require.main === module) {
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
 }
 
-// Export for Vercel serverless
+// Export for the tests
 module.exports = app;
@@ -0,0 +1,138 @@
+// Admin accounts through the server's routes: who may do what, which store a manager sees,
+// and which changes end an account's sessions
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-admin-${process.pid}.json`);
+Object.assign(process.env, {
+  DATABASE_FILE: file,
+  NODE_ENV: 'test',
+  PAYMENT_PROVIDER: 'fake',
+  MAIL_PROVIDER: 'fake',
+});
+const app = require('../server');
+const adminUsers = require('../lib/admin-users');
+const availabilityRules = require('../lib/availability');
+const slots = require('../lib/slots');
+
+const { payments } = app.locals;
+let server;
+let base;
+
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+  process.env.FRONTEND_URL = base;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(file, { force: true });
+});
+
+async function call(method, route, body, cookie) {
+  const res = await fetch(base + route, {
+    method,
+    headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json(), setCookie: res.headers.get('set-cookie') };
+}
+
+function cookieFor(user) {
+  return `wm_admin_session=${adminUsers.createSession(user).token}`;
+}
+
+// The value of the session cookie a response set
+function sessionFrom(setCookie) {
+  return setCookie.split(';')[0];
+}
+
+const superadmin = adminUsers.createUser({ email: 'grace@grassroots.test', name: 'Grace', password: 'password123', role: 'superadmin' });
+const manager = adminUsers.createUser({ email: 'tim@woodlands.test', name: 'Tim', password: 'password123', role: 'manager', location: 'Tiburon' });
+
+test('accounts need a valid role, and managers a store', () => {
+  assert.throws(() => adminUsers.createUser({ email: 'x@test.com', name: 'X', password: 'password123', role: 'owner' }), adminUsers.AdminUserError);
+  assert.throws(() => adminUsers.createUser({ email: 'y@test.com', name: 'Y', password: 'password123', role: 'manager' }), /need a location/);
+  assert.throws(() => adminUsers.createUser({ email: 'z@test.com', name: 'Z', password: 'short', role: 'superadmin' }), /at least/);
+  assert.throws(() => adminUsers.createUser({ email: 'GRACE@grassroots.test', name: 'G', password: 'password123', role: 'superadmin' }), /already exists/);
+  assert.strictEqual(superadmin.location, null);
+  assert.strictEqual(adminUsers.authenticate('Tim@Woodlands.test', 'password123').id, manager.id);
+  assert.strictEqual(adminUsers.authenticate('tim@woodlands.test', 'wrong password'), null);
+});
+
+test('only superadmins manage accounts and refunds', async () => {
+  const cookie = cookieFor(manager);
+  assert.strictEqual((await call('GET', '/api/admin/users', null, cookie)).status, 403);
+  assert.strictEqual((await call('POST', '/api/admin/users', { email: 'new@test.com', name: 'New', password: 'password123', role: 'superadmin' }, cookie)).status, 403);
+  assert.strictEqual((await call('POST', '/api/admin/bookings/cs_none/refund', { reason: 'x' }, cookie)).status, 403);
+  assert.strictEqual((await call('GET', '/api/admin/users')).status, 401);
+  assert.strictEqual((await call('GET', '/api/admin/users', null, cookieFor(superadmin))).status, 200);
+});
+
+test('a store manager only sees and changes their own store', async () => {
+  const checkout = await call('POST', '/api/create-checkout-session', {
+    customerEmail: 'ann@acme.com', customerName: 'Ann Bee', company: 'Acme', product: 'Jam', phone: '415-555-0100',
+    cart: ['Tiburon', 'Kentfield'].map(location => {
+      const rules = availabilityRules.getRules(location);
+      let day = slots.addDays(slots.toDateKey(new Date()), 30);
+      while (slots.closedReason(rules, day)) day = slots.addDays(day, 1);
+      return { dateStr: day, time: rules.slotTimes[0], location };
+    }),
+  });
+  assert.strictEqual(checkout.status, 200);
+  await payments.completeCheckoutSession(checkout.body.sessionId);
+  await payments.idle();
+
+  const cookie = cookieFor(manager);
+  const list = await call('GET', '/api/admin/bookings', null, cookie);
+  assert.strictEqual(list.status, 200);
+  const [booking] = list.body.bookings;
+  assert.deepStrictEqual(booking.bookings.map(demo => demo.location), ['Tiburon']);
+  assert.strictEqual((await call('GET', '/api/admin/bookings?location=Kentfield', null, cookie)).status, 403);
+
+  const availability = await call('GET', '/api/admin/availability', null, cookie);
+  assert.deepStrictEqual(availability.body.locations.map(r => r.location), ['Tiburon']);
+  assert.strictEqual((await call('POST', '/api/admin/availability/Kentfield/blackouts', { date: '2027-01-01' }, cookie)).status, 403);
+
+  const all = await call('GET', '/api/admin/bookings', null, cookieFor(superadmin));
+  assert.deepStrictEqual(all.body.bookings[0].bookings.map(demo => demo.location).sort(), ['Kentfield', 'Tiburon']);
+});
+
+test('changing a password signs out the account\'s other sessions', async () => {
+  const user = adminUsers.createUser({ email: 'pat@grassroots.test', name: 'Pat', password: 'password123', role: 'superadmin' });
+  const elsewhere = cookieFor(user);
+  const here = cookieFor(user);
+  const change = await call('PUT', '/api/admin/session/password', { currentPassword: 'password123', newPassword: 'new password 456' }, here);
+  assert.strictEqual(change.status, 200);
+
+  assert.strictEqual((await call('GET', '/api/admin/session', null, elsewhere)).status, 401);
+  assert.strictEqual((await call('GET', '/api/admin/session', null, here)).status, 401);
+  assert.strictEqual((await call('GET', '/api/admin/session', null, sessionFrom(change.setCookie))).status, 200);
+  assert.strictEqual(adminUsers.authenticate('pat@grassroots.test', 'password123'), null);
+});
+
+test('an account disabled or reset by a superadmin is signed out everywhere', async () => {
+  const user = adminUsers.createUser({ email: 'sam@woodlands.test', name: 'Sam', password: 'password123', role: 'manager', location: 'Kentfield' });
+  const admin = cookieFor(superadmin);
+
+  let cookie = cookieFor(user);
+  assert.strictEqual((await call('PATCH', `/api/admin/users/${user.id}`, { password: 'reset password 789' }, admin)).status, 200);
+  assert.strictEqual((await call('GET', '/api/admin/session', null, cookie)).status, 401);
+
+  cookie = cookieFor(user);
+  assert.strictEqual((await call('PATCH', `/api/admin/users/${user.id}`, { disabled: true }, admin)).status, 200);
+  assert.strictEqual((await call('GET', '/api/admin/session', null, cookie)).status, 401);
+  assert.strictEqual(adminUsers.authenticate('sam@woodlands.test', 'reset password 789'), null);
+  // Re-enabling doesn't bring the old sessions back
+  assert.strictEqual((await call('PATCH', `/api/admin/users/${user.id}`, { disabled: false }, admin)).status, 200);
+  assert.strictEqual((await call('GET', '/api/admin/session', null, cookie)).status, 401);
+
+  // Nor can a superadmin lock themselves out
+  assert.strictEqual((await call('PATCH', `/api/admin/users/${superadmin.id}`, { disabled: true }, admin)).status, 400);
+});
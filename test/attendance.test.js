@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-attendance-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const attendance = require('../lib/attendance');
+const bookings = require('../lib/bookings');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+function paidOrder(email, company, cart) {
+  return bookings.createOrder({
+    customer: { email, name: `${company} Owner`, company, phone: '415-555-0100' },
+    product: `${company} snacks`,
+    cart: cart.map(([location, date, time]) => ({ location, date, time, displayDate: slots.displayDateFor(date) })),
+    status: 'paid',
+    confirmationNumber: `WM-${company.toUpperCase()}`,
+  });
+}
+
+const acme = paidOrder('ann@acme.com', 'Acme', [['Tiburon', '2026-11-20', '3:00 PM'], ['Tiburon', '2026-11-21', '11:00 AM'], ['Kentfield', '2026-11-20', '11:00 AM']]);
+const bofarm = paidOrder('bo@farm.com', 'Bofarm', [['Tiburon', '2026-11-20', '11:00 AM'], ['Tiburon', '2026-11-20', '1:00 PM']]);
+bookings.cancelSlots([bofarm.slots[1].id]);
+
+test('a run sheet lists a store\'s confirmed demos in the range, in time order', () => {
+  const sheet = attendance.runSheet('Tiburon', '2026-11-20', '2026-11-20');
+  assert.deepStrictEqual(sheet.map(d => [d.company, d.time]), [['Bofarm', '11:00 AM'], ['Acme', '3:00 PM']]);
+  assert.deepStrictEqual(
+    [sheet[1].contactName, sheet[1].phone, sheet[1].email, sheet[1].confirmationNumber, sheet[1].product, sheet[1].attendance],
+    ['Acme Owner', '415-555-0100', 'ann@acme.com', 'WM-ACME', 'Acme snacks', null]);
+  assert.strictEqual(attendance.runSheet('Tiburon', '2026-11-20', '2026-11-21').length, 3);
+});
+
+test('check-ins, late arrivals and no-shows are recorded on the demo, and can be undone', () => {
+  const [bofarmDemo] = bofarm.slots;
+  const [acmeDemo] = acme.slots;
+  assert.strictEqual(bookings.setAttendance(acmeDemo.id, 'late', { by: 'Tim' }).status, 'booked');
+  const noShow = bookings.setAttendance(bofarmDemo.id, 'no-show', { by: 'Tim' });
+  assert.deepStrictEqual([noShow.status, attendance.attendanceOf(noShow), noShow.attendanceBy], ['no-show', 'no-show', 'Tim']);
+  bookings.setNotes(acmeDemo.id, 'Ran out of samples by 4');
+
+  const sheet = attendance.runSheet('Tiburon', '2026-11-20', '2026-11-20');
+  assert.deepStrictEqual(sheet.map(d => [d.attendance, d.notes]), [['no-show', ''], ['late', 'Ran out of samples by 4']]);
+  assert.ok(sheet[0].attendanceAt);
+
+  // A cancelled demo can't be marked, and clearing a no-show books the demo again
+  assert.strictEqual(bookings.setAttendance(bofarm.slots[1].id, 'checked-in'), null);
+  const cleared = bookings.setAttendance(bofarmDemo.id, null);
+  assert.deepStrictEqual([cleared.status, cleared.attendance, cleared.attendanceBy], ['booked', null, null]);
+  bookings.setAttendance(bofarmDemo.id, 'no-show');
+});
+
+test('no-shows from before check-in existed still count', () => {
+  assert.strictEqual(attendance.attendanceOf({ status: 'no-show' }), 'no-show');
+  assert.strictEqual(attendance.attendanceOf({ status: 'booked', attendance: 'checked-in' }), 'checked-in');
+  assert.strictEqual(attendance.attendanceOf({ status: 'booked' }), null);
+});
+
+test('stats count only demos whose day has come, with the no-show rate', () => {
+  const demos = attendance.runSheet('Tiburon', '2026-11-01', '2026-11-30')
+    .concat(attendance.runSheet('Kentfield', '2026-11-01', '2026-11-30'));
+  assert.deepStrictEqual(attendance.stats(demos, '2026-11-20'), {
+    demos: 3, checkedIn: 0, late: 1, noShows: 1, unrecorded: 1, noShowRate: 33.3,
+  });
+  assert.strictEqual(attendance.stats(demos, '2026-11-21').demos, 4);
+  assert.deepStrictEqual(attendance.stats(demos, '2026-11-19'), {
+    demos: 0, checkedIn: 0, late: 0, noShows: 0, unrecorded: 0, noShowRate: 0,
+  });
+});
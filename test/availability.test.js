@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-availability-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const availabilityRules = require('../lib/availability');
+const bookings = require('../lib/bookings');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+// The first day on or after daysAhead from today that falls on weekday (0 = Sunday)
+function nextWeekday(weekday, daysAhead) {
+  let day = slots.addDays(slots.toDateKey(new Date()), daysAhead);
+  while (slots.dayOfWeek(day) !== weekday) day = slots.addDays(day, 1);
+  return day;
+}
+
+test('a store without saved rules uses the defaults', () => {
+  const rules = availabilityRules.getRules('Kentfield');
+  assert.deepStrictEqual(rules.openWeekdays, availabilityRules.DEFAULT_RULES.openWeekdays);
+  assert.deepStrictEqual(rules.blackoutDates, []);
+  assert.deepStrictEqual(availabilityRules.listRules().map(r => r.location), availabilityRules.LOCATIONS);
+});
+
+test('rule changes are checked and cleaned up, and only touch their own store', () => {
+  const rules = availabilityRules.updateRules('Tiburon', {
+    openWeekdays: [6, 2, 2],
+    slotTimes: ['3:00 pm', ' 9:30 AM', '12:00 PM', '3:00 PM'],
+    slotsPerDay: 3,
+    leadDays: 7,
+    address: '  1 Main St  ',
+  });
+  assert.deepStrictEqual(rules.openWeekdays, [2, 6]);
+  assert.deepStrictEqual(rules.slotTimes, ['9:30 AM', '12:00 PM', '3:00 PM']);
+  assert.strictEqual(rules.address, '1 Main St');
+  assert.deepStrictEqual(availabilityRules.getRules('Kentfield').slotTimes, availabilityRules.DEFAULT_RULES.slotTimes);
+
+  const bad = [
+    [{ openWeekdays: [7] }, /openWeekdays/],
+    [{ slotTimes: [] }, /at least one/],
+    [{ slotTimes: ['13:00 PM'] }, /Invalid slot time "13:00 PM"/],
+    [{ slotsPerDay: 0 }, /slotsPerDay/],
+    [{ leadDays: 1.5 }, /leadDays/],
+    [{ address: 42 }, /address must be text/],
+  ];
+  bad.forEach(([patch, message]) => assert.throws(() => availabilityRules.updateRules('Tiburon', patch), message));
+  // A refused change leaves the rules as they were
+  assert.strictEqual(availabilityRules.getRules('Tiburon').slotsPerDay, 3);
+});
+
+test('blackout dates are added once per day, kept in order and removable', () => {
+  availabilityRules.addBlackout('San Francisco', { date: '2027-01-01', reason: 'New Year' });
+  availabilityRules.addBlackout('San Francisco', { date: '2026-12-25', reason: 'Christmas' });
+  const rules = availabilityRules.addBlackout('San Francisco', { date: '2027-01-01', reason: ' Closed ' });
+  assert.deepStrictEqual(rules.blackoutDates, [{ date: '2026-12-25', reason: 'Christmas' }, { date: '2027-01-01', reason: 'Closed' }]);
+  assert.throws(() => availabilityRules.addBlackout('San Francisco', { date: '1/1/2027' }), availabilityRules.RulesValidationError);
+  assert.deepStrictEqual(availabilityRules.removeBlackout('San Francisco', '2026-12-25').blackoutDates.map(b => b.date), ['2027-01-01']);
+});
+
+test('a day is closed for lead time, its weekday or a blackout, in that order', () => {
+  const rules = { ...availabilityRules.DEFAULT_RULES, leadDays: 14, blackoutDates: [{ date: '2026-11-20', reason: 'Inventory' }] };
+  assert.strictEqual(slots.closedReason(rules, '2026-11-10', '2026-11-01'), 'lead-time');
+  assert.strictEqual(slots.closedReason(rules, '2026-11-21', '2026-11-01'), 'closed'); // a Saturday
+  assert.strictEqual(slots.closedReason(rules, '2026-11-20', '2026-11-01'), 'blackout');
+  assert.strictEqual(slots.closedReason(rules, '2026-11-19', '2026-11-01'), null);
+});
+
+test('availability and checkout follow a store\'s rules and its demos-per-day cap', () => {
+  availabilityRules.updateRules('Kentfield', { openWeekdays: [2, 3], slotTimes: ['10:00 AM', '1:00 PM', '4:00 PM'], slotsPerDay: 2, leadDays: 7 });
+  // A Tuesday whose Monday and Wednesday are in the same month
+  let tuesday = nextWeekday(2, 30);
+  while (slots.addDays(tuesday, -1).slice(0, 7) !== slots.addDays(tuesday, 1).slice(0, 7)) tuesday = slots.addDays(tuesday, 7);
+  const monday = slots.addDays(tuesday, -1);
+  const wednesday = slots.addDays(tuesday, 1);
+  availabilityRules.addBlackout('Kentfield', { date: wednesday, reason: 'Remodel' });
+
+  bookings.createOrder({
+    customer: { email: 'ann@acme.com', name: 'Ann Bee' },
+    product: 'Jam',
+    cart: [{ location: 'Kentfield', date: tuesday, time: '10:00 AM', displayDate: slots.displayDateFor(tuesday) }],
+    status: 'paid',
+  });
+
+  const month = slots.getAvailability('Kentfield', tuesday.slice(0, 7));
+  assert.deepStrictEqual(month.timeSlots, ['10:00 AM', '1:00 PM', '4:00 PM']);
+  assert.deepStrictEqual(month.days[tuesday].slots, { '10:00 AM': 'booked', '1:00 PM': 'open', '4:00 PM': 'open' });
+  assert.deepStrictEqual([month.days[wednesday].reason, month.days[wednesday].note], ['blackout', 'Remodel']);
+  assert.deepStrictEqual([month.days[monday].bookable, month.days[monday].reason], [false, 'closed']);
+
+  // One more demo fits that Tuesday; the second one in the same cart is over the cap
+  const cart = ['1:00 PM', '4:00 PM'].map(time => ({ location: 'Kentfield', date: tuesday, time }));
+  assert.deepStrictEqual(slots.findConflicts(cart).map(c => [c.time, c.status]), [['4:00 PM', 'full']]);
+  assert.deepStrictEqual(slots.findConflicts([{ location: 'Kentfield', date: wednesday, time: '1:00 PM' }]).map(c => c.status), ['closed']);
+});
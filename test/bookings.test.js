@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-bookings-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const bookings = require('../lib/bookings');
+const vendorAccounts = require('../lib/vendor-accounts');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+test('a booking does not overwrite the saved profile of its email address', () => {
+  const customer = bookings.upsertCustomer({ email: 'Ann@Acme.com', name: 'Ann Bee' });
+  vendorAccounts.updateProfile(customer.id, { name: 'Ann Bee', phone: '415-555-0100', company: 'Acme', products: 'Jam' });
+
+  const booked = bookings.upsertCustomer({ email: 'ann@acme.com', name: 'Mallory', company: 'Evil Co', phone: '415-555-0199' });
+  assert.strictEqual(booked.id, customer.id);
+  assert.strictEqual(booked.name, 'Ann Bee');
+  assert.strictEqual(booked.company, 'Acme');
+  assert.strictEqual(booked.phone, '415-555-0100');
+});
+
+test('a booking fills in profile fields that are still empty', () => {
+  bookings.upsertCustomer({ email: 'bo@farm.com', name: 'Bo' });
+  const booked = bookings.upsertCustomer({ email: 'bo@farm.com', name: 'Robert', company: 'Bo Farm' });
+  assert.strictEqual(booked.name, 'Bo');
+  assert.strictEqual(booked.company, 'Bo Farm');
+});
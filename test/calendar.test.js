@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calendar = require('../lib/calendar');
+
+// Unfold an ICS file into its content lines, checking every physical line fits in 75 octets
+function contentLines(ics) {
+  assert.ok(ics.endsWith('\r\n'));
+  const physical = ics.slice(0, -2).split('\r\n');
+  physical.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `longer than 75 octets: ${line}`));
+  return physical.reduce((lines, line) => {
+    if (line.startsWith(' ')) lines[lines.length - 1] += line.slice(1);
+    else lines.push(line);
+    return lines;
+  }, []);
+}
+
+// The value of the first content line named name (with any parameters), or undefined
+function property(lines, name) {
+  const line = lines.find(l => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+  return line && line.slice(line.indexOf(':') + 1);
+}
+
+// Undo TEXT escaping
+function unescapeText(value) {
+  return value.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char));
+}
+
+const slot = { id: 'slot_1', date: '2026-07-04', time: '11:00 AM', location: 'Tiburon' };
+
+test('long lines are folded at 75 octets without splitting a multi-byte character', () => {
+  const line = `SUMMARY:${'Crème brûlée ☕ '.repeat(12)}`;
+  const folded = calendar.foldLine(line);
+  const parts = folded.split('\r\n');
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(Buffer.byteLength(part) <= 75));
+  parts.slice(1).forEach(part => assert.ok(part.startsWith(' ')));
+  // Each piece is valid UTF-8 on its own, and joining them back gives the line
+  parts.forEach(part => assert.strictEqual(Buffer.from(part).toString(), part));
+  assert.strictEqual(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('text values escape backslashes, semicolons, commas and newlines', () => {
+  assert.strictEqual(calendar.escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+
+  const notes = 'Bring a table, chairs; and the C:\\ drive\nSecond line — café';
+  const lines = contentLines(calendar.demoCalendar([{ ...slot, notes }], { company: 'Smith, Jones; Co', product: 'Jam' }));
+  assert.strictEqual(property(lines, 'SUMMARY'), 'Product Demo - Smith\\, Jones\\; Co');
+  const description = unescapeText(property(lines, 'DESCRIPTION'));
+  assert.ok(description.startsWith('Product: Jam\n'));
+  assert.ok(description.endsWith(`\n\n${notes}`));
+});
+
+test('events start and end in store time with the timezone defined', () => {
+  const lines = contentLines(calendar.demoCalendar([slot, { ...slot, id: 'slot_2', date: '2026-12-04', time: '3:00 PM' }]));
+  assert.strictEqual(property(lines, 'METHOD'), 'PUBLISH');
+  assert.strictEqual(property(lines, 'BEGIN'), 'VCALENDAR');
+  assert.ok(lines.includes('BEGIN:VTIMEZONE'));
+  assert.strictEqual(property(lines, 'TZID'), 'America/Los_Angeles');
+
+  const starts = lines.filter(l => l.startsWith('DTSTART;'));
+  assert.deepStrictEqual(starts, [
+    'DTSTART;TZID=America/Los_Angeles:20260704T110000',
+    'DTSTART;TZID=America/Los_Angeles:20261204T150000',
+  ]);
+  assert.deepStrictEqual(lines.filter(l => l.startsWith('DTEND;')), [
+    'DTEND;TZID=America/Los_Angeles:20260704T140000',
+    'DTEND;TZID=America/Los_Angeles:20261204T180000',
+  ]);
+  // PDT in July, PST in December
+  assert.strictEqual(calendar.startsAt(slot).toISOString(), '2026-07-04T18:00:00.000Z');
+  assert.strictEqual(calendar.startsAt({ date: '2026-12-04', time: '3:00 PM' }).toISOString(), '2026-12-04T23:00:00.000Z');
+});
+
+test('a reschedule and a cancellation bump the sequence of the same event', () => {
+  const invite = contentLines(calendar.demoCalendar([slot], { method: 'REQUEST', attendee: 'ann@acme.com' }));
+  assert.strictEqual(property(invite, 'SEQUENCE'), '0');
+  assert.strictEqual(property(invite, 'ATTENDEE'), 'mailto:ann@acme.com');
+
+  const moved = { ...slot, date: '2026-07-11', rescheduledFrom: [{ date: '2026-07-04', time: '11:00 AM', location: 'Tiburon' }] };
+  const update = contentLines(calendar.demoCalendar([moved], { method: 'REQUEST' }));
+  assert.strictEqual(property(update, 'UID'), property(invite, 'UID'));
+  assert.strictEqual(property(update, 'SEQUENCE'), '1');
+
+  const cancel = contentLines(calendar.demoCalendar([moved], { method: 'CANCEL' }));
+  assert.strictEqual(property(cancel, 'METHOD'), 'CANCEL');
+  assert.strictEqual(property(cancel, 'UID'), property(invite, 'UID'));
+  assert.strictEqual(property(cancel, 'SEQUENCE'), '2');
+  assert.strictEqual(property(cancel, 'STATUS'), 'CANCELLED');
+});
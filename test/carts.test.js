@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-carts-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const availabilityRules = require('../lib/availability');
+const bookings = require('../lib/bookings');
+const carts = require('../lib/carts');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+const HOUR = 3600000;
+
+// A bookable slot at location, daysAhead (or the next open day after) from today
+function bookable(location, daysAhead) {
+  const rules = availabilityRules.getRules(location);
+  let date = slots.addDays(slots.toDateKey(new Date()), daysAhead);
+  while (slots.closedReason(rules, date)) date = slots.addDays(date, 1);
+  return { location, date, time: rules.slotTimes[0], displayDate: slots.displayDateFor(date) };
+}
+
+let sessions = 0;
+
+// A checkout in progress for email, holding its demos until holdExpiresAt, with its cart saved
+function checkout(email, cart, { token = carts.tokenFor(null), holdExpiresAt = new Date(Date.now() + HOUR).toISOString() } = {}) {
+  sessions += 1;
+  const order = bookings.createOrder({
+    customer: { email, name: 'Ann Bee' },
+    product: 'Jam',
+    cart,
+    holdExpiresAt,
+    sessionId: `cs_test_${sessions}`,
+  });
+  carts.recordCheckout({ token, order, form: { customerEmail: email, customerName: 'Ann Bee', product: 'Jam', isAdmin: 'yes' } });
+  return { order, token };
+}
+
+function pay(order) {
+  bookings.markPaid(order.id, { paymentIntentId: `pi_${order.id}`, amountTotal: 15000, confirmationNumber: `WM-${order.id}` });
+  return carts.markPaid(order.id);
+}
+
+test('a cart keeps the demos and the booking form, and a restored one is checked out again under its token', () => {
+  const { order, token } = checkout('ann@acme.com', [bookable('Tiburon', 30)]);
+  let cart = carts.findByToken(token);
+  assert.deepStrictEqual([cart.status, cart.checkouts, cart.orderId], ['open', 1, order.id]);
+  assert.deepStrictEqual(Object.keys(cart.form), carts.FORM_FIELDS);
+  assert.strictEqual(cart.form.promoCode, '');
+  // Only the token's hash is stored
+  assert.ok(cart.tokenHash && cart.tokenHash !== token);
+
+  // Backing out of Checkout abandons it; checking out again from it reuses the cart
+  assert.strictEqual(carts.markAbandoned(order.id).status, 'abandoned');
+  assert.strictEqual(carts.tokenFor(token), token);
+  bookings.releaseOrder(order.id, 'cancelled');
+  const again = checkout('ann@acme.com', [bookable('Tiburon', 30)], { token });
+  cart = carts.findByToken(token);
+  assert.deepStrictEqual([cart.status, cart.checkouts, cart.orderId], ['open', 2, again.order.id]);
+
+  // Paid after being abandoned counts as recovered, and the token then starts a new cart
+  assert.strictEqual(pay(again.order).status, 'recovered');
+  assert.notStrictEqual(carts.tokenFor(token), token);
+  assert.strictEqual(carts.markAbandoned(again.order.id), null);
+});
+
+test('a checkout paid straight through is just paid', () => {
+  const { order } = checkout('bo@farm.com', [bookable('Kentfield', 30)]);
+  assert.strictEqual(pay(order).status, 'paid');
+  assert.strictEqual(carts.tokenFor('no such token').length, 32);
+});
+
+test('checkouts whose hold ran out without word from Stripe are abandoned', () => {
+  const lapsed = checkout('cy@farm.com', [bookable('San Francisco', 30)], { holdExpiresAt: new Date(Date.now() - 60000).toISOString() });
+  const live = checkout('di@farm.com', [bookable('San Francisco', 31)]);
+  assert.deepStrictEqual(carts.abandonLapsed().map(c => c.orderId), [lapsed.order.id]);
+  assert.strictEqual(carts.findByToken(live.token).status, 'open');
+});
+
+test('one recovery email goes out per abandoned cart, after the delay, with the demos still free', () => {
+  const later = Date.now() + (carts.recoveryDelayMinutes() + 1) * 60000;
+  const free = bookable('Tiburon', 40);
+  const gone = bookable('Kentfield', 40);
+  const { order, token } = checkout('ed@farm.com', [free, gone]);
+  carts.markAbandoned(order.id);
+  bookings.releaseOrder(order.id, 'expired');
+
+  // Someone else books one of its demos
+  const other = checkout('fay@farm.com', [gone]);
+  pay(other.order);
+
+  assert.deepStrictEqual(carts.dueForRecovery().filter(d => d.cart.orderId === order.id), []);
+  const [due] = carts.dueForRecovery(later).filter(d => d.cart.orderId === order.id);
+  assert.deepStrictEqual(due.items.map(i => [i.location, i.date, i.available]), [['Tiburon', free.date, true]]);
+  assert.deepStrictEqual(carts.itemsWithAvailability(due.cart).map(i => i.available), [true, false]);
+
+  // The email's link finds the cart too
+  const recoveryToken = carts.issueRecoveryToken(due.cart.id);
+  assert.strictEqual(carts.findByToken(recoveryToken).id, carts.findByToken(token).id);
+  carts.markRecoveryEmailSent(due.cart.id);
+  assert.deepStrictEqual(carts.dueForRecovery(later).filter(d => d.cart.orderId === order.id), []);
+});
+
+test('carts of vendors who booked anyway, or whose demos are all gone, are closed without an email', () => {
+  const later = Date.now() + (carts.recoveryDelayMinutes() + 1) * 60000;
+  const first = checkout('gus@farm.com', [bookable('Tiburon', 50)]);
+  carts.markAbandoned(first.order.id);
+  bookings.releaseOrder(first.order.id, 'expired');
+  pay(checkout('gus@farm.com', [bookable('Kentfield', 50)]).order);
+
+  const slot = bookable('San Francisco', 50);
+  const second = checkout('hal@farm.com', [slot]);
+  carts.markAbandoned(second.order.id);
+  bookings.releaseOrder(second.order.id, 'expired');
+  pay(checkout('ida@farm.com', [slot]).order);
+
+  const due = carts.dueForRecovery(later).map(d => d.cart.orderId);
+  assert.ok(!due.includes(first.order.id) && !due.includes(second.order.id));
+  assert.deepStrictEqual([carts.findByToken(first.token).status, carts.findByToken(first.token).closedReason], ['closed', 'booked']);
+  assert.deepStrictEqual([carts.findByToken(second.token).status, carts.findByToken(second.token).closedReason], ['closed', 'unavailable']);
+});
+
+test('the funnel counts sessions, payments, recoveries and recovery emails', () => {
+  const funnel = carts.funnel();
+  assert.strictEqual(funnel.sessionsCreated, sessions);
+  assert.strictEqual(funnel.paid, 5);
+  assert.strictEqual(funnel.recovered, 1);
+  assert.strictEqual(funnel.recoveryEmailsSent, 1);
+  assert.strictEqual(funnel.conversionRate, Math.round((5 / sessions) * 1000) / 10);
+  assert.strictEqual(carts.funnel({ from: '2020-01-01', to: '2020-01-31' }).sessionsCreated, 0);
+});
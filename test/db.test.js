@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { JsonFileStore } = require('../lib/db');
+
+const file = path.join(os.tmpdir(), `woodlands-test-db-${process.pid}.json`);
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+// Two stores on one file stand in for the server and a script running alongside it
+test('a write from one process is not lost by another that loaded the file earlier', () => {
+  const server = new JsonFileStore(file);
+  const script = new JsonFileStore(file);
+  server.insert('adminUsers', { email: 'first@example.com' }, 'adm');
+  assert.strictEqual(script.all('adminUsers').length, 1);
+
+  script.insert('adminUsers', { email: 'second@example.com' }, 'adm');
+  server.insert('orders', { status: 'pending' }, 'ord');
+
+  const onDisk = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(onDisk.adminUsers.map(u => u.email), ['first@example.com', 'second@example.com']);
+  assert.strictEqual(onDisk.orders.length, 1);
+  assert.strictEqual(fs.existsSync(`${file}.lock`), false);
+});
+
+test('a transaction that throws leaves the store as it was', () => {
+  const store = new JsonFileStore(file);
+  assert.throws(() => store.transaction(() => {
+    store.insert('orders', { status: 'paid' }, 'ord');
+    throw new Error('boom');
+  }), /boom/);
+  assert.strictEqual(store.all('orders').length, 1);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-email-templates-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const db = require('../lib/db');
+const emailTemplates = require('../lib/email-templates');
+const outbox = require('../lib/outbox');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+test('every template renders its sample as a subject, an HTML part and a plain-text part', () => {
+  const names = emailTemplates.listTemplates().map(t => t.name);
+  assert.deepStrictEqual(names, ['confirmation', 'reminder', 'cancellation', 'reschedule', 'waitlist', 'recovery', 'login']);
+  names.forEach(name => {
+    const email = emailTemplates.preview(name);
+    assert.strictEqual(email.template, name);
+    assert.ok(Number.isInteger(email.version) && email.version >= 1, name);
+    assert.ok(email.subject && !/[<>]/.test(email.subject), name);
+    assert.ok(email.html.includes('<!DOCTYPE html>'), name);
+    assert.ok(!/<[a-z/][^>]*>/i.test(email.text), `${name} text has HTML in it`);
+    assert.ok(email.text.endsWith('\n'), name);
+  });
+});
+
+test('what vendors typed is escaped in the HTML part and left as typed in the text part', () => {
+  const email = emailTemplates.preview('confirmation', { company: '<img src=x onerror=alert(1)>', product: 'Salt & "Pepper"' });
+  assert.ok(email.html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!email.html.includes('<img src=x'));
+  assert.ok(email.html.includes('Salt &amp; &quot;Pepper&quot;'));
+  assert.ok(email.text.includes('Company: <img src=x onerror=alert(1)>'));
+  assert.ok(email.text.includes('Product: Salt & "Pepper"'));
+});
+
+test('optional parts are left out when there is nothing to put in them', () => {
+  const withLink = emailTemplates.preview('confirmation');
+  assert.ok(withLink.text.includes('Manage your booking: https://example.com/manage?token=sample'));
+  assert.ok(withLink.html.includes('href="https://example.com/manage?token=sample"'));
+
+  const withoutLink = emailTemplates.preview('confirmation', { manageUrl: null, policy: null });
+  assert.ok(!withoutLink.text.includes('Manage your booking'));
+  assert.ok(!withoutLink.html.includes('Manage Your Booking'));
+  assert.ok(!withoutLink.text.includes('Cancel 14+ days ahead'));
+});
+
+test('cancellation emails name one demo or several, and say why and what was refunded', () => {
+  const one = emailTemplates.preview('cancellation', { reason: 'Store closed', outcome: 'A refund of $30.00 has been issued to your card.' });
+  assert.strictEqual(one.subject, 'Demo Cancelled - WM-12345678');
+  assert.ok(one.text.startsWith('This demo has been cancelled: Store closed. A refund of $30.00 has been issued to your card.\n'));
+
+  const demos = [{ displayDate: 'Nov 20, 2026', time: '11:00 AM', location: 'Tiburon' }, { displayDate: 'Nov 24, 2026', time: '3:00 PM', location: 'Kentfield' }];
+  const several = emailTemplates.preview('cancellation', { demos, reason: null, outcome: null });
+  assert.strictEqual(several.subject, 'Demos Cancelled - WM-12345678');
+  assert.ok(several.text.startsWith('These demos have been cancelled.\n'));
+  assert.ok(several.text.includes('- Nov 24, 2026 • 3:00 PM – Woodlands Market Kentfield'));
+});
+
+test('asking for a template that doesn\'t exist is an error', () => {
+  ['nope', 'toString', '__proto__'].forEach(name => {
+    assert.throws(() => emailTemplates.render(name, {}), emailTemplates.EmailTemplateError);
+  });
+});
+
+test('the outbox tracks each email from sending to sent or failed, findable by booking', () => {
+  const order = { id: 'ord_1', sessionId: 'cs_test_1', confirmationNumber: 'WM-ABC' };
+  const confirmation = outbox.create({ template: 'confirmation', version: 1, to: ['ann@acme.com'], subject: 'Demo Confirmed', order });
+  assert.strictEqual(confirmation.status, 'sending');
+  outbox.markSent(confirmation.id, 'resend_1');
+  // A second earlier, so the next one lists first
+  db.update('emails', confirmation.id, { createdAt: new Date(Date.now() - 1000).toISOString() });
+  const reminder = outbox.create({ template: 'reminder', version: 1, to: ['ann@acme.com'], subject: 'Reminder', order });
+  outbox.markFailed(reminder.id, new Error('Mailbox full'));
+  outbox.create({ template: 'login', version: 1, to: ['bo@farm.com'], subject: 'Sign in' });
+
+  assert.deepStrictEqual(outbox.list({ booking: 'wm-abc' }).map(e => [e.template, e.status]), [['reminder', 'failed'], ['confirmation', 'sent']]);
+  assert.strictEqual(outbox.list({ booking: 'cs_test_1' }).length, 2);
+  assert.strictEqual(outbox.list({ booking: 'ord_1', status: 'sent' })[0].providerId, 'resend_1');
+  assert.strictEqual(outbox.list({ status: 'failed' })[0].error, 'Mailbox full');
+  assert.deepStrictEqual(outbox.list({ template: 'login' }).map(e => [e.orderId, e.status]), [[null, 'sending']]);
+  assert.strictEqual(outbox.list().length, 3);
+});
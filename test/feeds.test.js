@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-feeds-${process.pid}.json`);
+Object.assign(process.env, {
+  DATABASE_FILE: file,
+  CALENDAR_FEED_SECRET: 'test-feed-secret',
+  FRONTEND_URL: 'https://demos.example.com',
+});
+const bookings = require('../lib/bookings');
+const calendar = require('../lib/calendar');
+const feeds = require('../lib/feeds');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+const today = slots.toDateKey(new Date());
+
+function paidOrder(email, company, cart) {
+  return bookings.createOrder({
+    customer: { email, name: `${company} Owner`, company, phone: '415-555-0100' },
+    product: `${company} snacks`,
+    cart: cart.map(([location, daysAhead]) => {
+      const date = slots.addDays(today, daysAhead);
+      return { location, date, time: '11:00 AM', displayDate: slots.displayDateFor(date) };
+    }),
+    status: 'paid',
+    confirmationNumber: `WM-${company.toUpperCase()}`,
+  });
+}
+
+const acme = paidOrder('ann@acme.com', 'Acme', [['Tiburon', 20], ['Kentfield', 10], ['Tiburon', -(feeds.HISTORY_DAYS + 1)]]);
+const bofarm = paidOrder('bo@farm.com', 'Bofarm', [['Tiburon', 15], ['Tiburon', 25]]);
+bookings.cancelSlots([bofarm.slots[1].id]);
+// Unpaid checkouts never show up
+bookings.createOrder({
+  customer: { email: 'cy@farm.com', name: 'Cy' },
+  product: 'Figs',
+  cart: [{ location: 'Tiburon', date: slots.addDays(today, 12), time: '3:00 PM', displayDate: 'x' }],
+});
+
+test('feed links are signed per feed and can\'t be reused for another', () => {
+  const token = feeds.tokenFor('location', 'Tiburon');
+  assert.ok(feeds.verifyToken('location', 'Tiburon', token));
+  assert.ok(!feeds.verifyToken('location', 'Kentfield', token));
+  assert.ok(!feeds.verifyToken('vendor', 'Tiburon', token));
+  assert.ok(!feeds.verifyToken('location', 'Tiburon', token.slice(1)));
+  assert.ok(!feeds.verifyToken('location', 'Tiburon', undefined));
+  assert.strictEqual(feeds.urlFor('location', 'San Francisco'),
+    `https://demos.example.com/api/feeds/location/San%20Francisco.ics?token=${feeds.tokenFor('location', 'San Francisco')}`);
+
+  // A new secret revokes every link
+  process.env.CALENDAR_FEED_SECRET = 'rotated';
+  assert.ok(!feeds.verifyToken('location', 'Tiburon', token));
+  process.env.CALENDAR_FEED_SECRET = 'test-feed-secret';
+});
+
+test('a store feed lists its confirmed demos in time order, with the vendor\'s contact details', () => {
+  const demos = feeds.feedDemos('location', 'Tiburon');
+  assert.deepStrictEqual(demos.map(d => [d.company, d.date]), [
+    ['Bofarm', slots.addDays(today, 15)],
+    ['Acme', slots.addDays(today, 20)],
+  ]);
+  assert.strictEqual(demos[1].product, 'Acme snacks');
+  assert.strictEqual(demos[1].notes, 'Contact: Acme Owner\nPhone: 415-555-0100\nEmail: ann@acme.com\nConfirmation #: WM-ACME');
+});
+
+test('a vendor feed lists only that vendor\'s demos, at every store', () => {
+  const demos = feeds.feedDemos('vendor', acme.customerId);
+  assert.deepStrictEqual(demos.map(d => d.location), ['Kentfield', 'Tiburon']);
+  assert.ok(demos.every(d => d.notes === 'Confirmation #: WM-ACME'));
+});
+
+test('a feed is a named calendar that apps refresh every hour', () => {
+  const ics = calendar.demoCalendar(feeds.feedDemos('location', 'Tiburon'), { name: 'Woodlands Market Tiburon demos' });
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  assert.ok(lines.includes('METHOD:PUBLISH'));
+  assert.ok(lines.includes('X-WR-CALNAME:Woodlands Market Tiburon demos'));
+  assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:PT1H'));
+  assert.strictEqual(lines.filter(l => l === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('SUMMARY:Product Demo - Bofarm'));
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const file = path.join(os.tmpdir(), `woodlands-test-invoices-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const bookings = require('../lib/bookings');
+const invoices = require('../lib/invoices');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+let orderCount = 0;
+
+// A paid order with a demo at each of locations, $150 each
+function paidOrder(locations = ['Kentfield'], extra = {}, email = 'ann@acme.com') {
+  orderCount += 1;
+  return bookings.createOrder({
+    customer: { email, name: 'Ann Bee', company: 'Acme', phone: '415-555-0100' },
+    product: 'Jam',
+    cart: locations.map(location => ({
+      location, date: '2026-11-20', time: '11:00 AM', displayDate: 'Fri, Nov 20, 2026', listAmount: 15000, amount: 15000,
+    })),
+    status: 'paid',
+    amountTotal: 15000 * locations.length,
+    paidAt: '2026-10-05T18:00:00.000Z',
+    confirmationNumber: `WM-TEST${orderCount}`,
+    ...extra,
+  });
+}
+
+// The text a PDF shows, from its Tj operators
+function pdfText(buffer) {
+  return [...buffer.toString('latin1').matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)].map(m => m[1].replace(/\\(.)/g, '$1'));
+}
+
+// Issue invoices for orderIds from another process, as a script running beside the server would
+function issueElsewhere(orderIds) {
+  const script = `const bookings = require('./lib/bookings');
+    const invoices = require('./lib/invoices');
+    ${JSON.stringify(orderIds)}.forEach(id => invoices.issue(bookings.getOrder(id)));`;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), env: { ...process.env, DATABASE_FILE: file } },
+      error => (error ? reject(error) : resolve()));
+  });
+}
+
+test('invoices issued at once from several processes get one gapless number each', async () => {
+  const orders = Array.from({ length: 6 }, () => paidOrder());
+  const ids = orders.map(o => o.id);
+  await Promise.all([issueElsewhere(ids), issueElsewhere([...ids].reverse()), issueElsewhere(ids.slice(2).concat(ids.slice(0, 2)))]);
+
+  const issued = ids.map(id => invoices.forOrder(id));
+  assert.deepStrictEqual(issued.map(i => i.sequence).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(new Set(issued.map(i => i.number)).size, 6);
+  assert.ok(issued.every(i => /^INV-00000[1-6]$/.test(i.number)));
+  // Asking again gives back the same invoice
+  assert.strictEqual(invoices.issue(orders[0]).number, issued[0].number);
+  assert.strictEqual(invoices.findByNumber(issued[0].number.toLowerCase()).orderId, orders[0].id);
+});
+
+test('an invoice is a snapshot of what was charged and doesn\'t change after refunds', () => {
+  const order = paidOrder(['Kentfield', 'Tiburon'], { billing: { businessName: 'Acme Foods LLC', address: '1 Main St\nMill Valley, CA', taxId: '12-3456789' } });
+  const invoice = invoices.issue(order);
+  assert.deepStrictEqual(invoice.lines.map(l => [l.location, l.amount]), [['Kentfield', 15000], ['Tiburon', 15000]]);
+  assert.strictEqual(invoice.total, 30000);
+  assert.strictEqual(invoice.billTo.businessName, 'Acme Foods LLC');
+
+  const slot = order.slots[1];
+  bookings.recordRefund(order.id, { stripeRefundId: 're_1', amount: 15000, reason: 'Cancelled by vendor', slotIds: [slot.id] });
+  bookings.cancelSlots([slot.id], { status: 'refunded' });
+  const again = invoices.issue(bookings.getOrder(order.id));
+  assert.strictEqual(again.id, invoice.id);
+  assert.strictEqual(again.total, 30000);
+  assert.strictEqual(again.lines.length, 2);
+});
+
+test('a month\'s statement nets the refunds made in it against the invoices issued', () => {
+  const month = slots.toDateKey(new Date()).slice(0, 7);
+  const order = paidOrder(['Kentfield', 'Tiburon'], { paidAt: new Date().toISOString() }, 'bo@farm.com');
+  const invoice = invoices.issue(order);
+  bookings.recordRefund(order.id, { stripeRefundId: 're_3', amount: 5000, reason: 'Goodwill' });
+
+  const statement = invoices.statement(order.customerId, month);
+  assert.deepStrictEqual(statement.invoices.map(i => i.number), [invoice.number]);
+  assert.deepStrictEqual(statement.refunds.map(r => [r.amount, r.invoiceNumber, r.confirmationNumber]),
+    [[5000, invoice.number, order.confirmationNumber]]);
+  assert.deepStrictEqual(statement.totals, { invoiced: 30000, refunded: 5000, net: 25000 });
+  assert.deepStrictEqual(invoices.statement(order.customerId, '2020-01').totals, { invoiced: 0, refunded: 0, net: 0 });
+});
+
+test('the invoice PDF is a well-formed file showing the invoice, its bill-to and its refunds', () => {
+  const order = paidOrder(['Kentfield', 'Tiburon'], { billing: { businessName: 'Acme (West) Foods' } });
+  const invoice = invoices.issue(order);
+  bookings.recordRefund(order.id, { stripeRefundId: 're_2', amount: 5000, reason: 'Goodwill' });
+  const pdf = invoices.renderInvoice(invoice, bookings.refundsFor(order.id));
+
+  const raw = pdf.toString('latin1');
+  assert.ok(raw.startsWith('%PDF-1.4\n'));
+  assert.ok(raw.trimEnd().endsWith('%%EOF'));
+  // Every cross-reference entry points at its object
+  const xrefAt = Number(raw.match(/startxref\n(\d+)/)[1]);
+  assert.ok(raw.startsWith('xref\n', xrefAt));
+  const offsets = [...raw.slice(xrefAt).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+  offsets.forEach((offset, index) => assert.ok(raw.startsWith(`${index + 1} 0 obj\n`, offset)));
+  assert.match(raw, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 1 >>/);
+
+  const text = pdfText(pdf);
+  ['INVOICE', invoice.number, 'Acme (West) Foods', 'Acme', 'Product demo - Tiburon', '$300.00', 'REFUNDS', 'Goodwill', '-$50.00', '$250.00']
+    .forEach(expected => assert.ok(text.includes(expected), `missing ${expected}`));
+});
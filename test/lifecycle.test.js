@@ -0,0 +1,212 @@
+// End to end, offline: a booking from checkout to refund through the server's routes, with the
+// fake payment and mail providers standing in for Stripe and Resend
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-lifecycle-${process.pid}.json`);
+Object.assign(process.env, {
+  DATABASE_FILE: file,
+  NODE_ENV: 'test',
+  PAYMENT_PROVIDER: 'fake',
+  MAIL_PROVIDER: 'fake',
+  STRIPE_CONNECT_ACCOUNT_ID: 'acct_fake_market',
+  MANAGE_LINK_SECRET: 'test-manage-secret',
+});
+const app = require('../server');
+const adminUsers = require('../lib/admin-users');
+const audit = require('../lib/audit');
+const availabilityRules = require('../lib/availability');
+const bookings = require('../lib/bookings');
+const manageLinks = require('../lib/manage-links');
+const outbox = require('../lib/outbox');
+const slots = require('../lib/slots');
+const waitlist = require('../lib/waitlist');
+
+const { payments, mail } = app.locals;
+let server;
+let base;
+
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+  process.env.FRONTEND_URL = base;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(file, { force: true });
+});
+
+async function call(method, route, body, cookie) {
+  const res = await fetch(base + route, {
+    method,
+    headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// The first day the store is open, a month (or daysAhead) out
+function bookableDay(location, daysAhead = 30) {
+  const rules = availabilityRules.getRules(location);
+  let day = slots.addDays(slots.toDateKey(new Date()), daysAhead);
+  while (slots.closedReason(rules, day)) day = slots.addDays(day, 1);
+  return { dateStr: day, time: rules.slotTimes[0], location };
+}
+
+test('a booking is paid, confirmed, emailed and refunded', async () => {
+  const cart = [bookableDay('Tiburon'), bookableDay('Kentfield')];
+  const checkout = await call('POST', '/api/create-checkout-session', {
+    customerEmail: 'ann@acme.com',
+    customerName: 'Ann Bee',
+    company: 'Acme',
+    product: 'Jam',
+    phone: '415-555-0100',
+    cart,
+  });
+  assert.strictEqual(checkout.status, 200);
+  assert.strictEqual(checkout.body.url, `${base}/fake-checkout/${checkout.body.sessionId}`);
+  const { sessionId } = checkout.body;
+  assert.strictEqual(bookings.findOrderBySession(sessionId).status, 'pending');
+
+  // Paying delivers checkout.session.completed to the webhook handler
+  await payments.completeCheckoutSession(sessionId);
+  await payments.idle();
+  let order = bookings.withSlots(bookings.findOrderBySession(sessionId));
+  assert.strictEqual(order.status, 'paid');
+  assert.ok(order.confirmationNumber);
+  assert.ok(order.transferId);
+  assert.deepStrictEqual(order.slots.map(s => s.status), ['booked', 'booked']);
+
+  const [confirmation] = mail.list({ to: 'ann@acme.com', subject: 'Demo Confirmed' });
+  assert.ok(confirmation.subject.includes(order.confirmationNumber));
+  // A calendar invite per demo
+  assert.strictEqual(confirmation.attachments.length, 2);
+
+  // The same event again, signed and posted to the webhook, confirms nothing twice
+  const completed = payments.events.find(e => e.type === 'checkout.session.completed');
+  const payload = JSON.stringify(completed);
+  const res = await fetch(`${base}/api/webhooks/stripe`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'stripe-signature': payments.signWebhookPayload(payload) },
+    body: payload,
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(mail.list({ to: 'ann@acme.com', subject: 'Demo Confirmed' }).length, 1);
+
+  const admin = adminUsers.createUser({ email: 'admin@grassroots.test', name: 'Admin', password: 'password123', role: 'superadmin' });
+  const cookie = `wm_admin_session=${adminUsers.createSession(admin).token}`;
+  const refund = await call('POST', `/api/admin/bookings/${sessionId}/refund`, { reason: 'Store closed' }, cookie);
+  assert.strictEqual(refund.status, 200);
+  assert.strictEqual(refund.body.amount, (order.amountTotal / 100).toFixed(2));
+
+  // charge.refunded arrives after the refund, and records the reversed transfer
+  await payments.idle();
+  order = bookings.withSlots(bookings.findOrderBySession(sessionId));
+  assert.strictEqual(order.status, 'refunded');
+  assert.strictEqual(order.amountRefunded, order.amountTotal);
+  assert.strictEqual(order.transferReversed, order.transferAmount);
+  assert.deepStrictEqual(order.slots.map(s => s.status), ['refunded', 'refunded']);
+  assert.strictEqual(mail.list({ to: 'ann@acme.com', subject: 'Demos Cancelled' }).length, 1);
+
+  const emails = outbox.list({ booking: order.confirmationNumber });
+  assert.deepStrictEqual(emails.map(e => [e.template, e.status]).sort(), [['cancellation', 'sent'], ['confirmation', 'sent']]);
+});
+
+test('a lapsed checkout paid after one of its slots was rebooked refunds that demo', async () => {
+  const cart = [bookableDay('Tiburon'), bookableDay('Kentfield')];
+  const form = { customerName: 'Bo Dee', company: 'Bo Farm', product: 'Honey', phone: '415-555-0101' };
+  const late = await call('POST', '/api/create-checkout-session', { ...form, customerEmail: 'bo@farm.com', cart });
+  assert.strictEqual(late.status, 200);
+
+  // The hold lapses and someone else books the Tiburon slot
+  bookings.releaseOrder(bookings.findOrderBySession(late.body.sessionId).id, 'expired');
+  const other = await call('POST', '/api/create-checkout-session', { ...form, customerEmail: 'cy@farm.com', cart: [cart[0]] });
+  assert.strictEqual(other.status, 200);
+  await payments.completeCheckoutSession(other.body.sessionId);
+
+  // Then the first buyer's payment comes through
+  await payments.completeCheckoutSession(late.body.sessionId);
+  await payments.idle();
+  const order = bookings.withSlots(bookings.findOrderBySession(late.body.sessionId));
+  const tiburon = order.slots.find(s => s.location === 'Tiburon');
+  assert.strictEqual(order.status, 'paid');
+  assert.strictEqual(tiburon.status, 'refunded');
+  assert.strictEqual(order.slots.find(s => s.location === 'Kentfield').status, 'booked');
+  assert.strictEqual(order.amountRefunded, tiburon.amount);
+  assert.deepStrictEqual(bookings.refundsFor(order.id).map(r => [r.amount, r.slotIds]), [[tiburon.amount, [tiburon.id]]]);
+
+  // The slot stays with whoever booked it in the meantime
+  const rebooked = bookings.withSlots(bookings.findOrderBySession(other.body.sessionId));
+  assert.strictEqual(rebooked.slots[0].status, 'booked');
+  assert.strictEqual(mail.list({ to: 'bo@farm.com', subject: 'Demo Cancelled' }).length, 1);
+  assert.strictEqual(mail.list({ to: 'bo@farm.com', subject: 'Demo Confirmed' }).length, 1);
+});
+
+test('the activity export keeps formulas in the audit trail as text', async () => {
+  audit.record('demos.cancelled', { actor: audit.SYSTEM, summary: '=HYPERLINK("http://evil.test","Click")' });
+  const admin = adminUsers.createUser({ email: 'auditor@grassroots.test', name: 'Auditor', password: 'password123', role: 'superadmin' });
+  const res = await fetch(`${base}/api/admin/activity/export.csv?action=demos`, {
+    headers: { cookie: `wm_admin_session=${adminUsers.createSession(admin).token}` },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  const [header, ...rows] = (await res.text()).trim().split('\r\n');
+  assert.ok(header.startsWith('"Time","Actor Type","Actor","Action"'));
+  assert.ok(rows.some(row => row.includes('"\'=HYPERLINK(""http://evil.test"",""Click"")"')));
+  assert.ok(rows.every(row => row.includes('"demos.')));
+});
+
+test('a waitlist offer is only used up by a cart with the offered slot', async () => {
+  const day = bookableDay('Tiburon', 60);
+  waitlist.join({ location: day.location, date: day.dateStr, time: day.time, email: 'di@farm.com', company: 'Di Farm', product: 'Figs' });
+  const [{ entry, token }] = waitlist.offerOpenSlots().filter(offer => offer.entry.email === 'di@farm.com');
+  const form = { customerEmail: 'di@farm.com', customerName: 'Di Eve', company: 'Di Farm', product: 'Figs', phone: '415-555-0102' };
+
+  const unrelated = await call('POST', '/api/create-checkout-session', { ...form, offerToken: token, cart: [bookableDay('Kentfield', 60)] });
+  assert.strictEqual(unrelated.status, 200);
+  assert.strictEqual(waitlist.findByToken(token).status, 'offered');
+
+  const claimed = await call('POST', '/api/create-checkout-session', { ...form, offerToken: token, cart: [day] });
+  assert.strictEqual(claimed.status, 200);
+  const offer = waitlist.findByToken(token);
+  assert.strictEqual(offer.id, entry.id);
+  assert.strictEqual(offer.status, 'claimed');
+  assert.strictEqual(offer.orderId, bookings.findOrderBySession(claimed.body.sessionId).id);
+});
+
+test('a vendor cancelling after a partial refund gets the rest of the charge back and credit for the shortfall', async () => {
+  const cart = [bookableDay('Tiburon', 90), bookableDay('Kentfield', 90)];
+  const form = { customerName: 'Ed Fay', company: 'Ed Farm', product: 'Eggs', phone: '415-555-0103' };
+  const checkout = await call('POST', '/api/create-checkout-session', { ...form, customerEmail: 'ed@farm.com', cart });
+  assert.strictEqual(checkout.status, 200);
+  const { sessionId } = checkout.body;
+  await payments.completeCheckoutSession(sessionId);
+  await payments.idle();
+  const order = bookings.withSlots(bookings.findOrderBySession(sessionId));
+  const [tiburon, kentfield] = order.slots;
+
+  // An admin cancels the Tiburon demo and refunds all but a dollar of the booking
+  const admin = adminUsers.createUser({ email: 'refunds@grassroots.test', name: 'Refunds', password: 'password123', role: 'superadmin' });
+  const cookie = `wm_admin_session=${adminUsers.createSession(admin).token}`;
+  const partial = await call('POST', `/api/admin/bookings/${sessionId}/cancel`,
+    { slotIds: [tiburon.id], refundAmount: order.amountTotal - 100, reason: 'Goodwill' }, cookie);
+  assert.strictEqual(partial.status, 200);
+  await payments.idle();
+
+  const token = manageLinks.urlFor(order).split('token=')[1];
+  const cancel = await call('POST', `/api/manage/${token}/demos/${kentfield.id}/cancel`);
+  assert.strictEqual(cancel.status, 200);
+  assert.strictEqual(cancel.body.refundAmount, '1.00');
+  assert.strictEqual(cancel.body.creditAmount, ((kentfield.amount - 100) / 100).toFixed(2));
+  assert.ok(cancel.body.creditCode);
+
+  const refunded = bookings.getOrder(order.id);
+  assert.strictEqual(refunded.amountRefunded, order.amountTotal);
+  assert.strictEqual(refunded.status, 'refunded');
+});
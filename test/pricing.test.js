@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-pricing-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const db = require('../lib/db');
+const pricing = require('../lib/pricing');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+const cart = [{ location: 'Tiburon', date: '2026-11-20', time: '11:00 AM' }];
+
+test('store credit only works for the email it was issued to', () => {
+  const credit = pricing.issueCredit({ amount: 1000, email: 'Vendor@Example.com', orderId: 'ord_1', slotId: 'slot_1' });
+  assert.throws(() => pricing.quote({ cart, promoCode: credit.code }), pricing.PricingError);
+  assert.throws(() => pricing.quote({ cart, promoCode: credit.code, email: 'someone@else.com' }), pricing.PricingError);
+  assert.strictEqual(pricing.quote({ cart, promoCode: credit.code, email: 'vendor@example.com ' }).promoDiscount, 1000);
+});
+
+test('a refunded order still uses up a single-use code', () => {
+  pricing.createPromoCode({ code: 'ONCE', amountOff: 500, maxUses: 1 });
+  db.insert('orders', { promoCode: 'ONCE', status: 'refunded', amountRefunded: 2500 }, 'ord');
+  assert.throws(() => pricing.quote({ cart, promoCode: 'ONCE' }), /fully redeemed/);
+});
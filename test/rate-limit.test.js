@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../lib/rate-limit');
+
+test('fail reports the failure that blocks a key, once per window', () => {
+  const limiter = new RateLimiter({ limit: 3, windowMinutes: 15 });
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(() => limiter.fail('ip:1')), [false, false, true, false, false]);
+  assert.ok(limiter.retryAfter('ip:1') > 0);
+  assert.strictEqual(limiter.retryAfter('ip:2'), 0);
+  limiter.reset('ip:1');
+  assert.strictEqual(limiter.retryAfter('ip:1'), 0);
+});
+
+test('at most maxKeys windows are kept, expired ones swept out before live ones', () => {
+  const limiter = new RateLimiter({ limit: 3, windowMinutes: 15, maxKeys: 3 });
+  ['ip:1', 'ip:2', 'ip:3'].forEach(key => limiter.fail(key));
+  limiter.windows.get('ip:2').resetAt = Date.now() - 1;
+  limiter.fail('ip:4');
+  assert.deepStrictEqual([...limiter.windows.keys()], ['ip:1', 'ip:3', 'ip:4']);
+  limiter.fail('ip:5');
+  assert.deepStrictEqual([...limiter.windows.keys()], ['ip:3', 'ip:4', 'ip:5']);
+});
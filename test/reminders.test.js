@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-reminders-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const db = require('../lib/db');
+const reminders = require('../lib/reminders');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+const due = { key: 'slot_1|Tiburon|2026-11-20|11:00 AM|24', offsetHours: 24, order: { id: 'ord_1' }, slot: { id: 'slot_1' } };
+
+test('a reminder being sent is not claimed twice', () => {
+  assert.ok(reminders.claim(due));
+  assert.strictEqual(reminders.claim(due), null);
+});
+
+test('a claim left behind by a run that died is taken back after the timeout', () => {
+  const stuck = db.find('reminders', r => r.key === due.key);
+  const longAgo = new Date(Date.now() - (reminders.CLAIM_TIMEOUT_MINUTES + 1) * 60000).toISOString();
+  db.update('reminders', stuck.id, { claimedAt: longAgo });
+  const retried = reminders.claim(due);
+  assert.strictEqual(retried.status, 'sending');
+  assert.strictEqual(retried.attempts, 2);
+});
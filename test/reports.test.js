@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-reports-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const bookings = require('../lib/bookings');
+const reports = require('../lib/reports');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+const order = {
+  id: 'ord_1',
+  amountTotal: 6000,
+  amountRefunded: 1500,
+  slots: [
+    { id: 'slot_t', location: 'Tiburon', date: '2026-11-20', amount: 3000, status: 'refunded' },
+    { id: 'slot_k', location: 'Kentfield', date: '2026-11-24', amount: 3000, status: 'booked' },
+  ],
+};
+
+test('scopedRevenue counts only the demos in scope, less the refunds against them', () => {
+  // A $10 refund for cancelling the Tiburon demo, and $5 more refunded in Stripe
+  bookings.recordRefund(order.id, { stripeRefundId: 're_1', amount: 1000, slotIds: ['slot_t'] });
+  const all = { dateField: 'booked' };
+  assert.strictEqual(reports.scopedRevenue(order, all), 4500);
+  assert.strictEqual(reports.scopedRevenue(order, { ...all, location: 'Tiburon' }), 1750);
+  assert.strictEqual(reports.scopedRevenue(order, { ...all, location: 'Kentfield' }), 2750);
+  assert.strictEqual(reports.scopedRevenue(order, { dateField: 'demo', from: '2026-11-22', to: null }), 2750);
+});
+
+test('csvRow quotes every field and keeps formulas as text', () => {
+  assert.strictEqual(reports.csvRow(['Acme, Inc.', 'Say "hi"', null, 30]), '"Acme, Inc.","Say ""hi""","","30"\r\n');
+  assert.strictEqual(
+    reports.csvRow(['=HYPERLINK("http://x")', '+1 415', '-2', '@SUM(A1)', '\t=1', 'a=b']),
+    '"\'=HYPERLINK(""http://x"")","\'+1 415","\'-2","\'@SUM(A1)","\'\t=1","a=b"\r\n'
+  );
+});
+
+test('scopedSplit scales the actual split to the demos in scope, so the shares add up to the revenue', () => {
+  // $60 charged, $15 refunded; $36 transferred and $12 in fees, less what the refunds reversed
+  const paid = { ...order, transferAmount: 3600, transferReversed: 900, applicationFeeAmount: 1200, applicationFeeRefunded: 300 };
+  const all = { dateField: 'booked' };
+  assert.deepStrictEqual(reports.scopedSplit(paid, all), { revenue: 4500, market: 2700, grassroots: 1800, applicationFees: 900 });
+
+  const tiburon = reports.scopedSplit(paid, { ...all, location: 'Tiburon' });
+  const kentfield = reports.scopedSplit(paid, { ...all, location: 'Kentfield' });
+  assert.deepStrictEqual(tiburon, { revenue: 1750, market: 1050, grassroots: 700, applicationFees: 350 });
+  assert.strictEqual(tiburon.market + tiburon.grassroots, tiburon.revenue);
+  assert.strictEqual(tiburon.market + kentfield.market, 2700);
+  assert.strictEqual(tiburon.applicationFees + kentfield.applicationFees, 900);
+});
+
+test('bookedOn is the day the booking was paid', () => {
+  assert.strictEqual(reports.bookedOn({ createdAt: '2026-10-30T18:00:00.000Z', paidAt: '2026-11-02T18:00:00.000Z' }), '2026-11-02');
+  assert.strictEqual(reports.bookedOn({ createdAt: '2026-10-30T18:00:00.000Z', paidAt: null }), '2026-10-30');
+});
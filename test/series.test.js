@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-series-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const availabilityRules = require('../lib/availability');
+const bookings = require('../lib/bookings');
+const series = require('../lib/series');
+const slots = require('../lib/slots');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+// The first Thursday at least daysAhead out
+function thursday(daysAhead) {
+  let day = slots.addDays(slots.toDateKey(new Date()), daysAhead);
+  while (slots.dayOfWeek(day) !== 4) day = slots.addDays(day, 1);
+  return day;
+}
+
+test('a series runs from the first matching weekday, every week or two, to its end or count', () => {
+  // 2026-11-02 is a Monday
+  assert.deepStrictEqual(series.seriesDates({ frequency: 'weekly', weekday: 4, startDate: '2026-11-02', endDate: '2026-11-19' }),
+    ['2026-11-05', '2026-11-12', '2026-11-19']);
+  assert.deepStrictEqual(series.seriesDates({ frequency: 'biweekly', weekday: 1, startDate: '2026-11-02', count: 3 }),
+    ['2026-11-02', '2026-11-16', '2026-11-30']);
+  assert.deepStrictEqual(series.seriesDates({ frequency: 'weekly', weekday: 4, startDate: '2026-11-20', endDate: '2026-11-25' }), []);
+  // Across the new year, and never more than a year of dates
+  assert.deepStrictEqual(series.seriesDates({ frequency: 'weekly', weekday: 4, startDate: '2026-12-24', count: 2 }), ['2026-12-24', '2026-12-31']);
+  assert.strictEqual(series.seriesDates({ frequency: 'weekly', weekday: 4, startDate: '2026-11-02' }).length, series.MAX_DATES);
+});
+
+test('a preview marks each occurrence available or says why not', () => {
+  const first = thursday(7);
+  const preview = series.preview({ locations: ['Kentfield', 'Tiburon'], frequency: 'weekly', weekday: 4, time: '11:00 AM', startDate: first, count: 5 });
+  assert.strictEqual(preview.length, 10);
+  assert.deepStrictEqual(preview.slice(0, 2).map(o => [o.location, o.available]), [['Kentfield', false], ['Tiburon', false]]);
+  assert.match(preview[0].reason, /too soon - demos must be booked 14\+ days ahead$/);
+  assert.ok(preview.slice(4).every(o => o.available && o.reason === null));
+  assert.strictEqual(preview[4].displayDate, slots.displayDateFor(slots.addDays(first, 14)));
+});
+
+test('a preview counts the vendor\'s cart, other bookings, blackouts and the store\'s slot times', () => {
+  const start = thursday(30);
+  const [second, third, fourth] = [7, 14, 21].map(days => slots.addDays(start, days));
+  availabilityRules.addBlackout('Kentfield', { date: third, reason: 'Inventory' });
+  bookings.createOrder({
+    customer: { email: 'bo@farm.com', name: 'Bo' },
+    product: 'Honey',
+    cart: [{ location: 'Kentfield', date: fourth, time: '11:00 AM', displayDate: slots.displayDateFor(fourth) }],
+    status: 'paid',
+  });
+
+  const request = { locations: ['Kentfield'], frequency: 'weekly', weekday: 4, time: '11:00 AM', startDate: start, count: 4 };
+  const cart = [{ location: 'Kentfield', date: second, time: '3:00 PM' }];
+  assert.deepStrictEqual(series.preview(request, cart).map(o => [o.date, o.reason]), [
+    [start, null],
+    [second, 'Your cart already has a demo at Kentfield that day'],
+    [third, `${slots.displayDateFor(third)} at Kentfield is unavailable`],
+    [fourth, 'Already booked'],
+  ]);
+
+  const noSlot = series.preview({ ...request, time: '9:00 AM', count: 1 });
+  assert.deepStrictEqual(noSlot.map(o => [o.available, o.reason]), [[false, 'Kentfield has no 9:00 AM slot']]);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_FILE = path.join(os.tmpdir(), `woodlands-test-slots-${process.pid}.json`);
+const slots = require('../lib/slots');
+
+test('normalizeDate keeps real days', () => {
+  assert.strictEqual(slots.normalizeDate('2026-11-30'), '2026-11-30');
+  assert.strictEqual(slots.normalizeDate('2028-02-29'), '2028-02-29');
+  assert.strictEqual(slots.normalizeDate('2026-11-20T19:00:00.000Z'), '2026-11-20');
+});
+
+test('normalizeDate rejects days that do not exist instead of rolling them over', () => {
+  assert.strictEqual(slots.normalizeDate('2026-11-31'), null);
+  assert.strictEqual(slots.normalizeDate('2026-02-29'), null);
+  assert.strictEqual(slots.normalizeDate('2026-13-01'), null);
+  assert.strictEqual(slots.normalizeDate('2026-11-31T10:00:00Z'), null);
+  assert.strictEqual(slots.normalizeDate('not a date'), null);
+});
+
+test('normalizeCartItem refuses a cart item on an impossible date', () => {
+  assert.strictEqual(slots.normalizeCartItem({ dateStr: '2026-11-31', time: '11:00 AM', location: 'Tiburon' }), null);
+  const item = slots.normalizeCartItem({ dateStr: '2026-12-01', time: '11:00 AM', location: 'Tiburon' });
+  assert.strictEqual(item.date, '2026-12-01');
+});
+
+test('normalizeCartItem labels the date itself instead of trusting the client', () => {
+  const item = slots.normalizeCartItem({ dateStr: '2026-12-01', time: '11:00 AM', location: 'Tiburon', displayDate: '<img src=x onerror=alert(1)>' });
+  assert.strictEqual(item.displayDate, 'Dec 1, 2026');
+});
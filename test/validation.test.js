@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const file = path.join(os.tmpdir(), `woodlands-test-validation-${process.pid}.json`);
+process.env.DATABASE_FILE = file;
+const availabilityRules = require('../lib/availability');
+const slots = require('../lib/slots');
+const validation = require('../lib/validation');
+
+test.after(() => fs.rmSync(file, { force: true }));
+
+// The first day location is open, a month (or daysAhead) out, as a cart item
+function bookableDay(location, daysAhead = 30) {
+  const rules = availabilityRules.getRules(location);
+  let day = slots.addDays(slots.toDateKey(new Date()), daysAhead);
+  while (slots.closedReason(rules, day)) day = slots.addDays(day, 1);
+  return { dateStr: day, time: rules.slotTimes[0], location };
+}
+
+// The { field: message } errors validate throws for body, or null if it passes
+function problems(schema, body) {
+  try {
+    validation.validate(schema, body);
+    return null;
+  } catch (error) {
+    assert.ok(error instanceof validation.ValidationError);
+    return Object.fromEntries(error.errors.map(e => [e.field, e.message]));
+  }
+}
+
+const checkout = {
+  cart: [bookableDay('Tiburon')],
+  customerName: '  Ann Bee ',
+  customerEmail: 'ann@acme.com',
+  company: 'Acme',
+  product: 'Jam',
+  phone: '(415) 555-0100',
+};
+
+test('a good checkout comes back trimmed, normalized and without unknown fields', () => {
+  const clean = validation.validate(validation.checkoutSchema, { ...checkout, isAdmin: true });
+  assert.strictEqual(clean.customerName, 'Ann Bee');
+  assert.strictEqual(clean.cart[0].date, checkout.cart[0].dateStr);
+  assert.strictEqual(clean.promoCode, '');
+  assert.ok(!('isAdmin' in clean));
+});
+
+test('every missing required field is reported at once', () => {
+  assert.deepStrictEqual(problems(validation.checkoutSchema, {}), {
+    cart: 'Cart must be a list of demos',
+    customerName: 'Enter your name',
+    customerEmail: 'Enter your email address',
+    company: 'Enter your company or brand name',
+    product: 'Enter the product(s) you will demo',
+  });
+  assert.ok(problems(validation.checkoutSchema, null).customerEmail);
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, cart: [] }).cart, 'Add at least one demo to your cart');
+});
+
+test('oversize and non-text input is refused', () => {
+  assert.deepStrictEqual(problems(validation.checkoutSchema, { ...checkout, company: 'x'.repeat(121), product: { name: 'Jam' } }), {
+    company: 'Must be 120 characters or fewer',
+    product: 'Must be text',
+  });
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, company: 'x'.repeat(120) }), null);
+});
+
+test('emails and phone numbers must look real', () => {
+  assert.deepStrictEqual(problems(validation.checkoutSchema, { ...checkout, customerEmail: 'ann@acme', phone: '555-01' }), {
+    customerEmail: 'Enter a valid email address',
+    phone: 'Enter a valid phone number',
+  });
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, phone: 'call me' }).phone, 'Enter a valid phone number');
+  // A phone number is optional
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, phone: '' }), null);
+});
+
+test('a cart takes one demo per store per day, up to the limit, on bookable days', () => {
+  const day = bookableDay('Tiburon');
+  const twice = problems(validation.checkoutSchema, { ...checkout, cart: [day, { ...day, time: availabilityRules.getRules('Tiburon').slotTimes[1] }] });
+  assert.deepStrictEqual(Object.keys(twice), ['cart[1]']);
+  assert.match(twice['cart[1]'], /^Only one demo per location per day/);
+
+  const past = problems(validation.checkoutSchema, { ...checkout, cart: [{ ...day, dateStr: '2020-01-06' }] });
+  assert.match(past['cart[0]'], /is in the past$/);
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, cart: [{ ...day, location: 'Oakland' }] })['cart[0]'],
+    'This demo has an invalid date, time or store');
+
+  const tooMany = Array.from({ length: validation.MAX_CART_ITEMS + 1 }, (_, i) => bookableDay('Tiburon', 30 + i));
+  assert.strictEqual(problems(validation.checkoutSchema, { ...checkout, cart: tooMany }).cart,
+    `A booking can have at most ${validation.MAX_CART_ITEMS} demos`);
+});
+
+test('waitlist entries need a store, a real date and the vendor\'s details', () => {
+  assert.deepStrictEqual(problems(validation.waitlistSchema, { location: 'Oakland', date: '2026-02-30', customerEmail: 'x' }), {
+    location: 'Choose a store',
+    date: 'Choose a date',
+    customerEmail: 'Enter a valid email address',
+    company: 'Enter your company or brand name',
+    product: 'Enter the product(s) you will demo',
+  });
+  const clean = validation.validate(validation.waitlistSchema, { location: 'Kentfield', date: '2026-11-20', customerEmail: 'di@farm.com', company: 'Di Farm', product: 'Figs' });
+  assert.strictEqual(clean.time, '');
+});
+
+test('series need stores, a frequency, a weekday and a start', () => {
+  assert.deepStrictEqual(problems(validation.seriesSchema, { locations: ['Kentfield', 'Oakland'], frequency: 'monthly', weekday: 7, count: 60 }), {
+    locations: 'Choose from our stores',
+    frequency: 'Choose weekly or every other week',
+    weekday: 'Must be a whole number from 0 to 6',
+    time: 'Choose a time',
+    startDate: 'Choose a start date',
+    count: 'Must be a whole number from 1 to 52',
+    cart: 'Cart must be a list of demos',
+  });
+  const clean = validation.validate(validation.seriesSchema, {
+    locations: ['Kentfield', 'Kentfield'], frequency: 'weekly', weekday: '3', time: '11:00 AM', startDate: '2026-11-04', cart: [],
+  });
+  assert.deepStrictEqual([clean.locations, clean.weekday, clean.endDate, clean.count], [['Kentfield'], 3, null, null]);
+});
+
+test('profiles keep a short list of distinct products', () => {
+  const clean = validation.validate(validation.profileSchema, { customerName: 'Ann', company: 'Acme', products: [' Jam ', 'Jam', '', 'Honey'] });
+  assert.deepStrictEqual(clean.products, ['Jam', 'Honey']);
+  assert.deepStrictEqual(problems(validation.profileSchema, { customerName: 'Ann', company: 'Acme', products: Array.from({ length: 21 }, (_, i) => `P${i}`) }), {
+    products: 'At most 20',
+  });
+  assert.strictEqual(problems(validation.profileSchema, { customerName: 'Ann', company: 'Acme', products: 'Jam' }).products, 'Must be a list');
+});